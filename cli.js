@@ -1,10 +1,21 @@
 #!/usr/bin/env node
 
-const { downloadYouTubeAudio } = require("./src/transcription-tools/download-yt-video");
-const { transcribeAudio, transcribeAudioWithGPT4o, saveWhisperTranscriptionResults, saveGPT4oTranscriptionResults } = require("./src/transcription-tools/transcribe-audio");
-const { createStructuredTranscription, saveStructuredTranscriptionResults } = require("./src/transcription-tools/structured-transcription");
-const { formatTranscriptToMarkdown, createSummary, saveFormattedResults, performComprehensiveAnalysis } = require("./src/transcription-tools/format-transcript");
-const { ensureOutputFolders } = require("./src/transcription-tools/folder-utils");
+const { EventEmitter } = require("events");
+const { runPipeline, runBatch, ANALYSIS_TASKS } = require("./src/transcription-tools/pipeline");
+const { getOutputPaths, configureOutputLayout } = require("./src/transcription-tools/folder-utils");
+const { collectLocalFiles } = require("./src/transcription-tools/local-input");
+const { isCollectionUrl, readUrlList } = require("./src/transcription-tools/batch-processing");
+const { getTranscriptionBackend } = require("./src/transcription-tools/transcription-backends");
+const { configureLLMClient } = require("./src/transcription-tools/llm-client");
+const { configureRequests } = require("./src/transcription-tools/request-retry");
+const { configureAnalysisTemplates, loadAnalysisTemplates } = require("./src/transcription-tools/analysis-templates");
+const { configureContentProfiles, loadContentProfiles, describeClassification } = require("./src/transcription-tools/content-profiles");
+const { getLanguageName } = require("./src/transcription-tools/languages");
+const { buildVideoViewer } = require("./src/transcription-tools/html-viewer");
+const { searchTranscripts, rebuildSearchIndex } = require("./src/transcription-tools/search-index");
+const { askTranscripts } = require("./src/transcription-tools/ask-transcripts");
+const { formatYouTubeTime } = require("./src/transcription-tools/chapter-export");
+const { createApiServer, DEFAULT_PORT, DEFAULT_HOST, JOB_OPTION_NAMES } = require("./src/transcription-tools/api-server");
 
 // Load environment variables
 require("dotenv").config({ path: __dirname + `/.env.cli` });
@@ -18,179 +29,514 @@ console.log("OUTPUT_FOLDER:", process.env.OUTPUT_FOLDER || "❌ Not set");
 const yargs = require("yargs");
 const argv = yargs(process.argv.slice(2)).argv;
 
+// Formatting and analysis can point at any OpenAI-compatible server (Ollama, vLLM, LM Studio)
+const llmConfig = configureLLMClient({
+  baseURL: argv.llmBaseUrl,
+  apiKey: argv.llmApiKey,
+  defaultModel: argv.llmModel,
+  models: argv.llmModels
+});
+console.log("LLM:", `${llmConfig.baseURL || "OpenAI"} (default model: ${llmConfig.defaultModel})`);
+
+// One limit for every API request in the process, so batches and parallel analyses share it
+configureRequests({
+  maxRetries: argv.maxRetries,
+  concurrency: argv.apiConcurrency
+});
+
+// Where outputs go: a layout preset, optionally with its own folder and file name templates
+let outputLayout;
+try {
+  outputLayout = configureOutputLayout({
+    layout: argv.layout,
+    folder: argv.folderTemplate,
+    file: argv.fileTemplate
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+console.log("Output layout:", `${outputLayout.name} (folders: ${outputLayout.folder}, files: ${outputLayout.file})`);
+
+// Your own analysis templates are added to the built-in ones and override them by name
+const templateConfig = configureAnalysisTemplates({ dir: argv.templateDir });
+if (templateConfig.dir) {
+  console.log("Analysis templates:", templateConfig.dir);
+}
+
+// Your own content-type and industry profiles are added to the built-in ones and override them by name
+const profileConfig = configureContentProfiles({ file: argv.profiles });
+if (profileConfig.file) {
+  console.log("Content profiles:", profileConfig.file);
+}
+
+// An OpenAI key is only optional when both transcription and analysis run locally
+function ensureApiKey() {
+  let transcriptionIsLocal;
+  try {
+    transcriptionIsLocal = getTranscriptionBackend(argv.backend).local;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (!process.env.OPENAI_API_KEY && !(transcriptionIsLocal && llmConfig.baseURL)) {
+    console.error("❌ OPENAI_API_KEY environment variable not set");
+    process.exit(1);
+  }
+}
+
+// Caption rules from --subtitle* flags; unset flags keep the broadcast defaults
+function getSubtitleRules() {
+  const rules = {
+    maxCharsPerLine: argv.subtitleMaxChars,
+    maxLines: argv.subtitleMaxLines,
+    minDuration: argv.subtitleMinDuration,
+    maxDuration: argv.subtitleMaxDuration,
+    maxCPS: argv.subtitleMaxCps
+  };
+  // The pipeline checks the values, so bad input fails with the rule's name instead of turning a limit off
+  return Object.fromEntries(Object.entries(rules).filter(([, value]) => value !== undefined));
+}
+
 console.log("Launching...");
 
-if (argv.ytTranscript) {
-  // Full YouTube transcription pipeline
+// `ll serve` runs each job as a child process with an IPC channel; progress and results go back over it
+function notifyParent(message) {
+  if (process.send) {
+    process.send(message);
+  }
+}
+
+// The library reports progress as events; the CLI prints the log lines and forwards the rest to `ll serve`
+const events = new EventEmitter();
+events.on("log", ({ message }) => console.log(message));
+events.on("step", (event) => notifyParent({ type: "progress", ...event }));
+events.on("result", ({ result }) => {
+  // Transcripts and analyses stay on disk; the parent only needs the summary and artifact paths
+  const { data, ...summary } = result;
+  notifyParent({ type: "result", result: summary });
+});
+
+// runPipeline/runBatch options from the command-line flags
+function pipelineOptions() {
+  return {
+    analysis: argv.analysis,
+    templates: argv.templates,
+    contentType: argv.contentType,
+    industry: argv.industry,
+    classifier: argv.classifier,
+    source: argv.source,
+    language: argv.language,
+    translateTo: argv.translateTo,
+    speakers: argv.speakers,
+    roster: argv.roster || process.env.SPEAKER_ROSTER,
+    backend: argv.backend,
+    subtitleRules: getSubtitleRules(),
+    force: argv.force,
+    fromStep: argv.fromStep,
+    maxCost: argv.maxCost,
+    dryRun: argv.dryRun,
+    idFrom: argv.idFrom,
+    concurrency: argv.concurrency,
+    viewer: argv.viewer,
+    index: argv.index,
+    // --no-sentiment etc. switch analyses off in --analysis custom and auto
+    ...Object.fromEntries(ANALYSIS_TASKS.map(task => [task, argv[task]])),
+    events
+  };
+}
+
+async function printResult(result) {
+  // A dry run only prints its estimate
+  if (!result.files) {
+    return;
+  }
+  
+  const templates = await loadAnalysisTemplates();
+  const folders = getOutputPaths(result.videoId);
+  const { audioFile, whisper: whisperFiles, gpt4o: gpt4oFiles, structured: structuredFiles, subtitles: subtitleFiles, formatted: finalFiles, translations: translatedFiles } = result.files;
+  
+  if (result.classification) {
+    console.log(`🏷️ Content type: ${describeClassification(result.classification.contentType)} · Industry: ${describeClassification(result.classification.industry)}`);
+  }
+  
+  console.log("📁 Files organized in:");
+  console.log(`  📂 Downloads: ${folders.downloads}`);
+  console.log(`  📂 Whisper Transcriptions: ${folders.whisperTranscriptions}`);
+  if (gpt4oFiles) {
+    console.log(`  📂 GPT-4o Transcriptions: ${folders.gpt4oTranscriptions}`);
+  }
+  console.log(`  📂 Structured Transcriptions: ${folders.structuredTranscriptions}`);
+  console.log(`  📂 Subtitles: ${folders.subtitles}`);
+  console.log(`  📂 Formatted: ${folders.formatted}`);
+  if (Object.keys(translatedFiles).length > 0) {
+    console.log(`  📂 Translations: ${folders.translations}/<language> (subtitles/<language>, formatted/<language>)`);
+  }
+  console.log("\n📄 Files created:");
+  if (audioFile) {
+    console.log(`  🎵 Audio: ${audioFile}`);
+  }
+  if (result.files.metadataFile) {
+    console.log(`  🧾 Video metadata: ${result.files.metadataFile}`);
+  }
+  console.log("  🎤 Whisper files:");
+  console.log(`    📊 Raw JSON: ${whisperFiles.jsonFile}`);
+  console.log(`    ⏱️ Word timestamps: ${whisperFiles.srtFile}`);
+  console.log(`    📝 Plain text: ${whisperFiles.txtFile}`);
+  if (gpt4oFiles) {
+    console.log("  🤖 GPT-4o files:");
+    console.log(`    📊 Raw JSON: ${gpt4oFiles.jsonFile}`);
+    console.log(`    📝 Plain text: ${gpt4oFiles.txtFile}`);
+  }
+  console.log("  🎯 Structured files:");
+  console.log(`    📊 Structured JSON: ${structuredFiles.jsonFile}`);
+  console.log(`    🎭 Speaker SRT: ${structuredFiles.srtFile}`);
+  console.log(`    💬 Conversation: ${structuredFiles.txtFile}`);
+  console.log(`    📅 Timeline: ${structuredFiles.timelineFile}`);
+  if (subtitleFiles) {
+    console.log("  🔤 Subtitle files:");
+    console.log(`    🌐 WebVTT: ${subtitleFiles.vttFile}`);
+    console.log(`    📺 TTML: ${subtitleFiles.ttmlFile}`);
+    console.log(`    🎨 ASS: ${subtitleFiles.assFile}`);
+  }
+  console.log("  📖 Formatted files:");
+  console.log(`    📖 Formatted markdown: ${finalFiles.markdownFile}`);
+  console.log(`    📋 Summary: ${finalFiles.summaryFile}`);
+  console.log(`    🧾 Analysis JSON: ${finalFiles.analysisJsonFile}`);
+  
+  // One file per analysis, labelled by its template
+  Object.entries(finalFiles.analysisFiles || {}).forEach(([name, file]) => {
+    const template = templates[name];
+    console.log(`    ${template ? `${template.emoji} ${template.title}` : `🧩 ${name}`}: ${file}`);
+  });
+  if (finalFiles.youtubeChaptersFile) {
+    console.log(`    ▶️  YouTube chapters: ${finalFiles.youtubeChaptersFile}`);
+    console.log(`    🎞️  FFmetadata chapters: ${finalFiles.ffmetadataFile}`);
+    console.log(`    🎬 WebVTT chapters: ${finalFiles.vttChaptersFile}`);
+  }
+  if (result.files.viewerFile) {
+    console.log(`    🖥️  HTML viewer: ${result.files.viewerFile}`);
+  }
+  Object.entries(translatedFiles).forEach(([language, files]) => {
+    console.log(`  🌐 ${getLanguageName(language)} (${language}):`);
+    console.log(`    📝 Translated transcript: ${files.translationFiles.txtFile}`);
+    console.log(`    ⏱️ Translated SRT: ${files.translationFiles.srtFile}`);
+    if (files.subtitleFiles) {
+      console.log(`    🔤 Subtitles: ${files.subtitleFiles.vttFile} (+ .ttml, .ass)`);
+    }
+    console.log(`    📖 Formatted markdown: ${files.formattedFiles.markdownFile}`);
+    console.log(`    🧾 Analysis JSON: ${files.formattedFiles.analysisJsonFile}`);
+  });
+  
+  console.log(`\n🗂️ Manifest: ${result.files.manifestFile}`);
+  if (result.files.searchIndexFile) {
+    console.log(`🔎 Search index: ${result.files.searchIndexFile}`);
+  }
+}
+
+function fail(error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+function exitOnBatchFailures({ report }) {
+  if (report.failed > 0) {
+    process.exit(1);
+  }
+}
+
+if (argv.ytTranscript || argv.batch) {
+  // YouTube transcription pipeline: a single video, a playlist/channel, or a file of URLs
   const youtubeUrl = argv.ytTranscript;
-  if (!youtubeUrl || youtubeUrl === true) {
-    console.error("Usage: --ytTranscript <YouTube-URL>");
+  if (argv.ytTranscript && (!youtubeUrl || youtubeUrl === true)) {
+    console.error("Usage: --ytTranscript <YouTube-URL|playlist-URL|channel-URL>");
     process.exit(1);
   }
   
-  if (!process.env.OPENAI_API_KEY) {
-    console.error("❌ OPENAI_API_KEY environment variable not set");
+  if (argv.batch === true) {
+    console.error("Usage: --batch <file-with-one-URL-per-line>");
+    process.exit(1);
+  }
+  
+  ensureApiKey();
+  
+  if (youtubeUrl && !isCollectionUrl(youtubeUrl)) {
+    console.log("🚀 Starting YouTube transcription pipeline...");
+    
+    runPipeline(youtubeUrl, pipelineOptions())
+      .then(printResult)
+      .catch(fail);
+  } else {
+    console.log("🚀 Starting YouTube batch transcription pipeline...");
+    
+    (async () => {
+      const urls = argv.batch ? await readUrlList(argv.batch) : [youtubeUrl];
+      exitOnBatchFailures(await runBatch(urls, pipelineOptions()));
+    })().catch(fail);
+  }
+  
+} else if (argv.local) {
+  // Local file or directory transcription pipeline
+  const localInput = argv.local;
+  if (!localInput || localInput === true) {
+    console.error("Usage: --local <file-or-directory>");
     process.exit(1);
   }
   
-  console.log("🚀 Starting YouTube transcription pipeline...");
+  ensureApiKey();
+  
+  console.log("🚀 Starting local transcription pipeline...");
   
   (async () => {
-    try {
-      // Step 0: Ensure output folders exist
-      console.log("\n📁 Step 0: Setting up output folders...");
-      const folders = await ensureOutputFolders();
-      console.log(`✅ Output structure ready at: ${folders.base}`);
-      
-      // Step 1: Download audio
-      console.log("\n📥 Step 1: Downloading audio...");
-      const downloadResult = await downloadYouTubeAudio(youtubeUrl);
-      console.log(`✅ Audio downloaded: ${downloadResult.audioFile}`);
-      
-      // Step 2a: Transcribe with OpenAI Whisper
-      console.log("\n🎤 Step 2a: Transcribing audio with Whisper...");
-      const whisperTranscription = await transcribeAudio(downloadResult.audioFile);
-      const whisperFiles = await saveWhisperTranscriptionResults(whisperTranscription, downloadResult.videoId);
-      
-      // Step 2b: Transcribe with GPT-4o
-      console.log("\n🤖 Step 2b: Transcribing audio with GPT-4o...");
-      const gpt4oOptions = {
-        // Enhanced instructions for speaker identification and conversation formatting
-      };
-      const gpt4oTranscription = await transcribeAudioWithGPT4o(downloadResult.audioFile, gpt4oOptions);
-      const gpt4oFiles = await saveGPT4oTranscriptionResults(gpt4oTranscription, downloadResult.videoId);
-      
-      // Step 2c: Create structured transcription with speaker diarization + timing
-      console.log("\n🎯 Step 2c: Creating structured transcription...");
-      const structuredTranscription = await createStructuredTranscription(downloadResult.audioFile);
-      const structuredFiles = await saveStructuredTranscriptionResults(structuredTranscription, downloadResult.videoId);
-      
-      // Step 3: Enhanced formatting and analysis
-      console.log("\n📝 Step 3: Enhanced formatting and analysis...");
-      
-      // Determine analysis level
-      const analysisType = argv.analysis || 'basic';
-      const contentType = argv.contentType || null;
-      const industry = argv.industry || null;
-      
-      console.log(`→ Analysis type: ${analysisType}`);
-      
-      // Format transcript with enhanced features
-      const formattedMarkdown = await formatTranscriptToMarkdown(whisperTranscription.text, {
-        contentType,
-        industry,
-        includeTimestamps: false
+    const files = await collectLocalFiles(localInput);
+    
+    if (files.length === 1) {
+      await printResult(await runPipeline(files[0], pipelineOptions()));
+    } else {
+      exitOnBatchFailures(await runBatch(files, pipelineOptions()));
+    }
+  })().catch(fail);
+  
+} else if (argv._[0] === "serve") {
+  // HTTP API: queue jobs, stream their progress over SSE and serve the artifacts in OUTPUT_FOLDER
+  ensureApiKey();
+  
+  // Operator-only flags go to every job; the rest become defaults a job's options can override
+  const serverFlags = ["llmBaseUrl", "llmApiKey", "maxRetries", "apiConcurrency", "layout", "folderTemplate", "fileTemplate", "templateDir", "profiles", "subtitleMaxChars", "subtitleMaxLines", "subtitleMinDuration", "subtitleMaxDuration", "subtitleMaxCps"];
+  const cliArgs = serverFlags.filter(key => argv[key] !== undefined).flatMap(key => [`--${key}`, String(argv[key])]);
+  const defaults = Object.fromEntries(JOB_OPTION_NAMES.filter(key => argv[key] !== undefined).map(key => [key, argv[key]]));
+  
+  let server;
+  try {
+    server = createApiServer({
+      cliPath: __filename,
+      cliArgs,
+      defaults,
+      concurrency: parseInt(argv.jobs, 10) || 1,
+      token: argv.token || process.env.LL_API_TOKEN || null,
+      corsOrigin: argv.corsOrigin || null
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  const port = parseInt(argv.port || process.env.PORT, 10) || DEFAULT_PORT;
+  const host = argv.host || DEFAULT_HOST;
+  server.on("error", (error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    console.log(`🚀 ll API listening on http://${host}:${port}`);
+    console.log(`→ Jobs in parallel: ${parseInt(argv.jobs, 10) || 1}`);
+    console.log(`→ Artifacts served from: ${process.env.OUTPUT_FOLDER}`);
+  });
+  
+  process.on("SIGINT", () => {
+    console.log("\n🛑 Shutting down; running jobs resume from their manifests next time");
+    server.shutdown();
+  });
+  
+} else if (argv._[0] === "templates") {
+  // The analyses --analysis custom --templates can pick from
+  loadAnalysisTemplates()
+    .then((templates) => {
+      console.log("Analysis templates:");
+      Object.values(templates).forEach((template) => {
+        const origin = template.builtin ? "built-in" : template.source;
+        console.log(`  ${template.emoji} ${template.name.padEnd(20)} ${template.title} → _${template.output} (${origin})`);
+        if (template.description) {
+          console.log(`  ${" ".repeat(23)} ${template.description}`);
+        }
       });
-      
-      const summary = await createSummary(whisperTranscription.text);
-      
-      let analysisResults = null;
-      
-      if (analysisType === 'full') {
-        // Run comprehensive analysis
-        analysisResults = await performComprehensiveAnalysis(whisperTranscription.text, {
-          videoTitle: `YouTube Video ${downloadResult.videoId}`
+    })
+    .catch(fail);
+  
+} else if (argv._[0] === "profiles") {
+  // The content types and industries detection picks from, and the analyses --analysis auto runs for each
+  loadContentProfiles()
+    .then((profiles) => {
+      [["contentType", "Content types"], ["industry", "Industries"]].forEach(([kind, heading]) => {
+        console.log(`${heading}:`);
+        Object.values(profiles[kind]).forEach((profile) => {
+          const details = [
+            profile.name === profiles.defaults[kind] && "default",
+            profile.source !== "built-in" && profile.source
+          ].filter(Boolean);
+          console.log(`  ${profile.name.padEnd(20)} ${profile.description || ""}${details.length > 0 ? ` (${details.join(", ")})` : ""}`);
+          if (profile.keywords.length > 0) {
+            console.log(`  ${" ".repeat(20)} keywords: ${profile.keywords.map(({ term, weight }) => (weight === 1 ? term : `${term}=${weight}`)).join(", ")}`);
+          }
+          if (profile.analyses) {
+            console.log(`  ${" ".repeat(20)} analyses: ${profile.analyses.join(", ")}`);
+          }
         });
-      } else if (analysisType === 'custom') {
-        // Run selective analysis based on additional flags
-        const analysisOptions = {
-          enableSentiment: argv.sentiment !== false,
-          enableActionItems: argv.actionItems !== false,
-          enableQuotes: argv.quotes !== false,
-          enableSocial: argv.social !== false,
-          enableKeywords: argv.keywords !== false,
-          enableChapters: argv.chapters !== false,
-          enableBlogPost: argv.blogPost !== false,
-          enableNewsletter: argv.newsletter !== false,
-          enableFAQ: argv.faq !== false,
-          enableDiscussion: argv.discussion !== false,
-          enableStudyGuide: argv.studyGuide !== false,
-          videoTitle: `YouTube Video ${downloadResult.videoId}`
-        };
-        
-        analysisResults = await performComprehensiveAnalysis(whisperTranscription.text, analysisOptions);
-      }
-      
-      const finalFiles = await saveFormattedResults(
-        formattedMarkdown, 
-        summary, 
-        downloadResult.videoId, 
-        null, 
-        null, 
-        analysisResults
-      );
-      
-      console.log("\n🎉 Transcription pipeline completed!");
-      console.log("📁 Files organized in:");
-      console.log(`  📂 Downloads: ${folders.downloads}`);
-      console.log(`  📂 Whisper Transcriptions: ${folders.whisperTranscriptions}`);
-      console.log(`  📂 GPT-4o Transcriptions: ${folders.gpt4oTranscriptions}`);
-      console.log(`  📂 Structured Transcriptions: ${folders.structuredTranscriptions}`);
-      console.log(`  📂 Formatted: ${folders.formatted}`);
-      console.log("\n📄 Files created:");
-      console.log(`  🎵 Audio: ${downloadResult.audioFile}`);
-      console.log("  🎤 Whisper files:");
-      console.log(`    📊 Raw JSON: ${whisperFiles.jsonFile}`);
-      console.log(`    ⏱️ Word timestamps: ${whisperFiles.srtFile}`);
-      console.log(`    📝 Plain text: ${whisperFiles.txtFile}`);
-      console.log("  🤖 GPT-4o files:");
-      console.log(`    📊 Raw JSON: ${gpt4oFiles.jsonFile}`);
-      console.log(`    📝 Plain text: ${gpt4oFiles.txtFile}`);
-      console.log("  🎯 Structured files:");
-      console.log(`    📊 Structured JSON: ${structuredFiles.jsonFile}`);
-      console.log(`    🎭 Speaker SRT: ${structuredFiles.srtFile}`);
-      console.log(`    💬 Conversation: ${structuredFiles.txtFile}`);
-      console.log(`    📅 Timeline: ${structuredFiles.timelineFile}`);
-      console.log("  📖 Formatted files:");
-      console.log(`    📖 Formatted markdown: ${finalFiles.markdownFile}`);
-      console.log(`    📋 Summary: ${finalFiles.summaryFile}`);
-      
-      // Show additional analysis files if they exist
-      if (finalFiles.sentimentFile) {
-        console.log(`    😊 Sentiment analysis: ${finalFiles.sentimentFile}`);
-      }
-      if (finalFiles.actionFile) {
-        console.log(`    📋 Action items: ${finalFiles.actionFile}`);
-      }
-      if (finalFiles.quotesFile) {
-        console.log(`    💬 Key quotes: ${finalFiles.quotesFile}`);
-      }
-      if (finalFiles.socialFile) {
-        console.log(`    📱 Social media: ${finalFiles.socialFile}`);
-      }
-      if (finalFiles.keywordsFile) {
-        console.log(`    🔍 Keywords & tags: ${finalFiles.keywordsFile}`);
-      }
-      if (finalFiles.chaptersFile) {
-        console.log(`    📚 Chapter markers: ${finalFiles.chaptersFile}`);
-      }
-      if (finalFiles.blogFile) {
-        console.log(`    📝 Blog post: ${finalFiles.blogFile}`);
-      }
-      if (finalFiles.newsletterFile) {
-        console.log(`    📧 Newsletter: ${finalFiles.newsletterFile}`);
-      }
-      if (finalFiles.faqFile) {
-        console.log(`    ❓ FAQ: ${finalFiles.faqFile}`);
-      }
-      if (finalFiles.discussionFile) {
-        console.log(`    🤔 Discussion questions: ${finalFiles.discussionFile}`);
-      }
-      if (finalFiles.studyFile) {
-        console.log(`    📖 Study guide: ${finalFiles.studyFile}`);
+      });
+    })
+    .catch(fail);
+  
+} else if (argv._[0] === "viewer") {
+  // Rebuild the offline HTML viewer of videos processed earlier, e.g. after renaming speakers by hand
+  const videoIds = argv._.slice(1).map(String);
+  if (videoIds.length === 0) {
+    console.error("Usage: viewer <video-id...>");
+    process.exit(1);
+  }
+  
+  (async () => {
+    for (const videoId of videoIds) {
+      console.log(`\n🖥️  Building HTML viewer for ${videoId}...`);
+      await buildVideoViewer(videoId);
+    }
+  })().catch(fail);
+  
+} else if (argv._[0] === "search") {
+  // Search every processed video's transcript; --reindex first rebuilds the index from the manifests
+  const query = argv._.slice(1).map(String).join(" ");
+  if (!query && !argv.reindex) {
+    console.error("Usage: search \"<words or \"a phrase\">\" [--speaker <name>] [--channel <name>] [--from <date>] [--to <date>] [--video <id,...>] [--limit <n>] [--semantic] [--json] [--reindex]");
+    process.exit(1);
+  }
+  
+  (async () => {
+    if (argv.reindex) {
+      console.log("\n🔎 Rebuilding search index from the manifests...");
+      await rebuildSearchIndex();
+      if (!query) {
+        return;
       }
-      
-    } catch (error) {
-      console.error(`❌ Pipeline error: ${error.message}`);
+    }
+    
+    // Only semantic searches call the LLM server (for embeddings)
+    if (argv.semantic && !llmConfig.apiKey) {
+      console.error("❌ OPENAI_API_KEY or LLM_API_KEY not set; --semantic needs an embedding model");
       process.exit(1);
     }
-  })();
+    const { hits, total } = await searchTranscripts(query, {
+      speaker: argv.speaker,
+      channel: argv.channel,
+      from: argv.from,
+      to: argv.to,
+      videoIds: argv.video ? String(argv.video).split(",").map(id => id.trim()).filter(Boolean) : null,
+      limit: argv.limit,
+      semantic: argv.semantic
+    });
+    
+    if (argv.json) {
+      console.log(JSON.stringify({ query, total, hits }, null, 2));
+      return;
+    }
+    
+    console.log(`\n🔎 ${total} ${total === 1 ? "hit" : "hits"} for ${query}${total > hits.length ? ` (showing ${hits.length})` : ""}`);
+    hits.forEach((hit, i) => {
+      const details = [hit.channel, hit.date].filter(Boolean).join(", ");
+      console.log(`\n${i + 1}. ${hit.title}${details ? ` (${details})` : ""} [${hit.videoId}]`);
+      console.log(`   ${formatYouTubeTime(hit.start)}${hit.speaker ? ` ${hit.speaker}:` : ""} ${hit.text}`);
+      if (hit.link) {
+        console.log(`   ${hit.link}`);
+      }
+    });
+  })().catch(fail);
+  
+} else if (argv._[0] === "ask") {
+  // Answer a question from one video's transcript (or several: id1,id2), or from every indexed video with "all"
+  const scope = argv._[1] === undefined ? "" : String(argv._[1]);
+  const question = argv._.slice(2).map(String).join(" ");
+  if (!scope || !question) {
+    console.error("Usage: ask <video-id|id1,id2|all> \"<question>\" [--speaker <name>] [--channel <name>] [--from <date>] [--to <date>] [--hits <n>] [--semantic] [--json]");
+    process.exit(1);
+  }
+  if (!llmConfig.apiKey) {
+    console.error("❌ OPENAI_API_KEY or LLM_API_KEY not set; ask needs the LLM to answer");
+    process.exit(1);
+  }
+  
+  (async () => {
+    if (!argv.json) {
+      console.log(`\n❓ ${question}`);
+    }
+    const answer = await askTranscripts(scope, question, {
+      speaker: argv.speaker,
+      channel: argv.channel,
+      from: argv.from,
+      to: argv.to,
+      hits: argv.hits,
+      semantic: argv.semantic
+    });
+    
+    if (argv.json) {
+      console.log(JSON.stringify(answer, null, 2));
+      return;
+    }
+    
+    if (!answer.answered) {
+      console.log(`\n🚫 The transcripts don't answer this. ${answer.explanation}`);
+      return;
+    }
+    
+    console.log(`\n💬 Answer (from ${answer.excerpts} transcript segments):`);
+    answer.claims.forEach((claim) => {
+      console.log(`\n• ${claim.statement}`);
+      claim.citations.forEach((citation) => {
+        const source = [formatYouTubeTime(citation.start), citation.speaker, citation.title].filter(Boolean).join(" · ");
+        console.log(`  ↳ [${source}] ${citation.link || citation.videoId}`);
+      });
+    });
+    if (answer.explanation) {
+      console.log(`\n📝 ${answer.explanation}`);
+    }
+  })().catch(fail);
   
 } else {
   console.log("Sorry, you didn't enter a recognized command.");
   console.log("Available commands:");
   console.log("  --ytTranscript <YouTube-URL>      Full transcription pipeline using OpenAI Whisper");
-  console.log("  --analysis <type>                 Analysis type: basic, full, custom");
+  console.log("                                    (playlist and channel URLs process every video)");
+  console.log("  --batch <file>                    Process a text file of YouTube URLs, one per line");
+  console.log("  --concurrency <n>                 Videos/files processed in parallel in batches (default: 2)");
+  console.log("  --local <file-or-directory>       Same pipeline for local audio/video files");
+  console.log("  serve                             HTTP API for jobs with SSE progress (--port, --host, --jobs, --token)");
+  console.log("  --idFrom <filename|hash>          ID source for local files (default: filename)");
+  console.log("  --analysis <type>                 Analysis type: basic, full, custom, auto (the detected profiles' analyses)");
+  console.log("  --templates <names>               Analysis templates to run, e.g. sales-scorecard,faq (default analysis: custom)");
+  console.log("  --templateDir <dir>               Folder of your own YAML/markdown analysis templates (or ANALYSIS_TEMPLATE_DIR)");
+  console.log("  templates                         List the analysis templates, built-in and from --templateDir");
   console.log("  --contentType <type>              Override content type detection");
   console.log("  --industry <industry>             Override industry detection");
+  console.log("  --classifier <keywords|llm>       Detect content type and industry by keywords (default) or with the LLM");
+  console.log("  --profiles <file>                 YAML file of your own content-type/industry profiles (or CONTENT_PROFILES)");
+  console.log("  profiles                          List the content-type and industry profiles");
+  console.log("  --no-viewer                       Skip the offline HTML viewer (formatted/{id}_viewer.html)");
+  console.log("  viewer <id...>                    Rebuild the HTML viewer of videos processed earlier");
+  console.log("  search <query>                    Search every processed transcript; \"quote\" phrases (--speaker, --channel,");
+  console.log("                                    --from, --to, --video, --limit, --semantic, --json, --reindex)");
+  console.log("  --no-index                        Leave the video out of the search index");
+  console.log("  ask <id|all> <question>           Answer from the transcripts, citing speaker and timestamp for every claim");
+  console.log("                                    (--speaker, --channel, --from, --to, --hits, --semantic, --json)");
+  console.log("  --source <whisper|captions|auto>  Transcript source for YouTube videos (default: whisper);");
+  console.log("                                    auto uses existing captions and falls back to Whisper");
+  console.log("  --language <code|auto>            Spoken language, e.g. es (default: auto-detect)");
+  console.log("  --translate-to <codes>            Translate transcript, subtitles and analyses, e.g. es,fr");
+  console.log("  --speakers <file|label=name,...>  Rename speakers, e.g. \"Speaker 1=Dana Whitfield,Speaker 2=Sam Ortiz\"");
+  console.log("  --roster <file>                   JSON roster of recurring speakers used when labelling (or SPEAKER_ROSTER)");
+  console.log("  --backend <name>                  Transcription backend: openai, whisper-cpp, faster-whisper");
+  console.log("  --llmBaseUrl <url>                OpenAI-compatible server for formatting/analysis");
+  console.log("  --llmModel <model>                Default model for formatting/analysis (default: gpt-4o)");
+  console.log("  --llmModels <task=model,...>      Per-task models, e.g. summary=llama3.1,structured=qwen2.5");
+  console.log("  --subtitleMaxChars <n>            Max characters per subtitle line (default: 42)");
+  console.log("  --subtitleMaxLines <n>            Max lines per subtitle cue (default: 2)");
+  console.log("  --subtitleMinDuration <s>         Min cue display time in seconds (default: 1)");
+  console.log("  --subtitleMaxDuration <s>         Max cue display time in seconds (default: 7)");
+  console.log("  --subtitleMaxCps <n>              Reading-speed limit in characters per second (default: 17)");
+  console.log("  --maxRetries <n>                  Retries for rate-limited or failed API requests (default: 5)");
+  console.log("  --layout <preset>                 Output layout: by-type (default), per-video, dated");
+  console.log("  --folderTemplate <template>       Folder per output, e.g. \"{channel}/{title} [{id}]/{type}\"");
+  console.log("  --fileTemplate <template>         File name prefix, e.g. \"{date} {title}\" (must name {id} if the folder doesn't)");
+  console.log("  --apiConcurrency <n>              API requests in flight at once, across all videos (default: 4)");
+  console.log("  --dry-run                         Estimate the run's cost without calling any paid API");
+  console.log("  --max-cost <usd>                  Abort a video before its cost would go over this budget");
+  console.log("  --force                           Re-run every step, ignoring cached artifacts");
+  console.log("  --from-step <step>                Re-run from a step: download, whisper, gpt4o, structured, analysis, translation");
 }
\ No newline at end of file
@@ -0,0 +1,380 @@
+/**
+ * Response schemas for every analysis type and the markdown renderers built on them
+ * Analyses are requested as strict JSON and saved as _analysis.json; markdown is rendered from that data.
+ * Analysis templates name one of these schemas or bring their own, rendered by renderDataMarkdown.
+ */
+
+const { createChaptersMarkdown, formatYouTubeTime } = require('./chapter-export');
+
+// Strict json_schema mode needs every property listed as required and no extras
+function objectSchema(properties) {
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false
+    };
+}
+
+function arrayOf(items) {
+    return { type: 'array', items };
+}
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const number = { type: 'number' };
+const sentimentLabel = { type: 'string', enum: ['positive', 'negative', 'neutral', 'mixed'] };
+
+const ANALYSIS_SCHEMAS = {
+    sentiment: {
+        schemaName: 'sentiment_analysis',
+        schema: objectSchema({
+            overall: objectSchema({
+                label: sentimentLabel,
+                score: number,
+                confidence: number
+            }),
+            progression: arrayOf(objectSchema({
+                section: string,
+                label: sentimentLabel,
+                score: number,
+                note: string
+            })),
+            emotional_peaks: arrayOf(objectSchema({
+                moment: string,
+                emotion: string,
+                intensity: { type: 'string', enum: ['low', 'medium', 'high'] }
+            })),
+            speakers: arrayOf(objectSchema({
+                speaker: string,
+                label: sentimentLabel,
+                score: number,
+                tone: string
+            })),
+            summary: string
+        })
+    },
+
+    actionItems: {
+        schemaName: 'action_items',
+        schema: objectSchema({
+            action_items: arrayOf(objectSchema({
+                task: string,
+                owner: nullableString,
+                deadline: nullableString,
+                priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+                needs_follow_up: { type: 'boolean' }
+            })),
+            decisions: arrayOf(string),
+            open_questions: arrayOf(string)
+        })
+    },
+
+    quotes: {
+        schemaName: 'key_quotes',
+        schema: objectSchema({
+            quotes: arrayOf(objectSchema({
+                text: string,
+                speaker: nullableString,
+                segment: { type: ['integer', 'null'] },
+                context: string
+            }))
+        })
+    },
+
+    social: {
+        schemaName: 'social_media_content',
+        schema: objectSchema({
+            twitter: objectSchema({ text: string, hashtags: arrayOf(string) }),
+            linkedin: objectSchema({ text: string, hashtags: arrayOf(string) }),
+            instagram: objectSchema({ caption: string, hashtags: arrayOf(string) })
+        })
+    },
+
+    keywords: {
+        schemaName: 'keywords_and_tags',
+        schema: objectSchema({
+            keywords: arrayOf(objectSchema({
+                term: string,
+                weight: number,
+                type: { type: 'string', enum: ['primary', 'secondary', 'topic'] }
+            })),
+            hashtags: arrayOf(string)
+        })
+    },
+
+    chapters: {
+        schemaName: 'chapter_markers',
+        schema: objectSchema({
+            chapters: arrayOf(objectSchema({
+                start_segment: { type: 'integer' },
+                title: string,
+                summary: string
+            }))
+        })
+    },
+
+    blogPost: {
+        schemaName: 'blog_post',
+        schema: objectSchema({
+            headline: string,
+            introduction: string,
+            sections: arrayOf(objectSchema({ heading: string, body: string })),
+            conclusion: string,
+            key_takeaways: arrayOf(string),
+            seo_keywords: arrayOf(string)
+        })
+    },
+
+    newsletter: {
+        schemaName: 'newsletter',
+        schema: objectSchema({
+            headline: string,
+            intro: string,
+            sections: arrayOf(objectSchema({ heading: string, body: string })),
+            key_takeaways: arrayOf(string),
+            closing: string
+        })
+    },
+
+    faq: {
+        schemaName: 'faq',
+        schema: objectSchema({
+            questions: arrayOf(objectSchema({ question: string, answer: string }))
+        })
+    },
+
+    discussion: {
+        schemaName: 'discussion_questions',
+        schema: objectSchema({
+            questions: arrayOf(objectSchema({
+                question: string,
+                type: { type: 'string', enum: ['analytical', 'hypothetical', 'comparative', 'reflective', 'applied'] }
+            }))
+        })
+    },
+
+    studyGuide: {
+        schemaName: 'study_guide',
+        schema: objectSchema({
+            key_terms: arrayOf(objectSchema({ term: string, definition: string })),
+            main_concepts: arrayOf(objectSchema({ concept: string, explanation: string })),
+            review_questions: arrayOf(objectSchema({
+                question: string,
+                answer: string,
+                difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] }
+            })),
+            applications: arrayOf(string)
+        })
+    }
+};
+
+function formatScore(score) {
+    return `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+}
+
+function formatHashtags(hashtags) {
+    return hashtags.map(tag => (tag.startsWith('#') ? tag : `#${tag}`)).join(' ');
+}
+
+const RENDERERS = {
+    sentiment: (data) => {
+        const lines = [
+            `**Overall:** ${data.overall.label} (score ${formatScore(data.overall.score)}, confidence ${Math.round(data.overall.confidence * 100)}%)`,
+            '',
+            data.summary
+        ];
+
+        if (data.progression.length > 0) {
+            lines.push('', '### Sentiment Progression', '');
+            data.progression.forEach(step => lines.push(`- **${step.section}** – ${step.label} (${formatScore(step.score)}): ${step.note}`));
+        }
+
+        if (data.emotional_peaks.length > 0) {
+            lines.push('', '### Emotional Peaks', '');
+            data.emotional_peaks.forEach(peak => lines.push(`- ${peak.moment} — *${peak.emotion}* (${peak.intensity})`));
+        }
+
+        if (data.speakers.length > 0) {
+            lines.push('', '### By Speaker', '');
+            data.speakers.forEach(speaker => lines.push(`- **${speaker.speaker}**: ${speaker.label} (${formatScore(speaker.score)}) – ${speaker.tone}`));
+        }
+
+        return lines.join('\n');
+    },
+
+    actionItems: (data) => {
+        const lines = [];
+
+        if (data.action_items.length > 0) {
+            data.action_items.forEach(item => {
+                const details = [
+                    item.owner && `Owner: ${item.owner}`,
+                    item.deadline && `Due: ${item.deadline}`,
+                    `Priority: ${item.priority}`,
+                    item.needs_follow_up && 'Needs follow-up'
+                ].filter(Boolean).join(' · ');
+                lines.push(`- [ ] ${item.task} _(${details})_`);
+            });
+        } else {
+            lines.push('_No action items identified._');
+        }
+
+        if (data.decisions.length > 0) {
+            lines.push('', '### Decisions', '', ...data.decisions.map(decision => `- ${decision}`));
+        }
+
+        if (data.open_questions.length > 0) {
+            lines.push('', '### Open Questions', '', ...data.open_questions.map(question => `- ${question}`));
+        }
+
+        return lines.join('\n');
+    },
+
+    quotes: (data) => data.quotes
+        .map(quote => {
+            const attribution = [
+                quote.speaker,
+                typeof quote.timestamp === 'number' && formatYouTubeTime(quote.timestamp)
+            ].filter(Boolean).join(', ');
+            return `> "${quote.text}"${attribution ? `\n> — ${attribution}` : ''}\n\n${quote.context}`;
+        })
+        .join('\n\n'),
+
+    social: (data) => [
+        `### Twitter/X (${data.twitter.text.length} characters)`,
+        '',
+        data.twitter.text,
+        '',
+        formatHashtags(data.twitter.hashtags),
+        '',
+        `### LinkedIn (${data.linkedin.text.length} characters)`,
+        '',
+        data.linkedin.text,
+        '',
+        formatHashtags(data.linkedin.hashtags),
+        '',
+        `### Instagram (${data.instagram.caption.length} characters)`,
+        '',
+        data.instagram.caption,
+        '',
+        formatHashtags(data.instagram.hashtags)
+    ].join('\n'),
+
+    keywords: (data) => [
+        '### Keywords',
+        '',
+        ...[...data.keywords]
+            .sort((a, b) => b.weight - a.weight)
+            .map(keyword => `- **${keyword.term}** (${keyword.type}, weight ${keyword.weight.toFixed(2)})`),
+        '',
+        '### Hashtags',
+        '',
+        formatHashtags(data.hashtags)
+    ].join('\n'),
+
+    chapters: (chapters) => createChaptersMarkdown(chapters),
+
+    blogPost: (data) => [
+        `# ${data.headline}`,
+        '',
+        data.introduction,
+        ...data.sections.flatMap(section => ['', `## ${section.heading}`, '', section.body]),
+        '',
+        '## Conclusion',
+        '',
+        data.conclusion,
+        '',
+        '### Key Takeaways',
+        '',
+        ...data.key_takeaways.map(takeaway => `- ${takeaway}`)
+    ].join('\n'),
+
+    newsletter: (data) => [
+        `## ${data.headline}`,
+        '',
+        data.intro,
+        ...data.sections.flatMap(section => ['', `### ${section.heading}`, '', section.body]),
+        '',
+        '### Key Takeaways',
+        '',
+        ...data.key_takeaways.map(takeaway => `- ${takeaway}`),
+        '',
+        data.closing
+    ].join('\n'),
+
+    faq: (data) => data.questions
+        .map(item => `**Q: ${item.question}**\n\nA: ${item.answer}`)
+        .join('\n\n'),
+
+    discussion: (data) => data.questions
+        .map((item, index) => `${index + 1}. ${item.question} _(${item.type})_`)
+        .join('\n'),
+
+    studyGuide: (data) => [
+        '### Key Terms',
+        '',
+        ...data.key_terms.map(item => `- **${item.term}**: ${item.definition}`),
+        '',
+        '### Main Concepts',
+        '',
+        ...data.main_concepts.map(item => `- **${item.concept}**: ${item.explanation}`),
+        '',
+        '### Review Questions',
+        '',
+        ...data.review_questions.map((item, index) => `${index + 1}. ${item.question} _(${item.difficulty})_\n   - Answer: ${item.answer}`),
+        '',
+        '### Applications',
+        '',
+        ...data.applications.map(application => `- ${application}`)
+    ].join('\n')
+};
+
+// Markdown strings (from older callers) pass through untouched
+function renderAnalysisMarkdown(type, data) {
+    if (typeof data === 'string') {
+        return data;
+    }
+
+    const render = RENDERERS[type];
+    if (!render) {
+        throw new Error(`No markdown renderer for analysis type '${type}'`);
+    }
+    return render(data);
+}
+
+function humanizeKey(key) {
+    const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function isScalar(value) {
+    return value === null || typeof value !== 'object';
+}
+
+// Markdown for data from a template's own schema: scalars as bold fields, lists as bullets, nested objects under headings
+function renderDataMarkdown(data, depth = 3) {
+    if (typeof data === 'string') {
+        return data;
+    }
+    if (Array.isArray(data)) {
+        return data.map(item => (isScalar(item)
+            ? `- ${item ?? '—'}`
+            : `- ${Object.entries(item).map(([key, value]) => `**${humanizeKey(key)}:** ${isScalar(value) ? value ?? '—' : JSON.stringify(value)}`).join(' · ')}`
+        )).join('\n');
+    }
+    if (isScalar(data)) {
+        return String(data ?? '');
+    }
+    return Object.entries(data)
+        .map(([key, value]) => (isScalar(value)
+            ? `**${humanizeKey(key)}:** ${value ?? '—'}`
+            : `${'#'.repeat(Math.min(depth, 6))} ${humanizeKey(key)}\n\n${renderDataMarkdown(value, depth + 1)}`))
+        .join('\n\n');
+}
+
+module.exports = {
+    ANALYSIS_SCHEMAS,
+    renderAnalysisMarkdown,
+    renderDataMarkdown
+};
@@ -0,0 +1,284 @@
+/**
+ * Analysis templates: every analysis is defined by a YAML file, or a markdown file whose front matter holds the
+ * settings and whose body is the system prompt. The built-in analyses ship as templates in templates/; a user
+ * folder (--templateDir, ANALYSIS_TEMPLATE_DIR) adds new analyses and overrides built-ins by name.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+const { ANALYSIS_SCHEMAS, renderAnalysisMarkdown, renderDataMarkdown } = require('./analysis-schemas');
+
+const BUILTIN_TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+// The built-in analyses, in the order they run and appear in the formatted document
+const BUILTIN_TEMPLATES = ['sentiment', 'actionItems', 'quotes', 'social', 'keywords', 'chapters', 'blogPost', 'newsletter', 'faq', 'discussion', 'studyGuide'];
+
+// Task names the pipeline's own requests already use (for models and cost estimates)
+const RESERVED_NAMES = ['format', 'summary', 'structured', 'translation', 'classify', 'embedding', 'ask'];
+
+// File name endings a video's formatted folder already uses
+const RESERVED_OUTPUTS = ['formatted.md', 'analysis.json', 'summary.md', 'chapters.json', 'chapters_youtube.txt', 'chapters.ffmetadata', 'chapters.vtt', 'viewer.html'];
+
+const TEMPLATE_EXTENSIONS = ['.yaml', '.yml', '.md'];
+
+// {{title}} is the video title, {{count}} the template's count setting
+const PROMPT_PLACEHOLDERS = ['title', 'count'];
+
+const DEFAULT_SETTINGS = {
+    emoji: '🧩',
+    user_prompt: 'Please analyze this transcript',
+    temperature: 0.3,
+    max_tokens: 1500,
+    input: 'text',
+    chunked: false,
+    in_document: true,
+    heading: true
+};
+
+let templateConfig = null;
+
+function readEnvTemplateConfig() {
+    return {
+        dir: process.env.ANALYSIS_TEMPLATE_DIR || null
+    };
+}
+
+/**
+ * Choose the folder of user templates (unset: ANALYSIS_TEMPLATE_DIR). Its templates are added to the built-ins;
+ * one named like a built-in replaces the settings it lists and keeps the rest.
+ */
+function configureAnalysisTemplates(overrides = {}) {
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    templateConfig = { ...readEnvTemplateConfig(), ...defined };
+    return templateConfig;
+}
+
+function getAnalysisTemplateConfig() {
+    if (!templateConfig) {
+        configureAnalysisTemplates();
+    }
+    return templateConfig;
+}
+
+// actionItems → action_items, sales-scorecard → sales_scorecard
+function snakeCase(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+}
+
+// Strict json_schema mode needs every property required and no extras, so inline schemas are tightened to match
+function strictSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(strictSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const strict = Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, strictSchema(value)]));
+    if (strict.type === 'object' && strict.properties) {
+        strict.required = Object.keys(strict.properties);
+        strict.additionalProperties = false;
+    }
+    return strict;
+}
+
+// Front matter between --- lines holds the settings; the rest of the file is the system prompt
+function parseMarkdownTemplate(content) {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---[^\S\r\n]*(?:\r?\n([\s\S]*))?$/);
+    if (!match) {
+        throw new Error('markdown templates start with their settings between --- lines');
+    }
+
+    const settings = YAML.parse(match[1]) || {};
+    const body = (match[2] || '').trim();
+    return body ? { ...settings, system_prompt: body } : settings;
+}
+
+async function readTemplateFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const definition = path.extname(filePath).toLowerCase() === '.md' ? parseMarkdownTemplate(content) : YAML.parse(content);
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('expected a mapping of template settings');
+    }
+    return definition;
+}
+
+async function readTemplateFolder(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir);
+    } catch (error) {
+        throw new Error(`Cannot read analysis template folder ${dir}: ${error.message}`);
+    }
+
+    const definitions = [];
+    for (const entry of entries.filter(entry => TEMPLATE_EXTENSIONS.includes(path.extname(entry).toLowerCase())).sort()) {
+        const file = path.join(dir, entry);
+        try {
+            const definition = await readTemplateFile(file);
+            definitions.push({ file, definition: { name: path.basename(entry, path.extname(entry)), ...definition } });
+        } catch (error) {
+            throw new Error(`Analysis template ${file}: ${error.message}`);
+        }
+    }
+    return definitions;
+}
+
+function checkPlaceholders(text, fields, problem) {
+    const names = (text.match(/\{\{[^}]*\}\}/g) || []).map(placeholder => placeholder.slice(2, -2).trim());
+    const unknown = names.filter(name => !PROMPT_PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+        throw problem(`unknown placeholder(s) ${unknown.map(name => `{{${name}}}`).join(', ')} (use ${PROMPT_PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')})`);
+    }
+    if (names.includes('count') && fields.count === undefined) {
+        throw problem('{{count}} needs a count setting');
+    }
+}
+
+// Check a definition's settings and give them the names the analysis code uses
+function createTemplate(definition, source, builtin) {
+    const problem = message => new Error(`Analysis template ${source}: ${message}`);
+    const fields = { ...DEFAULT_SETTINGS, ...definition };
+    const { name } = fields;
+
+    if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) {
+        throw problem('name must start with a letter and use only letters, digits, - and _');
+    }
+    if (RESERVED_NAMES.includes(name)) {
+        throw problem(`the name '${name}' is used by a pipeline step`);
+    }
+    if (typeof fields.system_prompt !== 'string' || !fields.system_prompt.trim()) {
+        throw problem('system_prompt is required');
+    }
+
+    const temperature = Number(fields.temperature);
+    if (isNaN(temperature) || temperature < 0 || temperature > 2) {
+        throw problem('temperature must be between 0 and 2');
+    }
+    const maxTokens = Number(fields.max_tokens);
+    const mergeMaxTokens = Number(fields.merge_max_tokens ?? fields.max_tokens);
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || !Number.isInteger(mergeMaxTokens) || mergeMaxTokens < 1) {
+        throw problem('max_tokens must be a positive whole number');
+    }
+    if (fields.count !== undefined && (!Number.isInteger(fields.count) || fields.count < 1)) {
+        throw problem('count must be a positive whole number');
+    }
+    if (!['text', 'timed'].includes(fields.input)) {
+        throw problem(`input must be text or timed, got '${fields.input}'`);
+    }
+    if (fields.chunked && !fields.merge_instructions) {
+        throw problem('chunked templates need merge_instructions for combining the parts of a long transcript');
+    }
+    [fields.system_prompt, fields.user_prompt, fields.merge_instructions || '']
+        .forEach(text => checkPlaceholders(String(text), fields, problem));
+
+    // A schema is a built-in schema's name or an inline JSON schema; without one the analysis is markdown
+    let schema = null;
+    let schemaName = null;
+    let schemaRef = null;
+    if (typeof fields.schema === 'string') {
+        if (!ANALYSIS_SCHEMAS[fields.schema]) {
+            throw problem(`unknown schema '${fields.schema}' (use an inline JSON schema or one of ${Object.keys(ANALYSIS_SCHEMAS).join(', ')})`);
+        }
+        ({ schema, schemaName } = ANALYSIS_SCHEMAS[fields.schema]);
+        schemaRef = fields.schema;
+    } else if (fields.schema) {
+        if (fields.schema.type !== 'object' || !fields.schema.properties) {
+            throw problem('schema must be an object schema with properties');
+        }
+        schema = strictSchema(fields.schema);
+        schemaName = snakeCase(name);
+    }
+
+    const output = fields.output || `${snakeCase(name)}.md`;
+    if (!/^\w[\w.-]*$/.test(output)) {
+        throw problem(`output must be a plain file name such as ${snakeCase(name)}.md, got '${output}'`);
+    }
+    if (RESERVED_OUTPUTS.includes(output)) {
+        throw problem(`output ${output} is already used for the video's own files`);
+    }
+
+    return {
+        name,
+        title: fields.title || name,
+        description: fields.description || null,
+        emoji: fields.emoji,
+        systemPrompt: fields.system_prompt.trim(),
+        userPrompt: String(fields.user_prompt).trim(),
+        temperature,
+        maxTokens,
+        count: fields.count,
+        input: fields.input,
+        chunked: Boolean(fields.chunked),
+        mergeInstructions: fields.merge_instructions ? String(fields.merge_instructions).trim() : null,
+        mergeMaxTokens,
+        schema,
+        schemaName,
+        schemaRef,
+        output,
+        inDocument: fields.in_document !== false,
+        heading: fields.heading !== false,
+        model: fields.model || null,
+        builtin,
+        source,
+        // Changes when the template is edited, so the pipeline re-runs analyses from user templates
+        hash: crypto.createHash('sha256').update(JSON.stringify(definition)).digest('hex').slice(0, 12)
+    };
+}
+
+/**
+ * Load the built-in templates and the user folder's. Resolves to { name: template }: built-ins first in
+ * BUILTIN_TEMPLATES order, then user templates in file name order.
+ */
+async function loadAnalysisTemplates() {
+    const { dir } = getAnalysisTemplateConfig();
+
+    const builtinDefinitions = new Map((await readTemplateFolder(BUILTIN_TEMPLATE_DIR))
+        .map(({ file, definition }) => [definition.name, { file, definition }]));
+
+    const templates = {};
+    BUILTIN_TEMPLATES.forEach(name => {
+        const { file, definition } = builtinDefinitions.get(name);
+        templates[name] = createTemplate(definition, file, true);
+    });
+
+    if (dir) {
+        for (const { file, definition } of await readTemplateFolder(dir)) {
+            const existing = templates[definition.name];
+            if (existing && !existing.builtin) {
+                throw new Error(`Analysis templates ${existing.source} and ${file} are both named '${definition.name}'`);
+            }
+            const builtin = builtinDefinitions.get(definition.name);
+            templates[definition.name] = {
+                ...createTemplate({ ...builtin?.definition, ...definition }, file, false),
+                overridesBuiltin: Boolean(builtin)
+            };
+        }
+    }
+
+    const outputs = new Map();
+    Object.values(templates).forEach(template => {
+        if (outputs.has(template.output)) {
+            throw new Error(`Analysis templates ${outputs.get(template.output)} and ${template.source} both write ${template.output}`);
+        }
+        outputs.set(template.output, template.source);
+    });
+
+    return templates;
+}
+
+// Markdown for a template's result: a built-in schema's own renderer, or the generic one for inline schemas
+function renderTemplateMarkdown(template, data) {
+    return template.schemaRef ? renderAnalysisMarkdown(template.schemaRef, data) : renderDataMarkdown(data);
+}
+
+module.exports = {
+    BUILTIN_TEMPLATES,
+    configureAnalysisTemplates,
+    getAnalysisTemplateConfig,
+    loadAnalysisTemplates,
+    renderTemplateMarkdown
+};
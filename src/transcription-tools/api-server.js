@@ -0,0 +1,589 @@
+/**
+ * Local HTTP API for the transcription pipeline (`ll serve`)
+ * Jobs are queued and each one runs as a child `cli.js` process, so a failing video can't take the server down
+ * and every job uses the same download, transcription and analysis code as the command line.
+ * Step progress arrives over the child's IPC channel and is streamed to clients with server-sent events.
+ */
+
+const http = require('http');
+const { fork } = require('child_process');
+const { createReadStream, createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { SUPPORTED_EXTENSIONS } = require('./local-input');
+const { ANALYSIS_TASKS } = require('./pipeline');
+const { parseSpeakerMap } = require('./speaker-map');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_JSON_BODY_BYTES = 1024 * 1024;
+// Log lines kept per job for clients that connect late
+const MAX_JOB_EVENTS = 2000;
+const HEARTBEAT_MS = 15000;
+
+// Job options and the CLI flag each one becomes
+const JOB_OPTIONS = {
+    analysis: '--analysis',
+    contentType: '--contentType',
+    industry: '--industry',
+    classifier: '--classifier',
+    source: '--source',
+    language: '--language',
+    translateTo: '--translate-to',
+    speakers: '--speakers',
+    roster: '--roster',
+    templates: '--templates',
+    backend: '--backend',
+    llmModel: '--llmModel',
+    llmModels: '--llmModels',
+    idFrom: '--idFrom',
+    maxCost: '--max-cost',
+    fromStep: '--from-step',
+    force: '--force'
+};
+
+// Options that default to on and are switched off with --no-<name>: the analyses --analysis custom can skip,
+// the viewer and the search index
+const JOB_SWITCHES = [...ANALYSIS_TASKS, 'viewer', 'index'];
+
+const JOB_OPTION_NAMES = [...Object.keys(JOB_OPTIONS), ...JOB_SWITCHES];
+
+const CONTENT_TYPES = {
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.srt': 'application/x-subrip; charset=utf-8',
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.ttml': 'application/ttml+xml; charset=utf-8',
+    '.ass': 'text/plain; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.mp3': 'audio/mpeg'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Options that name files on the server, which only the operator may set (as ll serve flags or environment)
+const SERVER_ONLY_OPTIONS = {
+    roster: 'the speaker roster is a file on the server; start ll serve with --roster or SPEAKER_ROSTER'
+};
+
+/**
+ * Check the options a client sent with a job. File paths are refused, and speaker maps are parsed here and passed
+ * on as JSON, so a job can't make the server read a file of its choosing.
+ */
+function checkClientOptions(options = {}) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new HttpError(400, 'options must be an object');
+    }
+
+    return Object.fromEntries(Object.entries(options).map(([key, value]) => {
+        if (SERVER_ONLY_OPTIONS[key]) {
+            throw new HttpError(400, `Option '${key}' can't be set per job: ${SERVER_ONLY_OPTIONS[key]}`);
+        }
+        if (key === 'speakers' && value) {
+            try {
+                return [key, parseSpeakerMap(value)];
+            } catch (error) {
+                throw new HttpError(400, `Option 'speakers': ${error.message}`);
+            }
+        }
+        if (key === 'templates' && value) {
+            const names = Array.isArray(value) ? value : String(value).split(',');
+            const invalid = names.map(name => String(name).trim()).filter(name => name && !/^[A-Za-z][\w-]*$/.test(name));
+            if (invalid.length > 0) {
+                throw new HttpError(400, `Option 'templates' takes template names, not ${invalid.join(', ')}`);
+            }
+        }
+        return [key, value];
+    }));
+}
+
+// { analysis: 'full', sentiment: false, translateTo: ['es', 'fr'] } → ['--analysis=full', '--no-sentiment', '--translate-to=es,fr']
+// Values are attached with = so one that starts with -- can't be read as a flag of its own
+function buildJobArgs(options = {}) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new HttpError(400, 'options must be an object');
+    }
+
+    return Object.entries(options).flatMap(([key, value]) => {
+        if (JOB_SWITCHES.includes(key)) {
+            if (typeof value !== 'boolean') {
+                throw new HttpError(400, `Option '${key}' must be true or false`);
+            }
+            return value ? [] : [`--no-${key}`];
+        }
+
+        const flag = JOB_OPTIONS[key];
+        if (!flag) {
+            throw new HttpError(400, `Unknown option '${key}'. Valid options: ${JOB_OPTION_NAMES.join(', ')}`);
+        }
+        if (value === null || value === undefined || value === false) {
+            return [];
+        }
+        if (value === true) {
+            return [flag];
+        }
+        // Speaker maps can be sent as objects
+        const text = Array.isArray(value) ? value.join(',') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (text.startsWith('-')) {
+            throw new HttpError(400, `Option '${key}' can't start with '-'`);
+        }
+        return [`${flag}=${text}`];
+    });
+}
+
+// Absolute artifact paths under the output folder → /files/... URLs a client can fetch
+function toFileUrls(value, baseFolder) {
+    if (typeof value === 'string') {
+        const relative = path.relative(baseFolder, value);
+        if (path.isAbsolute(value) && relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+            return `/files/${relative.split(path.sep).map(encodeURIComponent).join('/')}`;
+        }
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => toFileUrls(item, baseFolder));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toFileUrls(item, baseFolder)]));
+    }
+    return value;
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+async function readJsonBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_JSON_BODY_BYTES) {
+            throw new HttpError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+}
+
+function formatSseEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Create the API server. Nothing listens until server.listen(port, host) is called.
+ * options: { outputFolder, cliPath, cliArgs (server-level flags passed to every job), defaults (job options
+ * a job's own options override), concurrency, token, corsOrigin }
+ * Returns the http.Server with `jobs` (Map of job id → job) and `shutdown()` attached.
+ */
+function createApiServer(options = {}) {
+    const {
+        outputFolder = process.env.OUTPUT_FOLDER,
+        cliPath,
+        cliArgs = [],
+        defaults = {},
+        concurrency = 1,
+        token = null,
+        corsOrigin = null
+    } = options;
+
+    if (!outputFolder) {
+        throw new Error('OUTPUT_FOLDER environment variable not set');
+    }
+    const baseFolder = path.resolve(outputFolder);
+    const uploadsFolder = path.join(baseFolder, 'uploads');
+
+    const jobs = new Map();
+    const queue = [];
+    let running = 0;
+
+    function publicJob(job) {
+        const { events, listeners, child, nextEventId, ...rest } = job;
+        return toFileUrls(rest, baseFolder);
+    }
+
+    function emit(job, type, data = {}) {
+        const event = { id: job.nextEventId++, type, job: job.id, ...data, at: data.at || new Date().toISOString() };
+        job.events.push(event);
+        if (job.events.length > MAX_JOB_EVENTS) {
+            job.events.shift();
+        }
+        job.listeners.forEach(listener => listener(event));
+    }
+
+    function finish(job, status, data = {}) {
+        Object.assign(job, { status, finished_at: new Date().toISOString(), ...data });
+        emit(job, 'end', { status, ...(job.error && { error: job.error }) });
+        job.child = null;
+        running--;
+        runNext();
+    }
+
+    function startJob(job) {
+        running++;
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+        emit(job, 'status', { status: 'running' });
+
+        const inputArgs = [job.input.url ? `--ytTranscript=${job.input.url}` : `--local=${job.input.file}`];
+        const child = fork(cliPath, [...cliArgs, ...inputArgs, ...job.args], {
+            env: { ...process.env, OUTPUT_FOLDER: baseFolder },
+            silent: true
+        });
+        job.child = child;
+
+        let lastError = null;
+        const forwardLines = (stream, type) => {
+            let buffered = '';
+            stream.setEncoding('utf8');
+            stream.on('data', (data) => {
+                const lines = (buffered + data).split('\n');
+                buffered = lines.pop();
+                lines.filter(line => line.trim()).forEach(line => {
+                    if (line.startsWith('❌')) {
+                        lastError = line.replace(/^❌\s*/, '');
+                    }
+                    emit(job, type, { message: line });
+                });
+            });
+        };
+        forwardLines(child.stdout, 'log');
+        forwardLines(child.stderr, 'error-log');
+
+        child.on('message', (message) => {
+            if (message?.type === 'progress') {
+                const { type, ...progress } = message;
+                job.steps.push(progress);
+                emit(job, 'progress', progress);
+            } else if (message?.type === 'result') {
+                job.results.push(message.result);
+                emit(job, 'result', { result: toFileUrls(message.result, baseFolder) });
+            }
+        });
+
+        child.on('error', (error) => {
+            lastError = error.message;
+        });
+
+        child.on('exit', (code, signal) => {
+            if (job.status === 'cancelled') {
+                finish(job, 'cancelled');
+            } else if (code === 0) {
+                console.log(`✅ Job ${job.id} completed`);
+                finish(job, 'completed');
+            } else {
+                const error = lastError || (signal ? `Terminated by ${signal}` : `Exited with code ${code}`);
+                console.log(`❌ Job ${job.id} failed: ${error}`);
+                finish(job, 'failed', { error });
+            }
+        });
+    }
+
+    function runNext() {
+        while (running < concurrency && queue.length > 0) {
+            startJob(queue.shift());
+        }
+    }
+
+    function createJob(input, args, optionsUsed) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            input,
+            options: optionsUsed,
+            args,
+            created_at: new Date().toISOString(),
+            steps: [],
+            results: [],
+            events: [],
+            listeners: new Set(),
+            nextEventId: 1,
+            child: null
+        };
+        jobs.set(job.id, job);
+        queue.push(job);
+
+        console.log(`📥 Job ${job.id} queued: ${input.url || input.file}`);
+        emit(job, 'status', { status: 'queued' });
+        runNext();
+
+        return job;
+    }
+
+    async function resolveUpload(file) {
+        const resolved = path.resolve(uploadsFolder, file);
+        if (!resolved.startsWith(uploadsFolder + path.sep)) {
+            throw new HttpError(400, 'file must be an upload returned by POST /uploads');
+        }
+        try {
+            await fs.access(resolved);
+        } catch (error) {
+            throw new HttpError(404, `Upload not found: ${file}`);
+        }
+        return resolved;
+    }
+
+    // The request body is the media file itself: POST /uploads?filename=talk.mp3
+    async function handleUpload(req, res, url) {
+        const filename = path.basename(url.searchParams.get('filename') || req.headers['x-filename'] || '');
+        const extension = path.extname(filename).toLowerCase();
+        if (!filename || !SUPPORTED_EXTENSIONS.includes(extension)) {
+            throw new HttpError(400, `Pass ?filename= with a supported extension: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+        }
+
+        const uploadId = crypto.randomUUID();
+        const folder = path.join(uploadsFolder, uploadId);
+        const filePath = path.join(folder, filename.replace(/[^\w.-]+/g, '_'));
+        await fs.mkdir(folder, { recursive: true });
+
+        try {
+            await pipeline(req, createWriteStream(filePath));
+        } catch (error) {
+            await fs.rm(folder, { recursive: true, force: true });
+            throw error;
+        }
+
+        const { size } = await fs.stat(filePath);
+        console.log(`💾 Upload saved: ${filePath} (${size} bytes)`);
+        sendJson(res, 201, { file: path.relative(uploadsFolder, filePath).split(path.sep).join('/'), size });
+    }
+
+    async function handleCreateJob(req, res) {
+        const body = await readJsonBody(req);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new HttpError(400, 'The request body must be a JSON object');
+        }
+        if (Boolean(body.url) === Boolean(body.file)) {
+            throw new HttpError(400, 'Send either url (a YouTube video, playlist or channel) or file (from POST /uploads)');
+        }
+
+        if (body.url && !/^https?:\/\//i.test(String(body.url))) {
+            throw new HttpError(400, 'url must be an http(s) YouTube URL');
+        }
+
+        const args = buildJobArgs({ ...defaults, ...checkClientOptions(body.options || {}) });
+        const input = body.url ? { url: String(body.url) } : { file: await resolveUpload(String(body.file)) };
+        const job = createJob(input, args, body.options || {});
+
+        sendJson(res, 202, publicJob(job), { Location: `/jobs/${job.id}` });
+    }
+
+    function handleEvents(req, res, job) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        // Replay what the client missed (Last-Event-ID on reconnect), then stream live events
+        const lastEventId = parseInt(req.headers['last-event-id'], 10) || 0;
+        job.events.filter(event => event.id > lastEventId).forEach(event => res.write(formatSseEvent(event)));
+        if (job.status !== 'queued' && job.status !== 'running') {
+            res.end();
+            return;
+        }
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+        const listener = (event) => {
+            res.write(formatSseEvent(event));
+            if (event.type === 'end') {
+                res.end();
+            }
+        };
+        job.listeners.add(listener);
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            job.listeners.delete(listener);
+        });
+    }
+
+    function handleCancel(res, job) {
+        if (job.status === 'queued') {
+            queue.splice(queue.indexOf(job), 1);
+            job.status = 'cancelled';
+            job.finished_at = new Date().toISOString();
+            emit(job, 'end', { status: 'cancelled' });
+        } else if (job.status === 'running') {
+            job.status = 'cancelled';
+            job.child.kill('SIGTERM');
+        } else {
+            throw new HttpError(409, `Job is already ${job.status}`);
+        }
+        console.log(`🛑 Job ${job.id} cancelled`);
+        sendJson(res, 200, publicJob(job));
+    }
+
+    // Artifacts under OUTPUT_FOLDER, with byte ranges so audio can be seeked
+    async function handleFile(req, res, url) {
+        let relative;
+        try {
+            relative = decodeURIComponent(url.pathname.slice('/files/'.length));
+        } catch (error) {
+            throw new HttpError(400, 'Malformed file path');
+        }
+        const filePath = path.resolve(baseFolder, relative);
+        if (!filePath.startsWith(baseFolder + path.sep)) {
+            throw new HttpError(403, 'Path outside the output folder');
+        }
+
+        let stats;
+        try {
+            stats = await fs.stat(filePath);
+        } catch (error) {
+            throw new HttpError(404, `File not found: ${relative}`);
+        }
+        if (!stats.isFile()) {
+            throw new HttpError(404, `File not found: ${relative}`);
+        }
+
+        const headers = {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Accept-Ranges': 'bytes'
+        };
+
+        const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+        let start = 0;
+        let end = stats.size - 1;
+        if (range && (range[1] || range[2])) {
+            start = range[1] ? parseInt(range[1], 10) : Math.max(0, stats.size - parseInt(range[2], 10));
+            end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), stats.size - 1) : stats.size - 1;
+            if (start > end || start >= stats.size) {
+                res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+                res.end();
+                return;
+            }
+            res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${stats.size}`, 'Content-Length': end - start + 1 });
+        } else {
+            res.writeHead(200, { ...headers, 'Content-Length': stats.size });
+        }
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        await pipeline(createReadStream(filePath, { start, end }), res);
+    }
+
+    function isAuthorized(req, url) {
+        if (!token) {
+            return true;
+        }
+        // EventSource can't send headers, so the token may also come as ?token=
+        const supplied = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || url.searchParams.get('token') || '';
+        const expected = Buffer.from(token);
+        const actual = Buffer.from(supplied);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    async function route(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const segments = url.pathname.split('/').filter(Boolean);
+
+        if (corsOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Last-Event-ID, X-Filename');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, DELETE, OPTIONS');
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+        }
+
+        if (req.method === 'GET' && url.pathname === '/health') {
+            sendJson(res, 200, { status: 'ok', running, queued: queue.length });
+            return;
+        }
+
+        if (!isAuthorized(req, url)) {
+            throw new HttpError(401, 'Missing or invalid API token');
+        }
+
+        if (segments[0] === 'files' && (req.method === 'GET' || req.method === 'HEAD')) {
+            await handleFile(req, res, url);
+            return;
+        }
+
+        if (segments[0] === 'uploads' && segments.length === 1 && req.method === 'POST') {
+            await handleUpload(req, res, url);
+            return;
+        }
+
+        if (segments[0] === 'jobs') {
+            if (segments.length === 1 && req.method === 'POST') {
+                await handleCreateJob(req, res);
+                return;
+            }
+            if (segments.length === 1 && req.method === 'GET') {
+                sendJson(res, 200, { jobs: [...jobs.values()].map(publicJob) });
+                return;
+            }
+
+            const job = jobs.get(segments[1]);
+            if (!job) {
+                throw new HttpError(404, `Job not found: ${segments[1]}`);
+            }
+            if (segments.length === 2 && req.method === 'GET') {
+                sendJson(res, 200, publicJob(job));
+                return;
+            }
+            if (segments.length === 2 && req.method === 'DELETE') {
+                handleCancel(res, job);
+                return;
+            }
+            if (segments.length === 3 && segments[2] === 'events' && req.method === 'GET') {
+                handleEvents(req, res, job);
+                return;
+            }
+        }
+
+        throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+
+    const server = http.createServer((req, res) => {
+        route(req, res).catch((error) => {
+            const status = error.status || 500;
+            if (status === 500) {
+                console.error(`❌ ${req.method} ${req.url}: ${error.message}`);
+            }
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                sendJson(res, status, { error: error.message });
+            }
+        });
+    });
+
+    server.jobs = jobs;
+
+    // Stop running jobs (they resume from their manifests next time) and close the server
+    server.shutdown = () => {
+        jobs.forEach(job => job.child?.kill('SIGTERM'));
+        server.close();
+        server.closeAllConnections();
+    };
+
+    return server;
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    JOB_OPTION_NAMES,
+    buildJobArgs,
+    createApiServer
+};
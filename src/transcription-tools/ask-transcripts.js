@@ -0,0 +1,258 @@
+/**
+ * Questions answered from the transcripts: the segments that match the question are retrieved from the search
+ * index, with the segments around them, and the model answers only from those excerpts. Every claim cites the
+ * excerpts it rests on (speaker, timestamp, link); when the excerpts don't support an answer, it refuses.
+ */
+
+const { tokenize, loadSearchIndex, indexProcessedVideo, searchIndex, createTimestampLink } = require('./search-index');
+const { createJsonCompletion, getModelForTask } = require('./llm-client');
+const { formatYouTubeTime } = require('./chapter-export');
+const { log } = require('./pipeline-events');
+
+// Best-matching segments to build excerpts around, and the segments kept before and after each
+const DEFAULT_ASK_HITS = 8;
+const CONTEXT_SEGMENTS = 2;
+// Excerpts stop being added once the prompt holds this many characters of transcript
+const MAX_EXCERPT_CHARS = 16000;
+// Question words found in more than this share of the indexed segments are too common to retrieve by
+const MAX_TERM_SHARE = 0.25;
+
+// Words that shape a question but say nothing about its topic (as tokenize leaves them: lowercase, no apostrophes)
+const QUESTION_STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'dont', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'say', 'said', 'says',
+    'she', 'should', 'so', 'some', 'tell', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'think', 'this', 'those', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'whom', 'why',
+    'will', 'with', 'would', 'you', 'your'
+]);
+
+const ASK_SCHEMA = {
+    type: 'object',
+    properties: {
+        supported: { type: 'boolean' },
+        claims: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    statement: { type: 'string' },
+                    segment_ids: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['statement', 'segment_ids'],
+                additionalProperties: false
+            }
+        },
+        explanation: { type: 'string' }
+    },
+    required: ['supported', 'claims', 'explanation'],
+    additionalProperties: false
+};
+
+// The videos to ask about: every indexed one for 'all', else the named ones (indexed first if they aren't yet)
+async function loadAskIndex(scope) {
+    const videoIds = scope === 'all' ? null : [...new Set(String(scope || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (videoIds && videoIds.length === 0) {
+        throw new Error("Name a video ID (or several, comma-separated) or 'all'");
+    }
+
+    let index = await loadSearchIndex();
+    const missing = (videoIds || []).filter(videoId => !index.videos[videoId]);
+    if (missing.length > 0) {
+        for (const videoId of missing) {
+            log(`→ ${videoId} is not in the search index yet; indexing it`);
+            await indexProcessedVideo(videoId);
+        }
+        index = await loadSearchIndex();
+    }
+    if (Object.keys(index.videos).length === 0) {
+        throw new Error('The search index is empty; process some videos first, or run ll search --reindex');
+    }
+
+    return { index, videoIds };
+}
+
+// The question as a search query: its topic words (and any "quoted phrases"), without question words or words so
+// common in the index that they would outscore the one segment that mentions the topic
+function createRetrievalQuery(index, question) {
+    const phrases = String(question).match(/"[^"]*"/g) || [];
+    const words = [...new Set(tokenize(String(question).replace(/"[^"]*"/g, ' ')))];
+    const topicWords = words.filter(word => !QUESTION_STOP_WORDS.has(word));
+
+    const entries = Object.values(index.videos);
+    const segmentCount = entries.reduce((sum, entry) => sum + entry.segments.length, 0);
+    const share = word => entries.reduce((sum, entry) => sum + (entry.terms[word]?.length || 0), 0) / Math.max(segmentCount, 1);
+    const rareWords = topicWords.filter(word => share(word) <= MAX_TERM_SHARE);
+
+    // Each filter only applies when it leaves something to search for
+    const terms = rareWords.length > 0 ? rareWords : topicWords.length > 0 ? topicWords : words;
+    return [...terms, ...phrases].join(' ');
+}
+
+// Each hit widened by CONTEXT_SEGMENTS on both sides, overlapping ranges merged, best hits first until the budget is spent
+function selectExcerpts(index, hits) {
+    const ranges = [];
+    let characters = 0;
+
+    for (const hit of hits) {
+        const entry = index.videos[hit.videoId];
+        let first = Math.max(0, hit.segmentRange[0] - CONTEXT_SEGMENTS);
+        let last = Math.min(entry.segments.length - 1, hit.segmentRange[1] + CONTEXT_SEGMENTS);
+
+        // Merged ranges only add their new segments to the budget
+        const overlapping = ranges.filter(range => range.videoId === hit.videoId && range.first <= last + 1 && first <= range.last + 1);
+        overlapping.forEach(range => {
+            first = Math.min(first, range.first);
+            last = Math.max(last, range.last);
+        });
+        const known = overlapping.reduce((sum, range) => sum + range.characters, 0);
+        const rangeCharacters = entry.segments.slice(first, last + 1).reduce((sum, segment) => sum + segment.text.length, 0);
+
+        if (characters + rangeCharacters - known > MAX_EXCERPT_CHARS && ranges.length > 0) {
+            break;
+        }
+        characters += rangeCharacters - known;
+        overlapping.forEach(range => ranges.splice(ranges.indexOf(range), 1));
+        ranges.push({ videoId: hit.videoId, first, last, characters: rangeCharacters });
+    }
+
+    // In recording order, so the model reads each conversation as it happened
+    const videoOrder = [...new Set(hits.map(hit => hit.videoId))];
+    return ranges.sort((a, b) => videoOrder.indexOf(a.videoId) - videoOrder.indexOf(b.videoId) || a.first - b.first);
+}
+
+// Excerpt segments numbered S1, S2, ... for the model to cite, with what a citation shows
+function numberSegments(index, ranges) {
+    const segments = new Map();
+    ranges.forEach(({ videoId, first, last }) => {
+        const entry = index.videos[videoId];
+        entry.segments.slice(first, last + 1).forEach(segment => {
+            segments.set(`S${segments.size + 1}`, {
+                videoId,
+                title: entry.title,
+                start: segment.start,
+                end: segment.end,
+                speaker: segment.speaker,
+                text: segment.text,
+                link: createTimestampLink(entry.url, segment.start)
+            });
+        });
+    });
+    return segments;
+}
+
+// Grouped by video, with ... where excerpts of the same video are more than a minute apart
+function formatExcerpts(segments) {
+    const lines = [];
+    let previous = null;
+    segments.forEach((segment, id) => {
+        if (previous && (previous.videoId !== segment.videoId || previous.end < segment.start - 60)) {
+            lines.push('...');
+        }
+        if (!previous || previous.videoId !== segment.videoId) {
+            lines.push(`## ${segment.title} [${segment.videoId}]`);
+        }
+        lines.push(`[${id}] ${formatYouTubeTime(segment.start)} ${segment.speaker || 'Unknown speaker'}: ${segment.text}`);
+        previous = segment;
+    });
+    return lines.join('\n');
+}
+
+async function requestAnswer(question, excerpts, model) {
+    const systemPrompt = `You answer questions about recordings using only the transcript excerpts you are given. Each excerpt line starts with an id such as [S3], then the timestamp and the speaker.
+
+Rules:
+- Use only what the excerpts say. Do not add outside knowledge, assumptions or general advice.
+- Answer in short claims. For each claim, list the ids of the excerpt lines that directly support it in segment_ids.
+- Say who said what: attribute opinions and statements to their speakers.
+- If the excerpts do not answer the question, set supported to false, return no claims, and say in explanation what the transcripts do cover instead.
+- If they answer only part of it, answer that part and say in explanation what is missing.
+- Write the claims and explanation in the language of the question.`;
+
+    const { data } = await createJsonCompletion({
+        model,
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: `Question: ${question}\n\nTranscript excerpts:\n${excerpts}` }
+        ],
+        temperature: 0,
+        max_tokens: 1500
+    }, { schema: ASK_SCHEMA, schemaName: 'transcript_answer' });
+    return data;
+}
+
+/**
+ * Answer a question from the transcripts of one or more videos ('id', 'id1,id2') or 'all' indexed videos.
+ * options: speaker, channel, from, to (as for searchTranscripts), semantic (retrieve by embeddings), hits
+ * (matches to build excerpts around, default 8) and model (default: the 'ask' task's).
+ * Resolves to { question, answered, claims: [{ statement, citations }], explanation, excerpts }; each citation is
+ * { id, videoId, title, start, end, speaker, text, link }. Claims without a valid citation are dropped, and
+ * answered is false when none are left.
+ */
+async function askTranscripts(scope, question, options = {}) {
+    const { semantic = false, model = getModelForTask('ask') } = options;
+    const hitCount = options.hits === undefined || options.hits === null ? DEFAULT_ASK_HITS : Number(options.hits);
+    if (!Number.isInteger(hitCount) || hitCount < 1) {
+        throw new Error(`hits must be a positive whole number, got '${options.hits}'`);
+    }
+    if (!String(question || '').trim()) {
+        throw new Error('Ask a question');
+    }
+
+    const { index, videoIds } = await loadAskIndex(scope);
+    // Semantic search embeds the whole question; keyword search only looks for its topic words
+    const query = semantic ? question : createRetrievalQuery(index, question);
+    const { hits } = await searchIndex(index, query, {
+        speaker: options.speaker,
+        channel: options.channel,
+        from: options.from,
+        to: options.to,
+        videoIds,
+        semantic,
+        match: 'any',
+        limit: hitCount
+    });
+
+    const refuse = explanation => ({ question, answered: false, claims: [], explanation, excerpts: 0 });
+    if (hits.length === 0) {
+        return refuse(`Nothing in the transcripts matches the question${semantic ? '' : '; try rephrasing it, or semantic search'}.`);
+    }
+
+    const ranges = selectExcerpts(index, hits);
+    const segments = numberSegments(index, ranges);
+    log(`→ Answering from ${segments.size} segments of ${new Set(ranges.map(range => range.videoId)).size} video(s) with ${model}`);
+
+    let answer;
+    try {
+        answer = await requestAnswer(String(question).trim(), formatExcerpts(segments), model);
+    } catch (error) {
+        throw new Error(`OpenAI answer error: ${error.message}`);
+    }
+
+    // Every claim needs at least one citation of an excerpt the model was actually shown
+    const claims = (answer.supported ? answer.claims : [])
+        .map(claim => ({
+            statement: claim.statement.trim(),
+            citations: [...new Set(claim.segment_ids.map(id => String(id).replace(/[[\]\s]/g, '')))]
+                .filter(id => segments.has(id))
+                .map(id => ({ id, ...segments.get(id) }))
+        }))
+        .filter(claim => claim.statement && claim.citations.length > 0);
+
+    const dropped = (answer.supported ? answer.claims.length : 0) - claims.length;
+    if (dropped > 0) {
+        log(`⚠️  Dropped ${dropped} claim(s) without a valid citation`);
+    }
+
+    return {
+        question,
+        answered: claims.length > 0,
+        claims,
+        explanation: answer.explanation || (claims.length > 0 ? '' : 'The transcripts do not answer this question.'),
+        excerpts: segments.size
+    };
+}
+
+module.exports = {
+    askTranscripts
+};
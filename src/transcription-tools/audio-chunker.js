@@ -0,0 +1,198 @@
+/**
+ * Split long audio files into upload-sized chunks on silence boundaries
+ * Uses ffmpeg's silencedetect filter so chunks never cut a word in half
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { log } = require('./pipeline-events');
+
+// OpenAI rejects audio uploads above this size
+const OPENAI_MAX_FILE_SIZE_MB = 25;
+// Chunks are re-encoded at this bitrate
+const CHUNK_BITRATE_KBPS = 128;
+
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, {
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        let stdout = '';
+        let stderr = '';
+
+        // Decode as a stream so multi-byte characters split across chunks survive (titles, descriptions)
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+
+        child.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        child.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        child.on('close', (code) => {
+            if (code === 0) {
+                resolve({ stdout, stderr });
+            } else {
+                reject(new Error(`${command} failed with code ${code}: ${stderr}`));
+            }
+        });
+
+        child.on('error', (error) => {
+            reject(new Error(`Failed to spawn ${command}: ${error.message}`));
+        });
+    });
+}
+
+async function getAudioDuration(audioFilePath) {
+    const { stdout } = await runCommand('ffprobe', [
+        '-v', 'error',
+        '-show_entries', 'format=duration',
+        '-of', 'default=noprint_wrappers=1:nokey=1',
+        audioFilePath
+    ]);
+
+    const duration = parseFloat(stdout.trim());
+    if (isNaN(duration)) {
+        throw new Error(`Could not determine duration of ${audioFilePath}`);
+    }
+
+    return duration;
+}
+
+async function detectSilences(audioFilePath, options = {}) {
+    const {
+        noiseThreshold = '-35dB',
+        minSilenceDuration = 0.5
+    } = options;
+
+    // silencedetect reports on stderr, one line per silence start/end
+    const { stderr } = await runCommand('ffmpeg', [
+        '-hide_banner',
+        '-nostats',
+        '-i', audioFilePath,
+        '-af', `silencedetect=noise=${noiseThreshold}:d=${minSilenceDuration}`,
+        '-f', 'null',
+        '-'
+    ]);
+
+    const silences = [];
+    let currentStart = null;
+
+    stderr.split('\n').forEach(line => {
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        const endMatch = line.match(/silence_end: ([\d.]+)/);
+
+        if (startMatch) {
+            currentStart = Math.max(0, parseFloat(startMatch[1]));
+        } else if (endMatch && currentStart !== null) {
+            silences.push({ start: currentStart, end: parseFloat(endMatch[1]) });
+            currentStart = null;
+        }
+    });
+
+    return silences;
+}
+
+function planChunkBoundaries(duration, silences, maxChunkDuration) {
+    const boundaries = [];
+    const silenceMidpoints = silences.map(s => (s.start + s.end) / 2);
+    let chunkStart = 0;
+
+    while (duration - chunkStart > maxChunkDuration) {
+        const limit = chunkStart + maxChunkDuration;
+
+        // Prefer the last silence in the back half of the window so chunks stay large
+        const candidates = silenceMidpoints.filter(t => t > chunkStart + maxChunkDuration / 2 && t <= limit);
+        const splitAt = candidates.length > 0 ? candidates[candidates.length - 1] : limit;
+
+        boundaries.push({ start: chunkStart, end: splitAt });
+        chunkStart = splitAt;
+    }
+
+    boundaries.push({ start: chunkStart, end: duration });
+
+    return boundaries;
+}
+
+async function splitAudioOnSilence(audioFilePath, options = {}) {
+    const {
+        maxChunkSizeMB = OPENAI_MAX_FILE_SIZE_MB - 1,
+        bitrateKbps = CHUNK_BITRATE_KBPS,
+        outputDir = null,
+        noiseThreshold,
+        minSilenceDuration
+    } = options;
+
+    log(`✂️ Splitting audio on silence: ${audioFilePath}`);
+
+    const duration = await getAudioDuration(audioFilePath);
+
+    // Chunks are re-encoded at a fixed bitrate, so their size is predictable from duration
+    const bytesPerSecond = (bitrateKbps * 1000) / 8;
+    const maxChunkDuration = Math.floor((maxChunkSizeMB * 1024 * 1024) / bytesPerSecond);
+
+    const silences = await detectSilences(audioFilePath, { noiseThreshold, minSilenceDuration });
+    const boundaries = planChunkBoundaries(duration, silences, maxChunkDuration);
+
+    log(`→ Duration: ${duration.toFixed(2)}s`);
+    log(`→ Silences detected: ${silences.length}`);
+    log(`→ Chunks: ${boundaries.length} (max ${maxChunkDuration}s each)`);
+
+    const chunkDir = outputDir || await fs.mkdtemp(path.join(os.tmpdir(), 'll-chunks-'));
+    await fs.mkdir(chunkDir, { recursive: true });
+
+    const baseName = path.basename(audioFilePath, path.extname(audioFilePath));
+    const chunks = [];
+
+    for (const [index, boundary] of boundaries.entries()) {
+        const chunkFile = path.join(chunkDir, `${baseName}_chunk${String(index).padStart(3, '0')}.mp3`);
+
+        await runCommand('ffmpeg', [
+            '-y',
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-i', audioFilePath,
+            '-ss', boundary.start.toFixed(3),
+            '-to', boundary.end.toFixed(3),
+            '-vn',
+            '-c:a', 'libmp3lame',
+            '-b:a', `${bitrateKbps}k`,
+            chunkFile
+        ]);
+
+        log(`→ Chunk ${index + 1}/${boundaries.length}: ${boundary.start.toFixed(2)}s - ${boundary.end.toFixed(2)}s`);
+
+        chunks.push({
+            index,
+            file: chunkFile,
+            start: boundary.start,
+            end: boundary.end
+        });
+    }
+
+    return {
+        chunks,
+        chunkDir,
+        duration
+    };
+}
+
+async function cleanupChunks(chunkDir) {
+    await fs.rm(chunkDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    OPENAI_MAX_FILE_SIZE_MB,
+    runCommand,
+    getAudioDuration,
+    detectSilences,
+    planChunkBoundaries,
+    splitAudioOnSilence,
+    cleanupChunks
+};
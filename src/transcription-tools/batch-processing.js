@@ -0,0 +1,201 @@
+/**
+ * Batch processing for playlists, channels and URL lists
+ * Expands collections with yt-dlp's flat-playlist listing and runs jobs with a concurrency limit
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { extractVideoId } = require('./download-yt-video');
+const { runCommand } = require('./audio-chunker');
+const { log } = require('./pipeline-events');
+
+const COLLECTION_PATTERNS = [
+    /youtube\.com\/playlist\?/,
+    /youtube\.com\/(?:channel|c|user)\//,
+    /youtube\.com\/@[^/]+/
+];
+
+function isCollectionUrl(url) {
+    if (COLLECTION_PATTERNS.some(pattern => pattern.test(url))) {
+        return true;
+    }
+
+    // A bare list= link without a video ID is a playlist too
+    return /[?&]list=/.test(url) && !extractVideoId(url);
+}
+
+async function expandCollectionUrl(url) {
+    log(`📜 Expanding collection: ${url}`);
+
+    // Tab-separated id/title pairs, one per line
+    const { stdout } = await runCommand('yt-dlp', [
+        '--flat-playlist',
+        '--print', '%(id)s\t%(title)s',
+        url
+    ]);
+
+    const entries = stdout
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const [videoId, ...titleParts] = line.split('\t');
+            const title = titleParts.join('\t');
+            return {
+                videoId,
+                url: `https://www.youtube.com/watch?v=${videoId}`,
+                title: title && title !== 'NA' ? title : null
+            };
+        })
+        .filter(entry => extractVideoId(entry.videoId));
+
+    log(`→ Videos found: ${entries.length}`);
+
+    return entries;
+}
+
+async function readUrlList(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+
+    // One URL per line; blank lines and # comments are ignored
+    return content
+        .split('\n')
+        .map(line => line.replace(/#.*$/, '').trim())
+        .filter(Boolean);
+}
+
+async function expandBatchInputs(urls) {
+    const entries = [];
+    const seen = new Set();
+
+    for (const url of urls) {
+        let expanded;
+        if (isCollectionUrl(url)) {
+            expanded = await expandCollectionUrl(url);
+        } else {
+            const videoId = extractVideoId(url);
+            if (!videoId) {
+                throw new Error(`Couldn't extract video ID from '${url}'`);
+            }
+            expanded = [{ videoId, url, title: null }];
+        }
+
+        expanded.forEach(entry => {
+            if (!seen.has(entry.videoId)) {
+                seen.add(entry.videoId);
+                entries.push(entry);
+            }
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Run worker(item, index) for every item with at most `limit` in flight.
+ * Never rejects: each result records its own status so one failure can't stop the rest.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function runNext() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            const startedAt = Date.now();
+            try {
+                const value = await worker(items[index], index);
+                results[index] = { item: items[index], status: 'fulfilled', value, durationMs: Date.now() - startedAt };
+            } catch (error) {
+                results[index] = { item: items[index], status: 'rejected', error, durationMs: Date.now() - startedAt };
+            }
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runNext));
+
+    return results;
+}
+
+function createBatchReportMarkdown(report) {
+    const lines = [
+        `# Batch Report`,
+        ``,
+        `- Started: ${report.started_at}`,
+        `- Finished: ${report.finished_at}`,
+        `- Concurrency: ${report.concurrency}`,
+        `- Succeeded: ${report.succeeded}/${report.total}`,
+        `- Failed: ${report.failed}`,
+        ...(report.total_cost !== null ? [`- Total cost: $${report.total_cost.toFixed(2)}`] : []),
+        ...(report.total_estimated_cost !== null ? [`- Estimated cost: $${report.total_estimated_cost.toFixed(2)}`] : []),
+        ``,
+        `| # | Item | Status | Duration | Details |`,
+        `|---|------|--------|----------|---------|`
+    ];
+
+    report.items.forEach((item, index) => {
+        const details = item.status === 'completed'
+            ? (item.markdownFile || '')
+            : item.error.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        lines.push(`| ${index + 1} | ${item.label} | ${item.status === 'completed' ? '✅' : '❌'} ${item.status} | ${(item.durationMs / 1000).toFixed(1)}s | ${details} |`);
+    });
+
+    return lines.join('\n');
+}
+
+async function writeBatchReport(results, options) {
+    const { reportsDir, startedAt, concurrency } = options;
+
+    const items = results.map(result => ({
+        label: result.item.label,
+        videoId: result.status === 'fulfilled' ? result.value.videoId : (result.item.videoId || null),
+        status: result.status === 'fulfilled' ? 'completed' : 'failed',
+        durationMs: result.durationMs,
+        ...(result.status === 'fulfilled'
+            ? {
+                markdownFile: result.value.files?.formatted?.markdownFile || null,
+                // Spent on a real run, estimated on --dry-run
+                cost: result.value.cost?.total_cost ?? null,
+                estimatedCost: result.value.estimate?.total_cost ?? null
+            }
+            : { error: result.error.message })
+    }));
+
+    const sumCosts = key => items.some(item => typeof item[key] === 'number')
+        ? Math.round(items.reduce((sum, item) => sum + (item[key] || 0), 0) * 1e6) / 1e6
+        : null;
+
+    const report = {
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        concurrency,
+        total: items.length,
+        succeeded: items.filter(i => i.status === 'completed').length,
+        failed: items.filter(i => i.status === 'failed').length,
+        total_cost: sumCosts('cost'),
+        total_estimated_cost: sumCosts('estimatedCost'),
+        items
+    };
+
+    await fs.mkdir(reportsDir, { recursive: true });
+
+    const stamp = report.started_at.replace(/[:.]/g, '-');
+    const jsonFile = path.join(reportsDir, `batch_${stamp}.json`);
+    const markdownFile = path.join(reportsDir, `batch_${stamp}.md`);
+
+    await fs.writeFile(jsonFile, JSON.stringify(report, null, 2));
+    await fs.writeFile(markdownFile, createBatchReportMarkdown(report));
+    log(`💾 Batch report saved: ${markdownFile}`);
+
+    return { report, jsonFile, markdownFile };
+}
+
+module.exports = {
+    isCollectionUrl,
+    expandCollectionUrl,
+    readUrlList,
+    expandBatchInputs,
+    runWithConcurrency,
+    writeBatchReport
+};
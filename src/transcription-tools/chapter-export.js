@@ -0,0 +1,135 @@
+/**
+ * Chapter exports built from timestamped chapters ({ start, end, title, summary }, seconds)
+ * YouTube description block, FFmetadata for embedding into mp3/mp4, and a WebVTT chapters track
+ */
+
+const fs = require('fs').promises;
+const { getOutputFile } = require('./folder-utils');
+const { log } = require('./pipeline-events');
+
+// YouTube ignores chapter lists that break these rules
+const YOUTUBE_MIN_CHAPTERS = 3;
+const YOUTUBE_MIN_CHAPTER_SECONDS = 10;
+
+function formatYouTubeTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    if (hours > 0) {
+        return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+function formatVTTTime(seconds) {
+    const totalMillis = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
+
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${millis.toString().padStart(3, '0')}`;
+}
+
+function createChaptersMarkdown(chapters) {
+    return chapters
+        .map((chapter, index) => `${index + 1}. **${formatYouTubeTime(chapter.start)} – ${chapter.title}**\n   ${chapter.summary}`)
+        .join('\n');
+}
+
+function createYouTubeChapters(chapters) {
+    // First chapter must sit at 00:00 and every chapter must last at least 10 seconds
+    const kept = [];
+    chapters.forEach(chapter => {
+        const previous = kept[kept.length - 1];
+        if (previous && chapter.start - previous.start < YOUTUBE_MIN_CHAPTER_SECONDS) {
+            return;
+        }
+        kept.push(chapter);
+    });
+
+    const last = kept[kept.length - 1];
+    if (kept.length > 1 && last.end - last.start < YOUTUBE_MIN_CHAPTER_SECONDS) {
+        kept.pop();
+    }
+
+    if (kept.length < YOUTUBE_MIN_CHAPTERS) {
+        log(`⚠️  Only ${kept.length} chapter(s); YouTube needs at least ${YOUTUBE_MIN_CHAPTERS} to show chapters`);
+    }
+
+    return kept
+        .map((chapter, index) => `${formatYouTubeTime(index === 0 ? 0 : chapter.start)} ${chapter.title}`)
+        .join('\n');
+}
+
+function escapeFFMetadata(value) {
+    return String(value).replace(/([=;#\\\n])/g, '\\$1');
+}
+
+function createFFMetadataChapters(chapters, options = {}) {
+    const { title = null } = options;
+
+    const lines = [';FFMETADATA1'];
+    if (title) {
+        lines.push(`title=${escapeFFMetadata(title)}`);
+    }
+
+    chapters.forEach(chapter => {
+        lines.push(
+            '',
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start * 1000)}`,
+            `END=${Math.round(chapter.end * 1000)}`,
+            `title=${escapeFFMetadata(chapter.title)}`
+        );
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function createWebVTTChapters(chapters) {
+    const cues = chapters.map((chapter, index) => [
+        index + 1,
+        `${formatVTTTime(chapter.start)} --> ${formatVTTTime(chapter.end)}`,
+        chapter.title
+    ].join('\n'));
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+async function saveChapterExports(chapters, videoId, outputDir, options = {}) {
+    const { title = null } = options;
+
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const files = {
+        chaptersJsonFile: getOutputFile(videoId, 'chaptersJsonFile', outputDir),
+        youtubeChaptersFile: getOutputFile(videoId, 'youtubeChaptersFile', outputDir),
+        ffmetadataFile: getOutputFile(videoId, 'ffmetadataFile', outputDir),
+        vttChaptersFile: getOutputFile(videoId, 'vttChaptersFile', outputDir)
+    };
+
+    await fs.writeFile(files.chaptersJsonFile, JSON.stringify({ chapters }, null, 2));
+    await fs.writeFile(files.youtubeChaptersFile, createYouTubeChapters(chapters) + '\n');
+    await fs.writeFile(files.ffmetadataFile, createFFMetadataChapters(chapters, { title }));
+    await fs.writeFile(files.vttChaptersFile, createWebVTTChapters(chapters));
+
+    log(`💾 YouTube chapters saved: ${files.youtubeChaptersFile}`);
+    log(`💾 FFmetadata chapters saved: ${files.ffmetadataFile}`);
+    log(`💾 WebVTT chapters saved: ${files.vttChaptersFile}`);
+
+    return files;
+}
+
+module.exports = {
+    createChaptersMarkdown,
+    createYouTubeChapters,
+    createFFMetadataChapters,
+    createWebVTTChapters,
+    saveChapterExports,
+    formatYouTubeTime,
+    formatVTTTime
+};
@@ -0,0 +1,255 @@
+/**
+ * Content-type and industry profiles: the keywords that detect them, the formatting instructions they add and the
+ * analyses --analysis auto runs for them. The built-ins are in profiles.yaml; a user file (--profiles,
+ * CONTENT_PROFILES) adds profiles and overrides built-ins by name.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+
+const BUILTIN_PROFILE_FILE = path.join(__dirname, 'profiles.yaml');
+
+// How a transcript's profiles are chosen when --contentType/--industry don't name them
+const CLASSIFIERS = ['keywords', 'llm'];
+
+// Classification keys, with the profile file's section and the key used in defaults and JSON outputs
+const PROFILE_KINDS = {
+    contentType: { section: 'content_types', key: 'content_type', label: 'content type' },
+    industry: { section: 'industries', key: 'industry', label: 'industry' }
+};
+
+let profileConfig = null;
+
+function readEnvProfileConfig() {
+    return {
+        file: process.env.CONTENT_PROFILES || null
+    };
+}
+
+/**
+ * Choose the file of user profiles (unset: CONTENT_PROFILES). Its profiles are added to the built-ins;
+ * one named like a built-in replaces the settings it lists and keeps the rest.
+ */
+function configureContentProfiles(overrides = {}) {
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    profileConfig = { ...readEnvProfileConfig(), ...defined };
+    return profileConfig;
+}
+
+function getContentProfileConfig() {
+    if (!profileConfig) {
+        configureContentProfiles();
+    }
+    return profileConfig;
+}
+
+async function readProfileFile(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read content profiles ${file}: ${error.message}`);
+    }
+
+    let definition;
+    try {
+        definition = YAML.parse(content) || {};
+    } catch (error) {
+        throw new Error(`Content profiles ${file}: ${error.message}`);
+    }
+    if (typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`Content profiles ${file}: expected defaults, content_types and industries`);
+    }
+    return { definition, content };
+}
+
+// [term, ...] or { term: weight }, as [{ term, weight }]
+function parseKeywords(keywords, problem) {
+    if (keywords === undefined || keywords === null) {
+        return [];
+    }
+    const entries = Array.isArray(keywords) ? keywords.map(term => [term, 1]) : Object.entries(keywords);
+    return entries.map(([term, weight]) => {
+        if (typeof term !== 'string' || !term.trim()) {
+            throw problem('keywords must be words or phrases');
+        }
+        if (typeof weight !== 'number' || !(weight > 0)) {
+            throw problem(`keyword '${term}' needs a positive weight`);
+        }
+        return { term: term.trim().toLowerCase(), weight };
+    });
+}
+
+// Check a profile's settings and give them the names the pipeline uses
+function createProfile(name, definition, source) {
+    const problem = message => new Error(`Content profile ${name} (${source}): ${message}`);
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw problem('expected a mapping of profile settings');
+    }
+    const minScore = Number(definition.min_score ?? 1);
+    if (!(minScore > 0)) {
+        throw problem('min_score must be a positive number');
+    }
+    if (definition.analyses !== undefined && (!Array.isArray(definition.analyses) || definition.analyses.some(item => typeof item !== 'string'))) {
+        throw problem('analyses must be a list of analysis template names');
+    }
+
+    return {
+        name,
+        description: definition.description || null,
+        keywords: parseKeywords(definition.keywords, problem),
+        minScore,
+        instructions: definition.instructions ? String(definition.instructions).trim() : null,
+        analyses: definition.analyses || null,
+        source
+    };
+}
+
+/**
+ * Load the built-in profiles and the user file's. Resolves to { contentType, industry, defaults, source, hash }:
+ * profiles of each kind by name, in file order. hash changes when the user file is edited.
+ */
+async function loadContentProfiles() {
+    const { file } = getContentProfileConfig();
+    const builtin = (await readProfileFile(BUILTIN_PROFILE_FILE)).definition;
+    const user = file ? await readProfileFile(file) : null;
+
+    const profiles = {
+        defaults: { contentType: null, industry: null },
+        source: file || null,
+        hash: user ? crypto.createHash('sha256').update(user.content).digest('hex').slice(0, 12) : null
+    };
+
+    for (const [kind, { section, key }] of Object.entries(PROFILE_KINDS)) {
+        const builtinProfiles = builtin[section] || {};
+        const userProfiles = user?.definition[section] || {};
+
+        profiles[kind] = {};
+        Object.entries(builtinProfiles).forEach(([name, definition]) => {
+            profiles[kind][name] = { ...createProfile(name, { ...definition, ...userProfiles[name] }, userProfiles[name] ? file : 'built-in'), builtin: true };
+        });
+        Object.entries(userProfiles)
+            .filter(([name]) => !builtinProfiles[name])
+            .forEach(([name, definition]) => {
+                profiles[kind][name] = { ...createProfile(name, definition, file), builtin: false };
+            });
+
+        // The profile used when no keywords match
+        profiles.defaults[kind] = user?.definition.defaults?.[key] ?? builtin.defaults[key];
+        if (!profiles[kind][profiles.defaults[kind]]) {
+            throw new Error(`Default ${PROFILE_KINDS[kind].label} profile '${profiles.defaults[kind]}' is not defined`);
+        }
+    }
+
+    return profiles;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words and phrases only, so 'ai' doesn't match 'said'
+function containsTerm(lowerText, term) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'u').test(lowerText);
+}
+
+function roundConfidence(value) {
+    return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+}
+
+/**
+ * Pick the profile whose matched keyword weight is highest (and at least its min_score); earlier profiles win ties.
+ * Confidence is the winner's share of all matched weight; the default profile gets 0.
+ */
+function classifyByKeywords(text, profiles, kind) {
+    const lowerText = text.toLowerCase();
+
+    const scores = Object.values(profiles[kind]).map(profile => {
+        const matches = profile.keywords.filter(keyword => containsTerm(lowerText, keyword.term));
+        return { name: profile.name, minScore: profile.minScore, matches: matches.map(keyword => keyword.term), score: matches.reduce((sum, keyword) => sum + keyword.weight, 0) };
+    });
+
+    const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+    const best = scores
+        .filter(entry => entry.score >= entry.minScore)
+        .reduce((winner, entry) => (!winner || entry.score > winner.score ? entry : winner), null);
+
+    if (!best) {
+        return { name: profiles.defaults[kind], confidence: 0, method: 'default', matches: [] };
+    }
+    return { name: best.name, confidence: roundConfidence(best.score / total), method: 'keywords', matches: best.matches };
+}
+
+// A profile named by --contentType/--industry; unknown names are used as they are, without instructions
+function overrideProfile(name) {
+    return { name, confidence: 1, method: 'override', matches: [] };
+}
+
+// JSON schema the LLM classifier answers with: one profile of each kind and how sure it is
+function createClassifierSchema(profiles) {
+    const properties = {};
+    Object.entries(PROFILE_KINDS).forEach(([kind, { key }]) => {
+        properties[key] = { type: 'string', enum: Object.keys(profiles[kind]) };
+        properties[`${key}_confidence`] = { type: 'number' };
+    });
+    properties.reason = { type: 'string' };
+
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false
+    };
+}
+
+function describeProfiles(profiles, kind) {
+    return Object.values(profiles[kind])
+        .map(profile => `- ${profile.name}${profile.description ? `: ${profile.description}` : ''}`)
+        .join('\n');
+}
+
+// Turn the classifier's answer into the same shape classifyByKeywords returns
+function readClassifierAnswer(answer, profiles, kind) {
+    const { key } = PROFILE_KINDS[kind];
+    if (!profiles[kind][answer[key]]) {
+        return null;
+    }
+    return { name: answer[key], confidence: roundConfidence(Number(answer[`${key}_confidence`]) || 0), method: 'llm', matches: [] };
+}
+
+// The analyses --analysis auto runs: both profiles' lists, or null when neither has one
+function getProfileAnalyses(profiles, classification) {
+    const lists = Object.keys(PROFILE_KINDS)
+        .map(kind => profiles[kind][classification[kind]?.name]?.analyses)
+        .filter(Boolean);
+    return lists.length > 0 ? [...new Set(lists.flat())] : null;
+}
+
+// 'interview (keywords, 67%)'
+function describeClassification(entry) {
+    if (entry.method === 'override') {
+        return `${entry.name} (set by option)`;
+    }
+    if (entry.method === 'default') {
+        return `${entry.name} (default: nothing matched)`;
+    }
+    return `${entry.name} (${entry.method}, ${Math.round(entry.confidence * 100)}%)`;
+}
+
+module.exports = {
+    CLASSIFIERS,
+    PROFILE_KINDS,
+    configureContentProfiles,
+    getContentProfileConfig,
+    loadContentProfiles,
+    classifyByKeywords,
+    overrideProfile,
+    createClassifierSchema,
+    describeProfiles,
+    readClassifierAnswer,
+    getProfileAnalyses,
+    describeClassification
+};
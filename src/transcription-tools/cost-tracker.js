@@ -0,0 +1,428 @@
+/**
+ * Token and audio-minute accounting for every OpenAI call in a pipeline run
+ * Prices usage, enforces --max-cost before each call, writes per-run cost reports and --dry-run estimates
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs').promises;
+const path = require('path');
+const { getOutputPaths } = require('./folder-utils');
+const { log } = require('./pipeline-events');
+
+// USD per 1M tokens, from https://openai.com/api/pricing (update when prices change)
+const TOKEN_PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o-audio-preview': { input: 2.5, output: 10, audioInput: 40, audioOutput: 80 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'o4-mini': { input: 1.1, output: 4.4 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+// USD per minute of audio
+const AUDIO_MINUTE_PRICES = {
+    'whisper-1': 0.006,
+    'gpt-4o-transcribe': 0.006,
+    'gpt-4o-mini-transcribe': 0.003
+};
+
+// Rules of thumb for estimates made before a call
+const CHARS_PER_TOKEN = 4;
+const AUDIO_TOKENS_PER_SECOND = 10;
+const SPOKEN_CHARS_PER_MINUTE = 900;
+const PROMPT_OVERHEAD_TOKENS = 400;
+const DEFAULT_OUTPUT_TOKENS = 1000;
+
+// Output ceilings match the max_tokens each request in format-transcript.js and translation.js sets
+// (analyses take theirs from their templates, passed as taskEstimates);
+// chunked tasks make one call per chunk plus a merge call when there is more than one chunk
+const TASK_ESTIMATES = {
+    format: { maxTokens: 4000, chunkChars: 12000, merge: false },
+    summary: { maxTokens: 1000, chunkChars: 40000, merge: true },
+    translation: { maxTokens: 4000, chunkChars: 6000, merge: false },
+    // The LLM classifier only reads excerpts of a long transcript
+    classify: { maxTokens: 300, inputChars: 8000 }
+};
+
+const GPT4O_AUDIO_MODEL = 'gpt-4o-audio-preview';
+const STRUCTURED_WORDS_PER_WINDOW = 1200;
+const STRUCTURED_TOKENS_PER_WORD = 4;
+
+const storage = new AsyncLocalStorage();
+
+function createCostTracker(options = {}) {
+    const { maxCost = null, label = null } = options;
+
+    return {
+        label,
+        maxCost,
+        spent: 0,
+        // Estimated cost of calls in flight, so parallel analyses can't all pass the budget check at once
+        reserved: 0,
+        entries: [],
+        startedAt: new Date()
+    };
+}
+
+// Calls made anywhere inside fn are recorded on this tracker
+function runWithCostTracker(tracker, fn) {
+    return storage.run({ tracker, step: null }, fn);
+}
+
+// Attribute calls made inside fn to a pipeline step
+function withCostStep(step, fn) {
+    const store = storage.getStore();
+    return store ? storage.run({ ...store, step }, fn) : fn();
+}
+
+function getCostTracker() {
+    return storage.getStore()?.tracker || null;
+}
+
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+function formatCost(cost) {
+    return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+// Dated snapshots (gpt-4o-2024-08-06) are priced like their base model
+function findPrice(table, model) {
+    if (!model) {
+        return null;
+    }
+    if (table[model]) {
+        return table[model];
+    }
+    const base = Object.keys(table)
+        .filter(key => model.startsWith(`${key}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return base ? table[base] : null;
+}
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Price a chat completion's usage ({ prompt_tokens, completion_tokens, prompt_tokens_details.audio_tokens }).
+ * Returns { cost, priced }; unknown models cost 0 and are reported as unpriced.
+ */
+function priceChatUsage(model, usage = {}) {
+    const price = findPrice(TOKEN_PRICES, model);
+    if (!price) {
+        return { cost: 0, priced: false };
+    }
+
+    const audioIn = usage.prompt_tokens_details?.audio_tokens || 0;
+    const audioOut = usage.completion_tokens_details?.audio_tokens || 0;
+    const textIn = (usage.prompt_tokens || 0) - audioIn;
+    const textOut = (usage.completion_tokens || 0) - audioOut;
+
+    const cost = (
+        textIn * price.input +
+        textOut * price.output +
+        audioIn * (price.audioInput ?? price.input) +
+        audioOut * (price.audioOutput ?? price.output)
+    ) / 1e6;
+
+    return { cost: roundCost(cost), priced: true };
+}
+
+function priceAudioMinutes(model, seconds) {
+    const perMinute = findPrice(AUDIO_MINUTE_PRICES, model);
+    return perMinute === null
+        ? { cost: 0, priced: false }
+        : { cost: roundCost((seconds / 60) * perMinute), priced: true };
+}
+
+// Upper-bound cost of a chat request before it is sent: prompt text plus its max_tokens
+function estimateChatRequestCost(params) {
+    const promptText = (params.messages || [])
+        .map(message => (typeof message.content === 'string'
+            ? message.content
+            : (message.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n')))
+        .join('\n');
+
+    return priceChatUsage(params.model, {
+        prompt_tokens: estimateTokens(promptText) + PROMPT_OVERHEAD_TOKENS,
+        completion_tokens: params.max_tokens || params.max_completion_tokens || DEFAULT_OUTPUT_TOKENS
+    }).cost;
+}
+
+/**
+ * Run `call` unless it could push the tracked run past --max-cost.
+ * `estimate` is a cost in USD or a (possibly async) function returning one; it is only evaluated
+ * when a budget is set.
+ */
+async function withBudget(estimate, call) {
+    const tracker = getCostTracker();
+    if (!tracker || tracker.maxCost === null) {
+        return await call();
+    }
+
+    const estimatedCost = typeof estimate === 'function' ? await estimate() : estimate;
+    const committed = tracker.spent + tracker.reserved;
+    if (committed + estimatedCost > tracker.maxCost) {
+        throw new Error(`Budget exceeded: ${formatCost(committed)} spent or in flight, next call ~${formatCost(estimatedCost)}, limit ${formatCost(tracker.maxCost)}`);
+    }
+
+    tracker.reserved += estimatedCost;
+    try {
+        return await call();
+    } finally {
+        tracker.reserved -= estimatedCost;
+    }
+}
+
+function recordEntry(entry) {
+    const store = storage.getStore();
+    if (!store) {
+        return;
+    }
+
+    store.tracker.entries.push({ step: store.step, ...entry });
+    store.tracker.spent = roundCost(store.tracker.spent + entry.cost);
+}
+
+// Calls to a self-hosted server (local: true) are counted but never priced
+function recordChatUsage(model, usage, options = {}) {
+    const { local = false } = options;
+    const { cost, priced } = local ? { cost: 0, priced: false } : priceChatUsage(model, usage || {});
+
+    recordEntry({
+        kind: 'chat',
+        model,
+        input_tokens: usage?.prompt_tokens || 0,
+        output_tokens: usage?.completion_tokens || 0,
+        audio_tokens: (usage?.prompt_tokens_details?.audio_tokens || 0) + (usage?.completion_tokens_details?.audio_tokens || 0),
+        cost,
+        priced
+    });
+}
+
+function recordAudioUsage(model, seconds, options = {}) {
+    const { local = false } = options;
+    const { cost, priced } = local ? { cost: 0, priced: false } : priceAudioMinutes(model, seconds);
+
+    recordEntry({
+        kind: 'audio',
+        model,
+        audio_minutes: Math.round((seconds / 60) * 100) / 100,
+        cost,
+        priced
+    });
+}
+
+function groupEntries(entries, key) {
+    const groups = {};
+    entries.forEach(entry => {
+        const name = entry[key] || 'other';
+        const group = groups[name] || (groups[name] = { calls: 0, input_tokens: 0, output_tokens: 0, audio_minutes: 0, cost: 0 });
+        group.calls += 1;
+        group.input_tokens += entry.input_tokens || 0;
+        group.output_tokens += entry.output_tokens || 0;
+        group.audio_minutes = Math.round((group.audio_minutes + (entry.audio_minutes || 0)) * 100) / 100;
+        group.cost = roundCost(group.cost + entry.cost);
+    });
+    return groups;
+}
+
+function summarizeCosts(tracker) {
+    const { entries } = tracker;
+
+    return {
+        label: tracker.label,
+        started_at: tracker.startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        max_cost: tracker.maxCost,
+        total_cost: tracker.spent,
+        calls: entries.length,
+        input_tokens: entries.reduce((sum, entry) => sum + (entry.input_tokens || 0), 0),
+        output_tokens: entries.reduce((sum, entry) => sum + (entry.output_tokens || 0), 0),
+        audio_minutes: Math.round(entries.reduce((sum, entry) => sum + (entry.audio_minutes || 0), 0) * 100) / 100,
+        unpriced_models: [...new Set(entries.filter(entry => !entry.priced).map(entry => entry.model))],
+        by_step: groupEntries(entries, 'step'),
+        by_model: groupEntries(entries, 'model'),
+        entries
+    };
+}
+
+function createUsageTable(title, groups) {
+    const lines = [
+        `## ${title}`,
+        ``,
+        `| ${title === 'By Step' ? 'Step' : 'Model'} | Calls | Input tokens | Output tokens | Audio min | Cost |`,
+        `|---|---|---|---|---|---|`
+    ];
+    Object.entries(groups).forEach(([name, group]) => {
+        lines.push(`| ${name} | ${group.calls} | ${group.input_tokens} | ${group.output_tokens} | ${group.audio_minutes} | ${formatCost(group.cost)} |`);
+    });
+    return lines.join('\n');
+}
+
+function createCostReportMarkdown(report) {
+    const lines = [
+        `# Cost Report${report.label ? `: ${report.label}` : ''}`,
+        ``,
+        `- Started: ${report.started_at}`,
+        `- Finished: ${report.finished_at}`,
+        `- Total cost: ${formatCost(report.total_cost)}${report.max_cost !== null ? ` (limit ${formatCost(report.max_cost)})` : ''}`,
+        `- API calls: ${report.calls}`,
+        `- Tokens: ${report.input_tokens} in / ${report.output_tokens} out`,
+        `- Audio: ${report.audio_minutes} min`
+    ];
+
+    if (report.unpriced_models.length > 0) {
+        lines.push(`- Unpriced (local or unknown) models: ${report.unpriced_models.join(', ')}`);
+    }
+
+    lines.push('', createUsageTable('By Step', report.by_step), '', createUsageTable('By Model', report.by_model));
+
+    return lines.join('\n');
+}
+
+async function writeCostReport(tracker, videoId, reportsDir) {
+    const report = summarizeCosts(tracker);
+
+    await fs.mkdir(reportsDir, { recursive: true });
+
+    const stamp = report.started_at.replace(/[:.]/g, '-');
+    const { baseName } = getOutputPaths(videoId);
+    const jsonFile = path.join(reportsDir, `${baseName}_cost_${stamp}.json`);
+    const markdownFile = path.join(reportsDir, `${baseName}_cost_${stamp}.md`);
+
+    await fs.writeFile(jsonFile, JSON.stringify(report, null, 2));
+    await fs.writeFile(markdownFile, createCostReportMarkdown(report));
+    log(`💾 Cost report saved: ${markdownFile}`);
+
+    return { report, jsonFile, markdownFile };
+}
+
+function estimateChunkedTask(task, model, transcriptChars, taskEstimates = {}) {
+    const { maxTokens, chunkChars = Infinity, merge = false, inputChars = Infinity } = taskEstimates[task] || TASK_ESTIMATES[task] || { maxTokens: DEFAULT_OUTPUT_TOKENS };
+    const inputTextChars = Math.min(transcriptChars, inputChars);
+    const chunks = Math.max(1, Math.ceil(inputTextChars / chunkChars));
+    const mergeCalls = merge && chunks > 1 ? 1 : 0;
+
+    const usage = {
+        prompt_tokens: Math.ceil(inputTextChars / CHARS_PER_TOKEN) + PROMPT_OVERHEAD_TOKENS * chunks + mergeCalls * (maxTokens * chunks + PROMPT_OVERHEAD_TOKENS),
+        completion_tokens: maxTokens * (chunks + mergeCalls)
+    };
+    return { calls: chunks + mergeCalls, ...usage, ...priceChatUsage(model, usage) };
+}
+
+/**
+ * Estimate a run's cost before any call is made.
+ * `steps` lists the steps that would run; `transcriptChars` defaults to a speaking-rate guess from the duration.
+ * Chat outputs are priced at their max_tokens ceilings, so the estimate errs high.
+ */
+function estimatePipelineCost(options) {
+    const {
+        durationSeconds,
+        transcriptChars = Math.round((durationSeconds / 60) * SPOKEN_CHARS_PER_MINUTE),
+        steps,
+        transcriptionModel = 'whisper-1',
+        transcriptionLocal = false,
+        llmLocal = false,
+        analysisTasks = ['format', 'summary'],
+        // { task: { maxTokens, chunkChars, merge } } for tasks TASK_ESTIMATES doesn't cover, e.g. analysis templates
+        taskEstimates = {},
+        // Each language is translated, then gets the same analyses as the original
+        translationLanguages = [],
+        modelForTask
+    } = options;
+
+    const chatCost = (model, usage) => (llmLocal ? { cost: 0, priced: false } : priceChatUsage(model, usage));
+    const estimate = {};
+
+    const estimateTasks = (taskNames, extra = {}) => taskNames.map(task => {
+        const model = modelForTask(task);
+        const taskEstimate = estimateChunkedTask(task, model, transcriptChars, taskEstimates);
+        return { task, ...extra, model, ...taskEstimate, ...(llmLocal && { cost: 0, priced: false }) };
+    });
+    const sumTasks = tasks => ({
+        calls: tasks.reduce((sum, task) => sum + task.calls, 0),
+        prompt_tokens: tasks.reduce((sum, task) => sum + task.prompt_tokens, 0),
+        completion_tokens: tasks.reduce((sum, task) => sum + task.completion_tokens, 0),
+        cost: roundCost(tasks.reduce((sum, task) => sum + task.cost, 0)),
+        priced: tasks.every(task => task.priced),
+        tasks
+    });
+
+    if (steps.includes('whisper')) {
+        const { cost, priced } = transcriptionLocal ? { cost: 0, priced: false } : priceAudioMinutes(transcriptionModel, durationSeconds);
+        estimate.whisper = { model: transcriptionModel, audio_minutes: Math.round((durationSeconds / 60) * 100) / 100, cost, priced };
+    }
+
+    if (steps.includes('gpt4o')) {
+        const audioTokens = Math.ceil(durationSeconds * AUDIO_TOKENS_PER_SECOND);
+        const usage = {
+            prompt_tokens: PROMPT_OVERHEAD_TOKENS + audioTokens,
+            prompt_tokens_details: { audio_tokens: audioTokens },
+            completion_tokens: Math.ceil(transcriptChars / CHARS_PER_TOKEN)
+        };
+        estimate.gpt4o = {
+            model: GPT4O_AUDIO_MODEL,
+            calls: 1,
+            prompt_tokens: usage.prompt_tokens,
+            completion_tokens: usage.completion_tokens,
+            ...priceChatUsage(GPT4O_AUDIO_MODEL, usage)
+        };
+    }
+
+    if (steps.includes('structured')) {
+        const model = modelForTask('structured');
+        const words = Math.ceil(transcriptChars / 6);
+        const windows = Math.max(1, Math.ceil(words / STRUCTURED_WORDS_PER_WINDOW));
+        const usage = {
+            prompt_tokens: words * STRUCTURED_TOKENS_PER_WORD + windows * PROMPT_OVERHEAD_TOKENS,
+            completion_tokens: windows * DEFAULT_OUTPUT_TOKENS
+        };
+        estimate.structured = { model, calls: windows, ...usage, ...chatCost(model, usage) };
+    }
+
+    if (steps.includes('analysis')) {
+        estimate.analysis = sumTasks(estimateTasks(analysisTasks));
+    }
+
+    if (steps.includes('translation') && translationLanguages.length > 0) {
+        estimate.translation = {
+            languages: translationLanguages,
+            // Translations reuse the original's classification
+            ...sumTasks(translationLanguages.flatMap(language => estimateTasks(['translation', ...analysisTasks.filter(task => task !== 'classify')], { language })))
+        };
+    }
+
+    return {
+        duration_seconds: durationSeconds,
+        transcript_chars: transcriptChars,
+        steps: estimate,
+        total_cost: roundCost(Object.values(estimate).reduce((sum, step) => sum + step.cost, 0))
+    };
+}
+
+module.exports = {
+    TOKEN_PRICES,
+    AUDIO_MINUTE_PRICES,
+    TASK_ESTIMATES,
+    createCostTracker,
+    runWithCostTracker,
+    withCostStep,
+    getCostTracker,
+    withBudget,
+    estimateTokens,
+    estimateChatRequestCost,
+    priceChatUsage,
+    priceAudioMinutes,
+    recordChatUsage,
+    recordAudioUsage,
+    summarizeCosts,
+    writeCostReport,
+    estimatePipelineCost,
+    formatCost
+};
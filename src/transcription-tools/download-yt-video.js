@@ -6,6 +6,8 @@ const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { runCommand } = require('./audio-chunker');
+const { log } = require('./pipeline-events');
 
 function extractVideoId(urlOrId) {
     // If it's already an 11-character alphanumeric string, assume it's a video ID
@@ -36,23 +38,18 @@ async function downloadYouTubeAudio(url, outputDir = null) {
         throw new Error(`Couldn't extract video ID from '${url}'`);
     }
     
-    // Use provided outputDir or get from folder utils
-    let outdir;
-    if (outputDir) {
-        outdir = outputDir;
-    } else {
-        const { getOutputPaths } = require('./folder-utils');
-        const paths = getOutputPaths(vid);
-        outdir = paths.downloads;
-    }
+    // File name comes from folder utils; outputDir only changes the folder
+    const { getOutputPaths, getOutputFile } = require('./folder-utils');
+    const outdir = outputDir || getOutputPaths(vid).downloads;
+    const audioFile = getOutputFile(vid, 'audioFile', outdir);
     
     await fs.mkdir(outdir, { recursive: true });
     
-    // Output file path
-    const outputPath = path.join(outdir, `${vid}.%(ext)s`);
+    // Output file path (% is yt-dlp's template character, so titles keep a literal one)
+    const outputPath = path.join(outdir, `${path.basename(audioFile, '.mp3').replace(/%/g, '%%')}.%(ext)s`);
     
-    console.log(`📥 Downloading audio from: ${url}`);
-    console.log(`→ Output directory: ${outdir}`);
+    log(`📥 Downloading audio from: ${url}`);
+    log(`→ Output directory: ${outdir}`);
     
     return new Promise((resolve, reject) => {
         const args = [
@@ -63,7 +60,7 @@ async function downloadYouTubeAudio(url, outputDir = null) {
             url
         ];
         
-        console.log(`🎵 Running: yt-dlp ${args.join(' ')}`);
+        log(`🎵 Running: yt-dlp ${args.join(' ')}`);
         
         const process = spawn('yt-dlp', args, {
             stdio: ['pipe', 'pipe', 'pipe']
@@ -78,7 +75,7 @@ async function downloadYouTubeAudio(url, outputDir = null) {
             const lines = data.toString().split('\n');
             lines.forEach(line => {
                 if (line.trim()) {
-                    console.log(line.trim());
+                    log(line.trim());
                 }
             });
         });
@@ -89,11 +86,9 @@ async function downloadYouTubeAudio(url, outputDir = null) {
         
         process.on('close', (code) => {
             if (code === 0) {
-                // Find the actual downloaded file
-                const expectedFile = path.join(outdir, `${vid}.mp3`);
                 resolve({
                     success: true,
-                    audioFile: expectedFile,
+                    audioFile,
                     videoId: vid,
                     stdout,
                     stderr
@@ -109,4 +104,79 @@ async function downloadYouTubeAudio(url, outputDir = null) {
     });
 }
 
-module.exports = { downloadYouTubeAudio, extractVideoId };
\ No newline at end of file
+// yt-dlp dates are YYYYMMDD
+function formatUploadDate(value) {
+    return /^\d{8}$/.test(value || '') ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : null;
+}
+
+/**
+ * Video metadata from `yt-dlp --dump-json`, without downloading anything: { video_id, title, channel, channel_url,
+ * upload_date (YYYY-MM-DD), description, duration, chapters: [{ start, end, title }], tags, categories, language,
+ * webpage_url, fetched_at }. Chapters are the uploader's own, from the description or the video's chapter list.
+ */
+async function fetchYouTubeMetadata(url) {
+    log(`🧾 Reading video metadata...`);
+    
+    const { stdout } = await runCommand('yt-dlp', ['--dump-json', '--skip-download', '--no-playlist', url]);
+    
+    let info;
+    try {
+        info = JSON.parse(stdout);
+    } catch (error) {
+        throw new Error(`yt-dlp returned no metadata for ${url}`);
+    }
+    
+    const metadata = {
+        video_id: info.id || extractVideoId(url),
+        title: info.title || null,
+        channel: info.channel || info.uploader || null,
+        channel_url: info.channel_url || info.uploader_url || null,
+        upload_date: formatUploadDate(info.upload_date),
+        description: info.description || '',
+        duration: typeof info.duration === 'number' ? info.duration : null,
+        chapters: (info.chapters || []).map(chapter => ({
+            start: chapter.start_time,
+            end: chapter.end_time,
+            title: chapter.title
+        })),
+        tags: info.tags || [],
+        categories: info.categories || [],
+        language: info.language || null,
+        webpage_url: info.webpage_url || url,
+        fetched_at: new Date().toISOString()
+    };
+    
+    log(`→ Title: ${metadata.title || 'unknown'}`);
+    log(`→ Channel: ${metadata.channel || 'unknown'}`);
+    log(`→ Uploaded: ${metadata.upload_date || 'unknown'}`);
+    if (metadata.chapters.length > 0) {
+        log(`→ Uploader chapters: ${metadata.chapters.length}`);
+    }
+    
+    return metadata;
+}
+
+async function saveYouTubeMetadata(metadata, videoId) {
+    const { getOutputFile } = require('./folder-utils');
+    const metadataFile = getOutputFile(videoId, 'metadataFile');
+    
+    await fs.mkdir(path.dirname(metadataFile), { recursive: true });
+    await fs.writeFile(metadataFile, JSON.stringify(metadata, null, 2));
+    log(`💾 Video metadata saved: ${metadataFile}`);
+    
+    return metadataFile;
+}
+
+// Duration in seconds without downloading anything (used for cost estimates)
+async function getYouTubeDuration(url) {
+    const { stdout } = await runCommand('yt-dlp', ['--skip-download', '--print', 'duration', url]);
+    
+    const duration = parseFloat(stdout.trim());
+    if (isNaN(duration)) {
+        throw new Error(`Could not determine duration of ${url}`);
+    }
+    
+    return duration;
+}
+
+module.exports = { downloadYouTubeAudio, extractVideoId, getYouTubeDuration, fetchYouTubeMetadata, saveYouTubeMetadata };
\ No newline at end of file
@@ -1,75 +1,320 @@
 /**
  * Utility functions for managing output folder structure
+ * The output layout decides where files go: a folder template and a file name template, filled in per video
+ * from {id}, {title}, {channel}, {date} and {type}. Every module takes its paths from getOutputPaths.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { log } = require('./pipeline-events');
 
-async function ensureOutputFolders() {
+// by-type is the original layout (downloads/, transcriptions/whisper/, formatted/, ...)
+const LAYOUT_PRESETS = {
+    'by-type': { folder: '{type}', file: '{id}' },
+    'per-video': { folder: '{title} [{id}]/{type}', file: '{id}' },
+    'dated': { folder: '{date}/{title} [{id}]/{type}', file: '{id}' }
+};
+
+const DEFAULT_LAYOUT = 'by-type';
+
+const LAYOUT_PLACEHOLDERS = ['id', 'title', 'channel', 'date', 'type'];
+
+// What {type} renders to for each output folder
+const OUTPUT_TYPES = {
+    downloads: 'downloads',
+    transcriptions: 'transcriptions',
+    whisperTranscriptions: 'transcriptions/whisper',
+    gpt4oTranscriptions: 'transcriptions/4o',
+    structuredTranscriptions: 'transcriptions/structured',
+    translations: 'transcriptions/translations',
+    formatted: 'formatted',
+    subtitles: 'subtitles',
+    reports: 'reports'
+};
+
+// Titles are cut to this many characters in folder and file names
+const MAX_NAME_LENGTH = 80;
+
+let layout = null;
+
+// Title, channel and date per video ID, registered by the pipeline before it writes anything
+const videoContexts = new Map();
+
+function getBaseOutputFolder() {
     const baseOutputFolder = process.env.OUTPUT_FOLDER;
-    
+
     if (!baseOutputFolder) {
         throw new Error('OUTPUT_FOLDER environment variable not set');
     }
-    
-    // Define subfolder structure
+
+    return baseOutputFolder;
+}
+
+// A folder or file name safe on every platform: no path separators, reserved or control characters
+function sanitizeFileName(value, fallback = 'untitled') {
+    const name = String(value ?? '')
+        .normalize('NFC')
+        .replace(/[<>:"/\\|?*\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_NAME_LENGTH)
+        .replace(/^[\s.]+|[\s.]+$/g, '');
+
+    if (!name) {
+        return fallback;
+    }
+    // Windows refuses these names whatever the extension
+    return /^(con|prn|aux|nul|com\d|lpt\d)$/i.test(name) ? `_${name}` : name;
+}
+
+function validateTemplate(template, label) {
+    const unknown = (template.match(/\{[^}]*\}/g) || [])
+        .map(placeholder => placeholder.slice(1, -1))
+        .filter(name => !LAYOUT_PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`${label} template '${template}' uses unknown placeholder(s) ${unknown.map(name => `{${name}}`).join(', ')} (use ${LAYOUT_PLACEHOLDERS.map(name => `{${name}}`).join(', ')})`);
+    }
+}
+
+function readEnvLayout() {
+    return {
+        layout: process.env.OUTPUT_LAYOUT || DEFAULT_LAYOUT,
+        folder: process.env.OUTPUT_FOLDER_TEMPLATE || null,
+        file: process.env.OUTPUT_FILE_TEMPLATE || null
+    };
+}
+
+/**
+ * Choose the output layout: a preset (by-type, per-video, dated) and optional folder/file templates that
+ * replace the preset's. Unset options come from OUTPUT_LAYOUT, OUTPUT_FOLDER_TEMPLATE and OUTPUT_FILE_TEMPLATE.
+ */
+function configureOutputLayout(overrides = {}) {
+    const envLayout = readEnvLayout();
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    const name = defined.layout || envLayout.layout;
+
+    const preset = LAYOUT_PRESETS[name];
+    if (!preset) {
+        throw new Error(`Unknown output layout '${name}' (use ${Object.keys(LAYOUT_PRESETS).join(', ')})`);
+    }
+
+    const folder = (defined.folder || envLayout.folder || preset.folder).replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    const file = defined.file || envLayout.file || preset.file;
+
+    validateTemplate(folder, 'Folder');
+    validateTemplate(file, 'File name');
+    if (!folder.includes('{type}')) {
+        throw new Error(`Folder template '${folder}' needs {type}, so each kind of output keeps its own folder`);
+    }
+    if (!folder.includes('{id}') && !file.includes('{id}')) {
+        throw new Error('The folder or file name template needs {id}, so two videos never share a file');
+    }
+    if (folder.split('/').some(segment => segment === '..' || segment === '.')) {
+        throw new Error(`Folder template '${folder}' must stay inside OUTPUT_FOLDER`);
+    }
+    if (/[/\\]/.test(file)) {
+        throw new Error(`File name template '${file}' cannot contain folders; put them in the folder template`);
+    }
+
+    layout = { name, folder, file };
+
+    return layout;
+}
+
+function getOutputLayout() {
+    if (!layout) {
+        configureOutputLayout();
+    }
+    return layout;
+}
+
+// Record what {title}, {channel} and {date} render to for a video (date as YYYY-MM-DD)
+function setVideoContext(videoId, context = {}) {
+    videoContexts.set(videoId, {
+        title: context.title || null,
+        channel: context.channel || null,
+        date: context.date || null
+    });
+}
+
+function renderTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name]);
+}
+
+async function ensureOutputFolders() {
+    const baseOutputFolder = getBaseOutputFolder();
+
+    // Folders shared by every video; a video's own folders come from ensureVideoFolders
     const folders = {
         base: baseOutputFolder,
-        downloads: path.join(baseOutputFolder, 'downloads'),
-        transcriptions: path.join(baseOutputFolder, 'transcriptions'),
-        whisperTranscriptions: path.join(baseOutputFolder, 'transcriptions', 'whisper'),
-        gpt4oTranscriptions: path.join(baseOutputFolder, 'transcriptions', '4o'),
-        structuredTranscriptions: path.join(baseOutputFolder, 'transcriptions', 'structured'),
-        formatted: path.join(baseOutputFolder, 'formatted')
+        manifests: path.join(baseOutputFolder, 'manifests'),
+        reports: path.join(baseOutputFolder, 'reports')
     };
-    
+
     // Create all folders
     for (const [key, folderPath] of Object.entries(folders)) {
         try {
             await fs.mkdir(folderPath, { recursive: true });
-            console.log(`📁 Ensured folder exists: ${folderPath}`);
+            log(`📁 Ensured folder exists: ${folderPath}`);
         } catch (error) {
             throw new Error(`Failed to create folder ${folderPath}: ${error.message}`);
         }
     }
-    
+
     return folders;
 }
 
-function getOutputPaths(videoId) {
-    const baseOutputFolder = process.env.OUTPUT_FOLDER;
-    
-    if (!baseOutputFolder) {
-        throw new Error('OUTPUT_FOLDER environment variable not set');
+async function ensureVideoFolders(videoId) {
+    const paths = getOutputPaths(videoId);
+
+    for (const key of Object.keys(OUTPUT_TYPES)) {
+        try {
+            await fs.mkdir(paths[key], { recursive: true });
+        } catch (error) {
+            throw new Error(`Failed to create folder ${paths[key]}: ${error.message}`);
+        }
     }
-    
+
+    return paths;
+}
+
+function getOutputPaths(videoId) {
+    const baseOutputFolder = getBaseOutputFolder();
+    const { folder, file } = getOutputLayout();
+    const context = videoContexts.get(videoId) || {};
+
+    const values = {
+        id: sanitizeFileName(videoId, 'video'),
+        title: sanitizeFileName(context.title, 'untitled'),
+        channel: sanitizeFileName(context.channel, 'unknown-channel'),
+        date: sanitizeFileName(context.date || new Date().toISOString().slice(0, 10), 'undated')
+    };
+
+    const folders = Object.fromEntries(Object.entries(OUTPUT_TYPES).map(([key, type]) => [
+        key,
+        path.join(baseOutputFolder, ...renderTemplate(folder, { ...values, type }).split('/'))
+    ]));
+
+    // Every file of a video starts with this name (`{id}` unless the file template says otherwise)
+    const baseName = renderTemplate(file, values);
+    const inFolder = (key, suffix) => path.join(folders[key], `${baseName}${suffix}`);
+
     return {
-        downloads: path.join(baseOutputFolder, 'downloads'),
-        transcriptions: path.join(baseOutputFolder, 'transcriptions'),
-        whisperTranscriptions: path.join(baseOutputFolder, 'transcriptions', 'whisper'),
-        gpt4oTranscriptions: path.join(baseOutputFolder, 'transcriptions', '4o'),
-        structuredTranscriptions: path.join(baseOutputFolder, 'transcriptions', 'structured'),
-        formatted: path.join(baseOutputFolder, 'formatted'),
-        
+        ...folders,
+        // Manifests keep a fixed place, so a video's state is found before its title is known
+        manifests: path.join(baseOutputFolder, 'manifests'),
+        baseName,
+
         // Specific file paths
-        audioFile: path.join(baseOutputFolder, 'downloads', `${videoId}.mp3`),
-        
+        audioFile: inFolder('downloads', '.mp3'),
+        metadataFile: inFolder('downloads', '_metadata.json'),
+
         // Whisper files
-        whisperRawJsonFile: path.join(baseOutputFolder, 'transcriptions', 'whisper', `${videoId}_raw_transcription.json`),
-        whisperWordSrtFile: path.join(baseOutputFolder, 'transcriptions', 'whisper', `${videoId}_word_timestamps.srt`),
-        whisperPlainTextFile: path.join(baseOutputFolder, 'transcriptions', 'whisper', `${videoId}_transcript.txt`),
-        
+        whisperRawJsonFile: inFolder('whisperTranscriptions', '_raw_transcription.json'),
+        whisperWordSrtFile: inFolder('whisperTranscriptions', '_word_timestamps.srt'),
+        whisperPlainTextFile: inFolder('whisperTranscriptions', '_transcript.txt'),
+
         // GPT-4o files
-        gpt4oRawJsonFile: path.join(baseOutputFolder, 'transcriptions', '4o', `${videoId}_raw_transcription.json`),
-        gpt4oPlainTextFile: path.join(baseOutputFolder, 'transcriptions', '4o', `${videoId}_transcript.txt`),
-        
+        gpt4oRawJsonFile: inFolder('gpt4oTranscriptions', '_raw_transcription.json'),
+        gpt4oPlainTextFile: inFolder('gpt4oTranscriptions', '_transcript.txt'),
+
+        // Structured files
+        structuredJsonFile: inFolder('structuredTranscriptions', '_structured_transcription.json'),
+        structuredSrtFile: inFolder('structuredTranscriptions', '_speaker_timestamps.srt'),
+        conversationFile: inFolder('structuredTranscriptions', '_conversation.txt'),
+        speakerTimelineFile: inFolder('structuredTranscriptions', '_speaker_timeline.json'),
+
+        // Translation files (in a language subfolder, see getLanguagePaths)
+        translationJsonFile: inFolder('translations', '_translation.json'),
+        translationSrtFile: inFolder('translations', '_timestamps.srt'),
+        translationTextFile: inFolder('translations', '_transcript.txt'),
+
+        // Subtitle files
+        subtitleVttFile: inFolder('subtitles', '.vtt'),
+        subtitleTtmlFile: inFolder('subtitles', '.ttml'),
+        subtitleAssFile: inFolder('subtitles', '.ass'),
+
         // Formatted files
-        formattedMarkdownFile: path.join(baseOutputFolder, 'formatted', `${videoId}_formatted.md`),
-        summaryFile: path.join(baseOutputFolder, 'formatted', `${videoId}_summary.md`)
+        formattedMarkdownFile: inFolder('formatted', '_formatted.md'),
+        analysisJsonFile: inFolder('formatted', '_analysis.json'),
+        summaryFile: inFolder('formatted', '_summary.md'),
+        // Each analysis file is named by its template (see getAnalysisFile)
+
+        // Chapter exports (next to the formatted files)
+        chaptersJsonFile: inFolder('formatted', '_chapters.json'),
+        youtubeChaptersFile: inFolder('formatted', '_chapters_youtube.txt'),
+        ffmetadataFile: inFolder('formatted', '_chapters.ffmetadata'),
+        vttChaptersFile: inFolder('formatted', '_chapters.vtt'),
+
+        // Offline HTML viewer with the audio embedded
+        viewerFile: inFolder('formatted', '_viewer.html'),
+
+        // Pipeline state
+        manifestFile: path.join(baseOutputFolder, 'manifests', `${videoId}_manifest.json`)
+    };
+}
+
+/**
+ * The path getOutputPaths gives `key` for a video, or the same file name inside dir when the caller
+ * picks the folder (e.g. formatted/es/ for a translation).
+ */
+function getOutputFile(videoId, key, dir = null) {
+    const file = getOutputPaths(videoId)[key];
+
+    if (!file) {
+        throw new Error(`Unknown output file '${key}'`);
+    }
+
+    return dir ? path.join(dir, path.basename(file)) : file;
+}
+
+// An analysis template's file: its `output` name (e.g. key_quotes.md) after the video's file name, in formatted/ or dir
+function getAnalysisFile(videoId, output, dir = null) {
+    const paths = getOutputPaths(videoId);
+    return path.join(dir || paths.formatted, `${paths.baseName}_${output}`);
+}
+
+// The search index covers every video, so like the manifests it has a fixed place outside the layout
+function getSearchIndexPaths() {
+    const index = path.join(getBaseOutputFolder(), 'index');
+
+    return {
+        index,
+        searchIndexFile: path.join(index, 'search_index.json'),
+        // One file of passage embeddings per video, built by semantic searches
+        embeddings: path.join(index, 'embeddings'),
+        // What `ll search --reindex` rebuilds the index from
+        manifests: path.join(getBaseOutputFolder(), 'manifests')
+    };
+}
+
+// Translated outputs live in a subfolder named after the language (e.g. subtitles/es/)
+function getLanguagePaths(videoId, language) {
+    const paths = getOutputPaths(videoId);
+    const translations = path.join(paths.translations, language);
+
+    return {
+        translations,
+        subtitles: path.join(paths.subtitles, language),
+        formatted: path.join(paths.formatted, language),
+
+        translationJsonFile: path.join(translations, path.basename(paths.translationJsonFile)),
+        translationSrtFile: path.join(translations, path.basename(paths.translationSrtFile)),
+        translationTextFile: path.join(translations, path.basename(paths.translationTextFile))
     };
 }
 
 module.exports = {
+    LAYOUT_PRESETS,
+    configureOutputLayout,
+    getOutputLayout,
+    setVideoContext,
+    sanitizeFileName,
     ensureOutputFolders,
-    getOutputPaths
-};
\ No newline at end of file
+    ensureVideoFolders,
+    getOutputPaths,
+    getOutputFile,
+    getAnalysisFile,
+    getLanguagePaths,
+    getSearchIndexPaths
+};
@@ -1,114 +1,278 @@
 /**
  * Advanced transcript formatting and analysis using OpenAI
- * Includes multiple output formats, content analysis, and industry-specific templates
+ * Includes multiple output formats, content analysis, and content-type/industry profiles (see content-profiles.js).
+ * Each analysis runs from an analysis template (see analysis-templates.js).
  */
 
-const OpenAI = require('openai');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs').promises;
-const path = require('path');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
-// Content type detection patterns
-const CONTENT_TYPES = {
-    interview: ['interview', 'q&a', 'question', 'answer', 'interviewer', 'interviewee'],
-    lecture: ['lecture', 'presentation', 'teaching', 'lesson', 'course', 'educational'],
-    meeting: ['meeting', 'agenda', 'action item', 'next steps', 'decision', 'minutes'],
-    podcast: ['podcast', 'episode', 'host', 'guest', 'show'],
-    discussion: ['discussion', 'conversation', 'chat', 'talk'],
-    monologue: ['monologue', 'speech', 'presentation', 'keynote']
-};
+const { createChatCompletion, createJsonCompletion, getModelForTask } = require('./llm-client');
+const { mapReduceTranscript, chunkLabel, describeChunk, formatChunkTime } = require('./transcript-chunking');
+const { saveChapterExports } = require('./chapter-export');
+const { BUILTIN_TEMPLATES, loadAnalysisTemplates, renderTemplateMarkdown } = require('./analysis-templates');
+const { PROFILE_KINDS, loadContentProfiles, classifyByKeywords, overrideProfile, createClassifierSchema, describeProfiles, readClassifierAnswer, describeClassification } = require('./content-profiles');
+const { getLanguageName } = require('./languages');
+const { log } = require('./pipeline-events');
 
-// Industry-specific prompting
-const INDUSTRY_PROMPTS = {
-    tech: "Focus on technical concepts, frameworks, APIs, implementation details, and code examples",
-    business: "Highlight strategies, metrics, ROI, business implications, and market insights", 
-    education: "Structure with learning objectives, key concepts, exercises, and knowledge checks",
-    health: "Emphasize evidence-based information, practical applications, and safety considerations",
-    finance: "Focus on financial metrics, market analysis, investment strategies, and risk factors",
-    marketing: "Highlight campaigns, customer insights, conversion metrics, and growth strategies"
-};
+// Formatted output is about as long as its input, so chunks must fit the 4000-token reply
+const FORMAT_CHUNK_CHARS = 12000;
 
-// Content type detection
-function detectContentType(text) {
-    const lowerText = text.toLowerCase();
-    
-    for (const [type, keywords] of Object.entries(CONTENT_TYPES)) {
-        const matches = keywords.filter(keyword => lowerText.includes(keyword)).length;
-        if (matches >= 2) return type;
+// Only this much of a long transcript goes to the LLM classifier, as excerpts from its start, middle and end
+const CLASSIFIER_SAMPLE_CHARS = 8000;
+
+// Language every formatting and analysis request inside withOutputLanguage() answers in
+const outputLanguage = new AsyncLocalStorage();
+
+function withOutputLanguage(language, fn) {
+    return outputLanguage.run(language || null, fn);
+}
+
+function languageInstruction() {
+    const language = outputLanguage.getStore();
+    if (!language) {
+        return '';
     }
-    
-    // Default detection based on patterns
-    if (lowerText.includes('speaker 1') && lowerText.includes('speaker 2')) {
-        return 'interview';
+    return `\n\nWrite the entire response in ${getLanguageName(language)}, whatever language the transcript is in. Keep JSON property names and enum values exactly as specified.`;
+}
+
+// Uploader metadata (title, channel, description, chapters) every request inside withVideoContext() sees as background
+const videoContext = new AsyncLocalStorage();
+
+// Descriptions are cut to this length so long link lists don't crowd out the transcript
+const DESCRIPTION_CONTEXT_CHARS = 1500;
+
+function withVideoContext(metadata, fn) {
+    return videoContext.run(metadata || null, fn);
+}
+
+function videoContextInstruction() {
+    const video = videoContext.getStore();
+    if (!video) {
+        return '';
+    }
+
+    const lines = [
+        video.title && `Title: ${video.title}`,
+        video.channel && `Channel: ${video.channel}`,
+        video.upload_date && `Published: ${video.upload_date}`
+    ].filter(Boolean);
+
+    const description = (video.description || '').trim();
+    if (description) {
+        lines.push(`Description:\n${description.length > DESCRIPTION_CONTEXT_CHARS ? `${description.slice(0, DESCRIPTION_CONTEXT_CHARS)}…` : description}`);
+    }
+    if (video.chapters?.length) {
+        lines.push(`Uploader's chapters:\n${video.chapters.map(chapter => `${formatChunkTime(chapter.start)} ${chapter.title}`).join('\n')}`);
+    }
+    if (lines.length === 0) {
+        return '';
     }
-    return 'discussion';
+
+    return `\n\nVIDEO CONTEXT (from the uploader; use it for names, spelling and the topic, but base everything you write on the transcript):\n${lines.join('\n')}`;
 }
 
-// Industry detection
-function detectIndustry(text) {
-    const lowerText = text.toLowerCase();
-    
-    const industryKeywords = {
-        tech: ['api', 'code', 'software', 'algorithm', 'data', 'ai', 'machine learning', 'programming'],
-        business: ['revenue', 'profit', 'strategy', 'market', 'customer', 'sales', 'roi'],
-        education: ['learn', 'student', 'course', 'curriculum', 'education', 'teaching'],
-        health: ['patient', 'medical', 'health', 'treatment', 'diagnosis', 'clinical'],
-        finance: ['investment', 'portfolio', 'financial', 'stocks', 'bonds', 'market'],
-        marketing: ['campaign', 'brand', 'advertising', 'conversion', 'engagement']
+async function requestCompletion(model, systemPrompt, userPrompt, settings) {
+    const response = await createChatCompletion({
+        model: model,
+        messages: [
+            { role: 'system', content: systemPrompt + videoContextInstruction() + languageInstruction() },
+            { role: 'user', content: userPrompt }
+        ],
+        ...settings
+    });
+    return response.choices[0].message.content;
+}
+
+// Request one analysis as JSON matching its template's schema
+async function requestAnalysis(template, model, systemPrompt, userPrompt, settings) {
+    const { schema, schemaName } = template;
+    const { data } = await createJsonCompletion({
+        model: model,
+        messages: [
+            { role: 'system', content: systemPrompt + videoContextInstruction() + languageInstruction() },
+            { role: 'user', content: userPrompt }
+        ],
+        ...settings
+    }, { schema, schemaName });
+    return data;
+}
+
+// Reduce step for chunked JSON analyses: the per-chunk results are merged into one object of the same schema
+async function mergeChunkData(template, model, partials, chunks, instructions, settings) {
+    const systemPrompt = `You are combining analyses of consecutive parts of one long transcript into a single result.
+
+INSTRUCTIONS:
+${instructions}
+
+Return the same structure as the partial results. Do not mention that the transcript was split into parts.`;
+
+    const userPrompt = partials
+        .map((partial, index) => `### Transcript ${chunkLabel(chunks[index], chunks)}\n\n${JSON.stringify(partial, null, 2)}`)
+        .join('\n\n');
+
+    return await requestAnalysis(template, model, systemPrompt, userPrompt, settings);
+}
+
+// Reduce step shared by the chunked markdown outputs: one more call that merges the per-chunk answers
+async function mergeChunkResults(model, partials, chunks, instructions, settings) {
+    const systemPrompt = `You are combining analyses of consecutive parts of one long transcript into a single result.
+
+INSTRUCTIONS:
+${instructions}
+
+Keep the output format used by the partial results. Do not mention that the transcript was split into parts.`;
+
+    const userPrompt = partials
+        .map((partial, index) => `### Transcript ${chunkLabel(chunks[index], chunks)}\n\n${partial}`)
+        .join('\n\n');
+
+    return await requestCompletion(model, systemPrompt, userPrompt, settings);
+}
+
+function renderTimedSegments(segments, first, last) {
+    return segments
+        .slice(first, last + 1)
+        .map((segment, offset) => `[${first + offset}] ${formatChunkTime(segment.start)} ${segment.text.trim()}`)
+        .join('\n');
+}
+
+// Timed, indexed lines when segments are known so the model can point at where things were said
+function renderChunkText(chunk, segments) {
+    return segments?.length ? renderTimedSegments(segments, chunk.firstSegment, chunk.lastSegment) : chunk.text;
+}
+
+function speakerAt(speakerTurns, seconds) {
+    const turn = (speakerTurns || []).find(t => typeof t.start === 'number' && t.start <= seconds && seconds < t.end);
+    return turn ? turn.speaker : null;
+}
+
+// Replace the model's segment index with a timestamp, and fill in the speaker from diarization
+function attachQuoteTiming(quote, segments, speakerTurns) {
+    const segment = Number.isInteger(quote.segment) && segments?.[quote.segment];
+    const timestamp = segment ? segment.start : null;
+
+    return {
+        text: quote.text,
+        speaker: quote.speaker || (timestamp !== null ? speakerAt(speakerTurns, timestamp) : null),
+        timestamp,
+        segment: segment ? quote.segment : null,
+        context: quote.context
     };
-    
-    let maxMatches = 0;
-    let detectedIndustry = 'general';
-    
-    for (const [industry, keywords] of Object.entries(industryKeywords)) {
-        const matches = keywords.filter(keyword => lowerText.includes(keyword)).length;
-        if (matches > maxMatches) {
-            maxMatches = matches;
-            detectedIndustry = industry;
+}
+
+// Evenly spaced excerpts of a transcript too long to send whole
+function sampleTranscript(text, maxChars) {
+    if (text.length <= maxChars) {
+        return text;
+    }
+    const excerptChars = Math.floor(maxChars / 3);
+    return [0, (text.length - excerptChars) / 2, text.length - excerptChars]
+        .map(start => text.slice(Math.floor(start), Math.floor(start) + excerptChars).trim())
+        .join('\n\n[...]\n\n');
+}
+
+async function requestClassification(text, profiles, model) {
+    const systemPrompt = `You classify transcripts so they can be formatted and analyzed the right way.
+
+Pick the content type that best describes the recording:
+${describeProfiles(profiles, 'contentType')}
+
+Pick the industry or subject area:
+${describeProfiles(profiles, 'industry')}
+
+Give your confidence from 0 to 1 that each choice is right. Use a low confidence when the transcript is short, mixes several kinds or fits more than one option. In reason, explain both choices in one or two sentences.`;
+
+    const sample = sampleTranscript(text, CLASSIFIER_SAMPLE_CHARS);
+    const userPrompt = `Classify this transcript${sample.length < text.length ? ' (excerpts from its start, middle and end)' : ''}:\n\n${sample}`;
+
+    const { data } = await createJsonCompletion({
+        model: model,
+        messages: [
+            { role: 'system', content: systemPrompt + videoContextInstruction() },
+            { role: 'user', content: userPrompt }
+        ],
+        temperature: 0,
+        max_tokens: 300
+    }, { schema: createClassifierSchema(profiles), schemaName: 'transcript_classification' });
+    return data;
+}
+
+/**
+ * Choose a transcript's content-type and industry profiles: the ones named in options, else the best keyword match,
+ * or with classifier 'llm' the model's choice (keywords remain the fallback if it fails).
+ * Resolves to { contentType, industry, reason }, each profile as { name, confidence, method, matches }.
+ */
+async function classifyTranscript(transcriptionText, options = {}) {
+    const {
+        contentType = null,
+        industry = null,
+        classifier = 'keywords',
+        model = getModelForTask('classify')
+    } = options;
+    const profiles = options.profiles || await loadContentProfiles();
+    const overrides = { contentType, industry };
+
+    const classification = { reason: null };
+    Object.keys(PROFILE_KINDS).forEach(kind => {
+        classification[kind] = overrides[kind] ? overrideProfile(overrides[kind]) : classifyByKeywords(transcriptionText, profiles, kind);
+    });
+
+    if (classifier === 'llm' && (!contentType || !industry)) {
+        log(`🏷️ Classifying transcript...`);
+        log(`→ Model: ${model}`);
+        try {
+            const answer = await requestClassification(transcriptionText, profiles, model);
+            Object.keys(PROFILE_KINDS)
+                .filter(kind => !overrides[kind])
+                .forEach(kind => {
+                    classification[kind] = readClassifierAnswer(answer, profiles, kind) || classification[kind];
+                });
+            classification.reason = answer.reason || null;
+            log(`✅ Transcript classified!`);
+            if (classification.reason) {
+                log(`→ ${classification.reason}`);
+            }
+        } catch (error) {
+            log(`⚠️  Transcript classification failed, using keyword detection: ${error.message}`);
         }
     }
-    
-    return detectedIndustry;
+
+    return classification;
 }
 
 async function formatTranscriptToMarkdown(transcriptionText, options = {}) {
     const {
-        model = 'gpt-4o',
+        model = getModelForTask('format'),
         includeTimestamps = false,
         videoTitle = null,
         contentType = null,
-        industry = null
+        industry = null,
+        segments = null
     } = options;
     
-    // Auto-detect content type and industry if not provided
-    const detectedContentType = contentType || detectContentType(transcriptionText);
-    const detectedIndustry = industry || detectIndustry(transcriptionText);
+    // Profiles come from the pipeline's classification, or are detected here for standalone calls
+    const profiles = options.profiles || await loadContentProfiles();
+    const classification = options.classification || await classifyTranscript(transcriptionText, { contentType, industry, profiles });
+    const detectedContentType = classification.contentType.name;
+    const detectedIndustry = classification.industry.name;
     
-    console.log(`📝 Formatting transcript to markdown...`);
-    console.log(`→ Model: ${model}`);
-    console.log(`→ Content type: ${detectedContentType}`);
-    console.log(`→ Industry: ${detectedIndustry}`);
-    console.log(`→ Include timestamps: ${includeTimestamps}`);
+    log(`📝 Formatting transcript to markdown...`);
+    log(`→ Model: ${model}`);
+    log(`→ Content type: ${describeClassification(classification.contentType)}`);
+    log(`→ Industry: ${describeClassification(classification.industry)}`);
+    log(`→ Include timestamps: ${includeTimestamps}`);
     
-    // Build context-aware system prompt
+    // Build context-aware system prompt from the profiles' instructions
     let contextPrompt = '';
-    if (detectedContentType === 'interview') {
-        contextPrompt = '\nFormat as Q&A with clear interviewer/interviewee roles. Use > blockquotes for questions.';
-    } else if (detectedContentType === 'lecture') {
-        contextPrompt = '\nCreate educational structure with learning objectives and key concepts. Use numbered lists for sequential concepts.';
-    } else if (detectedContentType === 'meeting') {
-        contextPrompt = '\nInclude action items, decisions, and next steps in separate sections. Use checkboxes for actionable items.';
-    } else if (detectedContentType === 'podcast') {
-        contextPrompt = '\nHighlight quotable moments and key insights. Use callout boxes for important quotes.';
+    const contentTypeInstructions = profiles.contentType[detectedContentType]?.instructions;
+    if (contentTypeInstructions) {
+        contextPrompt = `\n${contentTypeInstructions}`;
     }
     
     // Add industry-specific instructions
-    if (INDUSTRY_PROMPTS[detectedIndustry]) {
-        contextPrompt += `\n\nINDUSTRY FOCUS: ${INDUSTRY_PROMPTS[detectedIndustry]}`;
+    const industryInstructions = profiles.industry[detectedIndustry]?.instructions;
+    if (industryInstructions) {
+        contextPrompt += `\n\nINDUSTRY FOCUS: ${industryInstructions}`;
     }
     
     const systemPrompt = `You are a transcript formatting expert specializing in ${detectedContentType} content for the ${detectedIndustry} industry. Your task is to take a raw transcript and format it into well-structured, readable markdown.
@@ -137,29 +301,39 @@ OUTPUT FORMAT:
 
 Make the transcript professional and easy to read while maintaining the speaker's voice and meaning.`;
 
-    const userPrompt = `Please format this ${detectedContentType} transcript into well-structured markdown:\n\n${transcriptionText}`;
-    
     try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 4000
+        // Long transcripts are formatted part by part and stitched back together in order
+        const formattedMarkdown = await mapReduceTranscript(transcriptionText, {
+            segments,
+            maxChars: FORMAT_CHUNK_CHARS,
+            label: 'transcript formatting',
+            map: (chunk, chunks) => {
+                let continuationPrompt = '';
+                if (chunks.length > 1) {
+                    continuationPrompt = chunk.index === 0
+                        ? `\n\nThis is part 1 of ${chunks.length} of a longer transcript. Do not write a conclusion; the document continues.`
+                        : `\n\nThis is part ${chunk.index + 1} of ${chunks.length} of a longer transcript. Do not add a title or introduction; continue the document with ## section headers.`;
+                }
+
+                const userPrompt = `Please format this ${detectedContentType} transcript${describeChunk(chunk, chunks)} into well-structured markdown:\n\n${chunk.text}`;
+
+                return requestCompletion(model, systemPrompt + continuationPrompt, userPrompt, {
+                    temperature: 0.3,
+                    max_tokens: 4000
+                });
+            },
+            reduce: partials => partials.map(partial => partial.trim()).join('\n\n')
         });
         
-        const formattedMarkdown = response.choices[0].message.content;
-        
-        console.log(`✅ Transcript formatted successfully!`);
-        console.log(`→ Input length: ${transcriptionText.length} chars`);
-        console.log(`→ Output length: ${formattedMarkdown.length} chars`);
+        log(`✅ Transcript formatted successfully!`);
+        log(`→ Input length: ${transcriptionText.length} chars`);
+        log(`→ Output length: ${formattedMarkdown.length} chars`);
         
         return {
             content: formattedMarkdown,
             contentType: detectedContentType,
-            industry: detectedIndustry
+            industry: detectedIndustry,
+            classification
         };
         
     } catch (error) {
@@ -167,435 +341,216 @@ Make the transcript professional and easy to read while maintaining the speaker'
     }
 }
 
-// Sentiment Analysis
-async function analyzeSentiment(transcriptionText, options = {}) {
-    const { model = 'gpt-4o' } = options;
-    
-    console.log(`😊 Analyzing sentiment...`);
-    
-    const systemPrompt = `You are a sentiment analysis expert. Analyze the emotional tone and sentiment progression throughout this conversation.
+// Drop out-of-range or duplicate starts and turn segment indexes into { start, end, title, summary }
+function alignChapters(rawChapters, segments) {
+    const seen = new Set();
+    const valid = rawChapters
+        .filter(chapter => Number.isInteger(chapter.start_segment) && chapter.start_segment >= 0 && chapter.start_segment < segments.length)
+        .sort((a, b) => a.start_segment - b.start_segment)
+        .filter(chapter => !seen.has(chapter.start_segment) && seen.add(chapter.start_segment));
 
-INSTRUCTIONS:
-1. Identify the overall sentiment (positive, negative, neutral)
-2. Note any sentiment changes throughout the conversation
-3. Identify emotional peaks or notable moments
-4. Assess the tone of each speaker separately if multiple speakers
-5. Provide confidence scores for your analysis
+    if (valid.length === 0) {
+        throw new Error('model returned no usable chapter starts');
+    }
 
-Return your analysis in clear, structured format.`;
+    const recordingEnd = segments[segments.length - 1].end;
 
-    const userPrompt = `Please analyze the sentiment of this transcript:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.2,
-            max_tokens: 800
-        });
-        
-        console.log(`✅ Sentiment analysis completed!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI sentiment analysis error: ${error.message}`);
-    }
+    return valid.map((chapter, index) => {
+        const next = valid[index + 1];
+        return {
+            start: index === 0 ? 0 : segments[chapter.start_segment].start,
+            end: next ? segments[next.start_segment].start : recordingEnd,
+            title: chapter.title.trim(),
+            summary: chapter.summary.trim(),
+            start_segment: index === 0 ? 0 : chapter.start_segment
+        };
+    });
 }
 
-// Extract Action Items
-async function extractActionItems(transcriptionText, options = {}) {
-    const { model = 'gpt-4o' } = options;
+// Chapter candidates from the parts of a long recording, merged into one chapter list
+async function mergeChapterCandidates(partials, { template, model, values, segments, settings }) {
+    const candidates = partials.flatMap(partial => partial.chapters)
+        .filter(chapter => segments[chapter.start_segment])
+        .map(chapter => `[${chapter.start_segment}] ${formatChunkTime(segments[chapter.start_segment].start)} ${chapter.title} — ${chapter.summary}`)
+        .join('\n');
     
-    console.log(`📋 Extracting action items...`);
-    
-    const systemPrompt = `You are an action item extraction expert. Identify any tasks, commitments, follow-up items, or decisions mentioned in this conversation.
+    const systemPrompt = `You are combining chapter candidates from consecutive parts of one long recording.
 
 INSTRUCTIONS:
-1. Extract specific actionable items with clear ownership when mentioned
-2. Identify deadlines or timeframes if mentioned
-3. Note any decisions that were made
-4. Flag items that need follow-up or clarification
-5. Categorize items by urgency/importance if apparent
+${fillPrompt(template.mergeInstructions, values)}`;
+    
+    return await requestAnalysis(template, model, systemPrompt, `Chapter candidates:\n\n${candidates}`, settings);
+}
 
-Format as a markdown list with checkboxes for action items.`;
+// What the built-in quotes and chapters schemas need besides a prompt, for any template that uses them
+const SCHEMA_HOOKS = {
+    quotes: {
+        finish: (data, { segments, speakerTurns }) => ({ quotes: data.quotes.map(quote => attachQuoteTiming(quote, segments, speakerTurns)) })
+    },
+    chapters: {
+        requiresSegments: true,
+        extendPrompt: prompt => prompt + (videoContext.getStore()?.chapters?.length
+            ? '\n\nThe uploader\'s chapters in the video context show how they divided the video; follow them where they match the transcript.'
+            : ''),
+        // Each part of a long recording gets its share of the chapters
+        chunkCount: (count, chunks) => (chunks.length > 1 ? Math.max(2, Math.ceil(count / chunks.length)) : count),
+        reduce: mergeChapterCandidates,
+        finish: (data, { segments }) => {
+            const chapters = alignChapters(data.chapters, segments);
+            log(`→ Chapters: ${chapters.length}`);
+            return chapters;
+        }
+    }
+};
+
+function fillPrompt(text, values) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => String(values[name]));
+}
 
-    const userPrompt = `Please extract action items from this transcript:\n\n${transcriptionText}`;
+/**
+ * Run one analysis template on a transcript. Templates with a schema resolve to its JSON data, the rest to markdown.
+ * Chunked templates split long transcripts and merge the parts; timed ones see "[index] MM:SS text" lines.
+ */
+async function runAnalysisTemplate(template, transcriptionText, options = {}) {
+    const {
+        model = template.model || getModelForTask(template.name),
+        segments = null,
+        speakerTurns = null,
+        videoTitle = 'Transcript Content',
+        count = template.count
+    } = options;
+    const hook = SCHEMA_HOOKS[template.schemaRef] || {};
+    
+    log(`${template.emoji} Running ${template.title}...`);
     
     try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.2,
-            max_tokens: 1000
-        });
+        if (hook.requiresSegments && !segments?.length) {
+            throw new Error(`${template.title} needs Whisper segment timestamps`);
+        }
         
-        console.log(`✅ Action items extracted!`);
-        return response.choices[0].message.content;
+        const timed = template.input === 'timed' && Boolean(segments?.length);
+        const settings = { temperature: template.temperature, max_tokens: template.maxTokens };
+        const request = (systemPrompt, userPrompt, requestSettings) => (template.schema
+            ? requestAnalysis(template, model, systemPrompt, userPrompt, requestSettings)
+            : requestCompletion(model, systemPrompt, userPrompt, requestSettings));
+        
+        const buildSystemPrompt = (values) => {
+            const prompt = fillPrompt(template.systemPrompt, values);
+            return (hook.extendPrompt ? hook.extendPrompt(prompt) : prompt) +
+                (timed ? '\n\nEach transcript line is "[segment index] MM:SS text".' : '');
+        };
+        const values = { title: videoTitle, count };
+        
+        let result;
+        if (template.chunked) {
+            const mergeSettings = { ...settings, max_tokens: template.mergeMaxTokens };
+            result = await mapReduceTranscript(transcriptionText, {
+                segments,
+                label: template.title,
+                map: (chunk, chunks) => {
+                    const chunkValues = { ...values, count: hook.chunkCount ? hook.chunkCount(count, chunks) : count };
+                    return request(buildSystemPrompt(chunkValues),
+                        `${fillPrompt(template.userPrompt, chunkValues)}${describeChunk(chunk, chunks)}:\n\n${timed ? renderChunkText(chunk, segments) : chunk.text}`,
+                        settings);
+                },
+                reduce: (partials, chunks) => {
+                    if (hook.reduce) {
+                        return hook.reduce(partials, { template, model, values, segments, settings: mergeSettings });
+                    }
+                    const instructions = fillPrompt(template.mergeInstructions, values);
+                    return template.schema
+                        ? mergeChunkData(template, model, partials, chunks, instructions, mergeSettings)
+                        : mergeChunkResults(model, partials, chunks, instructions, mergeSettings);
+                }
+            });
+        } else {
+            const text = timed ? renderTimedSegments(segments, 0, segments.length - 1) : transcriptionText;
+            result = await request(buildSystemPrompt(values), `${fillPrompt(template.userPrompt, values)}:\n\n${text}`, settings);
+        }
+        
+        if (hook.finish) {
+            result = hook.finish(result, { segments, speakerTurns });
+        }
+        
+        log(`✅ ${template.title} completed!`);
+        return result;
         
     } catch (error) {
-        throw new Error(`OpenAI action items error: ${error.message}`);
+        throw new Error(`OpenAI ${template.title} error: ${error.message}`);
     }
 }
 
-// Extract Key Quotes
-async function extractKeyQuotes(transcriptionText, options = {}) {
-    const { model = 'gpt-4o', count = 5 } = options;
-    
-    console.log(`💬 Extracting key quotes...`);
-    
-    const systemPrompt = `You are a quote extraction expert. Identify the most impactful, quotable, or insightful statements from this conversation.
+// A built-in analysis by name (a user template of the same name overrides it)
+async function runNamedTemplate(name, transcriptionText, options = {}) {
+    const templates = options.templates || await loadAnalysisTemplates();
+    return runAnalysisTemplate(templates[name], transcriptionText, options);
+}
 
-INSTRUCTIONS:
-1. Extract ${count} most powerful or memorable quotes
-2. Focus on statements that capture key insights or wisdom
-3. Prefer complete thoughts over fragments
-4. Include speaker attribution
-5. Prioritize quotes that would be valuable for social sharing or highlighting
+// Sentiment Analysis
+async function analyzeSentiment(transcriptionText, options = {}) {
+    return runNamedTemplate('sentiment', transcriptionText, options);
+}
 
-Format each quote with proper attribution and context.`;
+// Extract Action Items
+async function extractActionItems(transcriptionText, options = {}) {
+    return runNamedTemplate('actionItems', transcriptionText, options);
+}
 
-    const userPrompt = `Please extract the top ${count} key quotes from this transcript:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 1200
-        });
-        
-        console.log(`✅ Key quotes extracted!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI quotes extraction error: ${error.message}`);
-    }
+// Extract Key Quotes
+async function extractKeyQuotes(transcriptionText, options = {}) {
+    return runNamedTemplate('quotes', transcriptionText, options);
 }
 
 // Generate Social Media Content
 async function generateSocialContent(transcriptionText, options = {}) {
-    const { model = 'gpt-4o' } = options;
-    
-    console.log(`📱 Generating social media content...`);
-    
-    const systemPrompt = `You are a social media content expert. Create engaging social media posts from this content for different platforms.
-
-INSTRUCTIONS:
-1. Create 1 Twitter/X post (280 characters max, include relevant hashtags)
-2. Create 1 LinkedIn post (professional tone, 1-2 paragraphs)
-3. Create 1 Instagram caption (engaging, visual-friendly with emojis)
-4. Include relevant hashtags for each platform
-5. Make content shareable and engaging while staying true to the original message
-
-Format each platform section clearly with character counts.`;
-
-    const userPrompt = `Please create social media content from this transcript:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.4,
-            max_tokens: 1500
-        });
-        
-        console.log(`✅ Social media content generated!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI social media error: ${error.message}`);
-    }
+    return runNamedTemplate('social', transcriptionText, options);
 }
 
 // Extract Keywords and Tags
 async function extractKeywords(transcriptionText, options = {}) {
-    const { model = 'gpt-4o', count = 15 } = options;
-    
-    console.log(`🔍 Extracting keywords and tags...`);
-    
-    const systemPrompt = `You are an SEO and content tagging expert. Extract relevant keywords and hashtags for discoverability and SEO.
-
-INSTRUCTIONS:
-1. Identify ${count} most relevant keywords and phrases
-2. Include both specific terms and broader topic categories
-3. Generate relevant hashtags for social media
-4. Consider search intent and content discoverability
-5. Include both primary and secondary keywords
-
-Format as: Keywords list, then Hashtags list.`;
-
-    const userPrompt = `Please extract keywords and tags from this transcript:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 800
-        });
-        
-        console.log(`✅ Keywords and tags extracted!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI keywords error: ${error.message}`);
-    }
+    return runNamedTemplate('keywords', transcriptionText, options);
 }
 
 // Create Chapter Markers
 async function createChapterMarkers(transcriptionText, options = {}) {
-    const { model = 'gpt-4o', chapterCount = 6 } = options;
-    
-    console.log(`📚 Creating chapter markers...`);
-    
-    const systemPrompt = `You are a content structuring expert. Divide this content into logical chapters with timestamps and descriptions.
-
-INSTRUCTIONS:
-1. Create ${chapterCount} logical chapters based on topic changes
-2. Estimate timestamps for each chapter (format: MM:SS)
-3. Give each chapter a descriptive title
-4. Provide a brief description of what's covered in each chapter
-5. Ensure chapters flow logically and cover the full content
-
-Format as numbered list with timestamps, titles, and descriptions.`;
-
-    const userPrompt = `Please create chapter markers for this transcript:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 1200
-        });
-        
-        console.log(`✅ Chapter markers created!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI chapters error: ${error.message}`);
-    }
+    return runNamedTemplate('chapters', transcriptionText, { ...options, count: options.chapterCount ?? options.count });
 }
 
 // Generate Blog Post
 async function generateBlogPost(transcriptionText, options = {}) {
-    const { model = 'gpt-4o', videoTitle = 'Transcript Content' } = options;
-    
-    console.log(`📝 Generating blog post...`);
-    
-    const systemPrompt = `You are a professional blog writer. Convert this transcript into an engaging blog post with proper structure.
-
-INSTRUCTIONS:
-1. Create an engaging headline and introduction
-2. Structure with clear headings and subheadings
-3. Add transitions between sections for flow
-4. Include a compelling conclusion with key takeaways
-5. Make it SEO-friendly with natural keyword integration
-6. Maintain the original insights while improving readability
-
-Format as complete blog post with markdown formatting.`;
-
-    const userPrompt = `Please convert this transcript into a blog post titled "${videoTitle}":\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.4,
-            max_tokens: 3000
-        });
-        
-        console.log(`✅ Blog post generated!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI blog post error: ${error.message}`);
-    }
+    return runNamedTemplate('blogPost', transcriptionText, options);
 }
 
 // Generate Newsletter Format
 async function generateNewsletter(transcriptionText, options = {}) {
-    const { model = 'gpt-4o' } = options;
-    
-    console.log(`📧 Generating newsletter format...`);
-    
-    const systemPrompt = `You are a newsletter content specialist. Format this content for email newsletter distribution.
-
-INSTRUCTIONS:
-1. Create a catchy newsletter-style headline
-2. Write a brief, engaging intro paragraph
-3. Structure key points as scannable sections
-4. Include "Key Takeaways" section with bullet points
-5. Add a forward-friendly conclusion
-6. Keep tone conversational but informative
-
-Format for email newsletter with clear sections and engaging copy.`;
-
-    const userPrompt = `Please format this transcript for newsletter distribution:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.4,
-            max_tokens: 2000
-        });
-        
-        console.log(`✅ Newsletter format generated!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI newsletter error: ${error.message}`);
-    }
+    return runNamedTemplate('newsletter', transcriptionText, options);
 }
 
 // Generate FAQ
 async function generateFAQ(transcriptionText, options = {}) {
-    const { model = 'gpt-4o' } = options;
-    
-    console.log(`❓ Generating FAQ...`);
-    
-    const systemPrompt = `You are an FAQ specialist. Extract common questions that could arise from this content and provide clear answers.
-
-INSTRUCTIONS:
-1. Identify 5-8 likely questions readers/viewers might have
-2. Base questions on the content discussed
-3. Provide clear, concise answers
-4. Include both explicit and implicit information from the transcript
-5. Make questions natural and commonly asked
-
-Format as standard FAQ with Q: and A: format.`;
-
-    const userPrompt = `Please create an FAQ based on this transcript:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 1500
-        });
-        
-        console.log(`✅ FAQ generated!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI FAQ error: ${error.message}`);
-    }
+    return runNamedTemplate('faq', transcriptionText, options);
 }
 
 // Generate Discussion Questions
 async function generateDiscussionQuestions(transcriptionText, options = {}) {
-    const { model = 'gpt-4o', count = 5 } = options;
-    
-    console.log(`🤔 Generating discussion questions...`);
-    
-    const systemPrompt = `You are an educational discussion facilitator. Create thought-provoking discussion questions based on this content.
-
-INSTRUCTIONS:
-1. Generate ${count} open-ended discussion questions
-2. Focus on critical thinking and analysis
-3. Include questions that encourage different perspectives
-4. Make questions applicable beyond just this content
-5. Vary question types (analytical, hypothetical, comparative)
-
-Format as numbered list with clear, engaging questions.`;
-
-    const userPrompt = `Please create discussion questions based on this transcript:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.4,
-            max_tokens: 1000
-        });
-        
-        console.log(`✅ Discussion questions generated!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI discussion questions error: ${error.message}`);
-    }
+    return runNamedTemplate('discussion', transcriptionText, options);
 }
 
 // Generate Study Guide
 async function generateStudyGuide(transcriptionText, options = {}) {
-    const { model = 'gpt-4o' } = options;
-    
-    console.log(`📖 Generating study guide...`);
-    
-    const systemPrompt = `You are an educational content specialist. Create a comprehensive study guide from this content.
-
-INSTRUCTIONS:
-1. Extract key terms and definitions
-2. Identify main concepts and themes
-3. Create review questions with varying difficulty
-4. Include practical applications or examples
-5. Structure for effective learning and retention
-
-Format with clear sections: Key Terms, Main Concepts, Review Questions, Applications.`;
-
-    const userPrompt = `Please create a study guide from this transcript:\n\n${transcriptionText}`;
-    
-    try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 2000
-        });
-        
-        console.log(`✅ Study guide generated!`);
-        return response.choices[0].message.content;
-        
-    } catch (error) {
-        throw new Error(`OpenAI study guide error: ${error.message}`);
-    }
+    return runNamedTemplate('studyGuide', transcriptionText, options);
 }
 
 async function createSummary(transcriptionText, options = {}) {
     const {
-        model = 'gpt-4o',
-        summaryLength = 'medium' // short, medium, long
+        model = getModelForTask('summary'),
+        summaryLength = 'medium', // short, medium, long
+        segments = null
     } = options;
     
-    console.log(`📋 Creating summary...`);
-    console.log(`→ Model: ${model}`);
-    console.log(`→ Length: ${summaryLength}`);
+    log(`📋 Creating summary...`);
+    log(`→ Model: ${model}`);
+    log(`→ Length: ${summaryLength}`);
     
     const lengthInstructions = {
         short: 'Create a concise summary in 2-3 sentences.',
@@ -603,10 +558,11 @@ async function createSummary(transcriptionText, options = {}) {
         long: 'Create a detailed summary with key points and themes in 3-4 paragraphs.'
     };
     
-    const systemPrompt = `You are a content summarization expert. Your task is to create a clear, informative summary of the transcript content.
+    // Parts of a long transcript always get the detailed instruction so the reduce step has material
+    const buildSystemPrompt = (lengthInstruction) => `You are a content summarization expert. Your task is to create a clear, informative summary of the transcript content.
 
 INSTRUCTIONS:
-${lengthInstructions[summaryLength]}
+${lengthInstruction}
 
 Focus on:
 - Main topics and themes discussed
@@ -616,22 +572,20 @@ Focus on:
 
 Write in a professional, clear style that captures the essence of the content.`;
 
-    const userPrompt = `Please summarize this transcript:\n\n${transcriptionText}`;
-    
     try {
-        const response = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 1000
+        const summary = await mapReduceTranscript(transcriptionText, {
+            segments,
+            label: 'summary',
+            map: (chunk, chunks) => requestCompletion(model,
+                buildSystemPrompt(lengthInstructions[chunks.length > 1 ? 'long' : summaryLength]),
+                `Please summarize this transcript${describeChunk(chunk, chunks)}:\n\n${chunk.text}`,
+                { temperature: 0.3, max_tokens: 1000 }),
+            reduce: (partials, chunks) => mergeChunkResults(model, partials, chunks,
+                `Write one summary of the whole recording from these part summaries. ${lengthInstructions[summaryLength]} Cover the full arc of the content, not just the beginning.`,
+                { temperature: 0.3, max_tokens: 1000 })
         });
         
-        const summary = response.choices[0].message.content;
-        
-        console.log(`✅ Summary created successfully!`);
+        log(`✅ Summary created successfully!`);
         
         return summary;
         
@@ -640,134 +594,138 @@ Write in a professional, clear style that captures the essence of the content.`;
     }
 }
 
+// enableX options that switch built-in analyses off when no `tasks` list is given
+const ENABLE_OPTIONS = {
+    sentiment: 'enableSentiment',
+    actionItems: 'enableActionItems',
+    quotes: 'enableQuotes',
+    social: 'enableSocial',
+    keywords: 'enableKeywords',
+    chapters: 'enableChapters',
+    blogPost: 'enableBlogPost',
+    newsletter: 'enableNewsletter',
+    faq: 'enableFAQ',
+    discussion: 'enableDiscussion',
+    studyGuide: 'enableStudyGuide'
+};
+
 // Comprehensive Analysis Function
 async function performComprehensiveAnalysis(transcriptionText, options = {}) {
     const {
-        model = 'gpt-4o',
-        enableSentiment = true,
-        enableActionItems = true,
-        enableQuotes = true,
-        enableSocial = true,
-        enableKeywords = true,
-        enableChapters = true,
-        enableBlogPost = true,
-        enableNewsletter = true,
-        enableFAQ = true,
-        enableDiscussion = true,
-        enableStudyGuide = true,
-        videoTitle = 'Transcript Content'
+        // Leave unset to use each task's configured model
+        model,
+        // Names of the analysis templates to run; unset runs every built-in not switched off by its enableX option
+        tasks = BUILTIN_TEMPLATES.filter(name => options[ENABLE_OPTIONS[name]] !== false),
+        // Loaded templates ({ name: template }); read from the template folders when unset
+        templates = null,
+        videoTitle = 'Transcript Content',
+        // Whisper segments let long transcripts split on natural pauses
+        segments = null,
+        // Diarized speaker segments (with numeric start/end) attribute quotes to speakers
+        speakerTurns = null,
+        // Results kept from an earlier, partly failed run (type → data) are reused instead of requested again
+        completed = {}
     } = options;
     
-    console.log(`🚀 Starting comprehensive analysis...`);
+    log(`🚀 Starting comprehensive analysis...`);
     const results = {};
     
     try {
-        // Run analyses in parallel for better performance
-        const analyses = [];
-        
-        if (enableSentiment) {
-            analyses.push(
-                analyzeSentiment(transcriptionText, { model }).then(result => ({ sentiment: result }))
-            );
+        const catalog = templates || await loadAnalysisTemplates();
+        const unknown = tasks.filter(name => !catalog[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown analysis template(s): ${unknown.join(', ')}`);
         }
         
-        if (enableActionItems) {
-            analyses.push(
-                extractActionItems(transcriptionText, { model }).then(result => ({ actionItems: result }))
-            );
-        }
-        
-        if (enableQuotes) {
-            analyses.push(
-                extractKeyQuotes(transcriptionText, { model }).then(result => ({ quotes: result }))
-            );
-        }
-        
-        if (enableSocial) {
-            analyses.push(
-                generateSocialContent(transcriptionText, { model }).then(result => ({ social: result }))
-            );
-        }
-        
-        if (enableKeywords) {
-            analyses.push(
-                extractKeywords(transcriptionText, { model }).then(result => ({ keywords: result }))
-            );
-        }
-        
-        if (enableChapters) {
-            analyses.push(
-                createChapterMarkers(transcriptionText, { model }).then(result => ({ chapters: result }))
-            );
-        }
-        
-        if (enableBlogPost) {
-            analyses.push(
-                generateBlogPost(transcriptionText, { model, videoTitle }).then(result => ({ blogPost: result }))
-            );
-        }
-        
-        if (enableNewsletter) {
-            analyses.push(
-                generateNewsletter(transcriptionText, { model }).then(result => ({ newsletter: result }))
-            );
-        }
-        
-        if (enableFAQ) {
-            analyses.push(
-                generateFAQ(transcriptionText, { model }).then(result => ({ faq: result }))
-            );
-        }
-        
-        if (enableDiscussion) {
-            analyses.push(
-                generateDiscussionQuestions(transcriptionText, { model }).then(result => ({ discussion: result }))
-            );
-        }
-        
-        if (enableStudyGuide) {
-            analyses.push(
-                generateStudyGuide(transcriptionText, { model }).then(result => ({ studyGuide: result }))
-            );
-        }
+        // Analyses run in parallel; the shared request limiter caps how many calls are in flight
+        const analyses = [];
         
-        // Wait for all analyses to complete
-        const analysisResults = await Promise.all(analyses);
+        tasks.map(name => catalog[name]).forEach(template => {
+            if (SCHEMA_HOOKS[template.schemaRef]?.requiresSegments && !segments?.length) {
+                log(`⚠️  Skipping ${template.title}: no segment timestamps available`);
+                return;
+            }
+            analyses.push({
+                type: template.name,
+                run: () => runAnalysisTemplate(template, transcriptionText, { model, segments, speakerTurns, videoTitle })
+            });
+        });
         
-        // Merge results
-        analysisResults.forEach(result => {
-            Object.assign(results, result);
+        const pending = analyses.filter(({ type }) => !completed[type]);
+        analyses
+            .filter(({ type }) => completed[type])
+            .forEach(({ type }) => {
+                results[type] = completed[type];
+                log(`♻️ Reusing ${type} from the previous run`);
+            });
+        
+        // One failed analysis doesn't discard the others: failures are recorded and the rest returned
+        const settled = await Promise.allSettled(pending.map(analysis => analysis.run()));
+        const failures = [];
+        
+        settled.forEach((outcome, index) => {
+            const { type } = pending[index];
+            if (outcome.status === 'fulfilled') {
+                results[type] = outcome.value;
+            } else {
+                failures.push({ type, error: outcome.reason.message });
+                log(`❌ ${type} failed: ${outcome.reason.message}`);
+            }
         });
         
-        console.log(`✅ Comprehensive analysis completed!`);
-        console.log(`→ Generated ${Object.keys(results).length} analysis types`);
+        log(`✅ Comprehensive analysis completed!`);
+        log(`→ Generated ${Object.keys(results).length} analysis types`);
+        if (failures.length > 0) {
+            log(`⚠️  ${failures.length} analysis type(s) failed: ${failures.map(failure => failure.type).join(', ')}`);
+        }
         
-        return results;
+        return { results, failures };
         
     } catch (error) {
         throw new Error(`Comprehensive analysis error: ${error.message}`);
     }
 }
 
-async function saveFormattedResults(formattedMarkdown, summary, videoId, videoTitle = null, outputDir = null, analysisResults = null) {
-    // Use provided outputDir or get from folder utils
-    let formattedDir;
-    if (outputDir) {
-        formattedDir = outputDir;
-    } else {
-        const { getOutputPaths } = require('./folder-utils');
-        const paths = getOutputPaths(videoId);
-        formattedDir = paths.formatted;
-    }
+// videoInfo is the video's metadata (see fetchYouTubeMetadata); its channel, date and link head the formatted document.
+// templates are the loaded analysis templates, which give each analysis its heading and file name.
+async function saveFormattedResults(formattedMarkdown, summary, videoId, videoTitle = null, outputDir = null, analysisResults = null, analysisFailures = [], videoInfo = null, templates = null) {
+    // File names come from folder utils; outputDir only changes the folder
+    const { getOutputPaths, getOutputFile, getAnalysisFile } = require('./folder-utils');
+    const formattedDir = outputDir || getOutputPaths(videoId).formatted;
     
     await fs.mkdir(formattedDir, { recursive: true });
     
-    const title = videoTitle || `YouTube Video ${videoId}`;
+    const title = videoTitle || videoInfo?.title || `YouTube Video ${videoId}`;
     const savedFiles = {};
     
+    const details = [
+        videoInfo?.channel && `**Channel:** ${videoInfo.channel}`,
+        videoInfo?.upload_date && `**Published:** ${videoInfo.upload_date}`,
+        videoInfo?.webpage_url && `**Source:** ${videoInfo.webpage_url}`
+    ].filter(Boolean);
+    
+    // The detected profiles and how sure the detection was, so a misclassification shows at the top
+    const classification = formattedMarkdown.classification;
+    const profileDetails = classification ? [
+        `**Content type:** ${describeClassification(classification.contentType)}`,
+        `**Industry:** ${describeClassification(classification.industry)}`
+    ] : [];
+    
+    // Analyses in template order; one whose template has since been removed stays in _analysis.json only
+    const catalog = analysisResults ? templates || await loadAnalysisTemplates() : {};
+    const analysisTemplates = Object.values(catalog).filter(template => analysisResults[template.name]);
+    Object.keys(analysisResults || {})
+        .filter(type => !catalog[type])
+        .forEach(type => log(`⚠️  No analysis template named ${type}; its result is only saved in the analysis JSON`));
+    
+    // Analyses arrive as schema data; markdown is rendered from it
+    const rendered = Object.fromEntries(
+        analysisTemplates.map(template => [template.name, renderTemplateMarkdown(template, analysisResults[template.name])])
+    );
+    
     // Create main markdown file with everything
     let fullMarkdown = `# ${title}
-
+${details.length > 0 ? `\n${details.join(' · ')}\n` : ''}${profileDetails.length > 0 ? `\n${profileDetails.join(' · ')}\n` : ''}
 ## Summary
 
 ${summary}
@@ -776,122 +734,70 @@ ${summary}
 
 ${formattedMarkdown.content || formattedMarkdown}`;
     
-    // Add analysis results if available
-    if (analysisResults) {
-        if (analysisResults.sentiment) {
-            fullMarkdown += `\n\n## Sentiment Analysis\n\n${analysisResults.sentiment}`;
-        }
-        
-        if (analysisResults.actionItems) {
-            fullMarkdown += `\n\n## Action Items\n\n${analysisResults.actionItems}`;
-        }
-        
-        if (analysisResults.quotes) {
-            fullMarkdown += `\n\n## Key Quotes\n\n${analysisResults.quotes}`;
-        }
-        
-        if (analysisResults.keywords) {
-            fullMarkdown += `\n\n## Keywords & Tags\n\n${analysisResults.keywords}`;
-        }
-        
-        if (analysisResults.chapters) {
-            fullMarkdown += `\n\n## Chapter Markers\n\n${analysisResults.chapters}`;
-        }
-        
-        if (analysisResults.discussion) {
-            fullMarkdown += `\n\n## Discussion Questions\n\n${analysisResults.discussion}`;
-        }
+    // Add the analyses whose templates belong in the document
+    analysisTemplates
+        .filter(template => template.inDocument)
+        .forEach(template => {
+            fullMarkdown += `\n\n## ${template.title}\n\n${rendered[template.name]}`;
+        });
+    
+    // Partial runs say what is missing rather than silently leaving it out
+    if (analysisFailures.length > 0) {
+        fullMarkdown += `\n\n## Incomplete Analyses\n\n${analysisFailures.map(failure => `- **${failure.type}**: ${failure.error}`).join('\n')}`;
     }
     
-    const markdownFile = path.join(formattedDir, `${videoId}_formatted.md`);
+    const markdownFile = getOutputFile(videoId, 'formattedMarkdownFile', formattedDir);
     await fs.writeFile(markdownFile, fullMarkdown);
-    console.log(`💾 Formatted markdown saved: ${markdownFile}`);
+    log(`💾 Formatted markdown saved: ${markdownFile}`);
     savedFiles.markdownFile = markdownFile;
     
+    // Machine-readable copy of everything the markdown was rendered from
+    const analysisJsonFile = getOutputFile(videoId, 'analysisJsonFile', formattedDir);
+    await fs.writeFile(analysisJsonFile, JSON.stringify({
+        video_id: videoId,
+        title,
+        video: videoInfo && {
+            channel: videoInfo.channel,
+            channel_url: videoInfo.channel_url,
+            upload_date: videoInfo.upload_date,
+            duration: videoInfo.duration,
+            url: videoInfo.webpage_url,
+            uploader_chapters: videoInfo.chapters
+        },
+        created_at: new Date().toISOString(),
+        content_type: formattedMarkdown.contentType || null,
+        industry: formattedMarkdown.industry || null,
+        classification: classification ? {
+            content_type: classification.contentType,
+            industry: classification.industry,
+            reason: classification.reason
+        } : null,
+        summary,
+        analyses: analysisResults || {},
+        failed_analyses: analysisFailures
+    }, null, 2));
+    log(`💾 Analysis JSON saved: ${analysisJsonFile}`);
+    savedFiles.analysisJsonFile = analysisJsonFile;
+    
     // Save just the summary
-    const summaryFile = path.join(formattedDir, `${videoId}_summary.md`);
+    const summaryFile = getOutputFile(videoId, 'summaryFile', formattedDir);
     await fs.writeFile(summaryFile, `# ${title} - Summary\n\n${summary}`);
-    console.log(`💾 Summary saved: ${summaryFile}`);
+    log(`💾 Summary saved: ${summaryFile}`);
     savedFiles.summaryFile = summaryFile;
     
-    // Save individual analysis files if available
-    if (analysisResults) {
-        if (analysisResults.sentiment) {
-            const sentimentFile = path.join(formattedDir, `${videoId}_sentiment_analysis.md`);
-            await fs.writeFile(sentimentFile, `# ${title} - Sentiment Analysis\n\n${analysisResults.sentiment}`);
-            console.log(`💾 Sentiment analysis saved: ${sentimentFile}`);
-            savedFiles.sentimentFile = sentimentFile;
-        }
-        
-        if (analysisResults.actionItems) {
-            const actionFile = path.join(formattedDir, `${videoId}_action_items.md`);
-            await fs.writeFile(actionFile, `# ${title} - Action Items\n\n${analysisResults.actionItems}`);
-            console.log(`💾 Action items saved: ${actionFile}`);
-            savedFiles.actionFile = actionFile;
-        }
-        
-        if (analysisResults.quotes) {
-            const quotesFile = path.join(formattedDir, `${videoId}_key_quotes.md`);
-            await fs.writeFile(quotesFile, `# ${title} - Key Quotes\n\n${analysisResults.quotes}`);
-            console.log(`💾 Key quotes saved: ${quotesFile}`);
-            savedFiles.quotesFile = quotesFile;
-        }
-        
-        if (analysisResults.social) {
-            const socialFile = path.join(formattedDir, `${videoId}_social_media.md`);
-            await fs.writeFile(socialFile, `# ${title} - Social Media Content\n\n${analysisResults.social}`);
-            console.log(`💾 Social media content saved: ${socialFile}`);
-            savedFiles.socialFile = socialFile;
-        }
-        
-        if (analysisResults.keywords) {
-            const keywordsFile = path.join(formattedDir, `${videoId}_keywords.md`);
-            await fs.writeFile(keywordsFile, `# ${title} - Keywords & Tags\n\n${analysisResults.keywords}`);
-            console.log(`💾 Keywords saved: ${keywordsFile}`);
-            savedFiles.keywordsFile = keywordsFile;
-        }
-        
-        if (analysisResults.chapters) {
-            const chaptersFile = path.join(formattedDir, `${videoId}_chapters.md`);
-            await fs.writeFile(chaptersFile, `# ${title} - Chapter Markers\n\n${analysisResults.chapters}`);
-            console.log(`💾 Chapters saved: ${chaptersFile}`);
-            savedFiles.chaptersFile = chaptersFile;
-        }
-        
-        if (analysisResults.blogPost) {
-            const blogFile = path.join(formattedDir, `${videoId}_blog_post.md`);
-            await fs.writeFile(blogFile, analysisResults.blogPost);
-            console.log(`💾 Blog post saved: ${blogFile}`);
-            savedFiles.blogFile = blogFile;
-        }
-        
-        if (analysisResults.newsletter) {
-            const newsletterFile = path.join(formattedDir, `${videoId}_newsletter.md`);
-            await fs.writeFile(newsletterFile, `# ${title} - Newsletter Format\n\n${analysisResults.newsletter}`);
-            console.log(`💾 Newsletter saved: ${newsletterFile}`);
-            savedFiles.newsletterFile = newsletterFile;
-        }
-        
-        if (analysisResults.faq) {
-            const faqFile = path.join(formattedDir, `${videoId}_faq.md`);
-            await fs.writeFile(faqFile, `# ${title} - FAQ\n\n${analysisResults.faq}`);
-            console.log(`💾 FAQ saved: ${faqFile}`);
-            savedFiles.faqFile = faqFile;
-        }
-        
-        if (analysisResults.discussion) {
-            const discussionFile = path.join(formattedDir, `${videoId}_discussion_questions.md`);
-            await fs.writeFile(discussionFile, `# ${title} - Discussion Questions\n\n${analysisResults.discussion}`);
-            console.log(`💾 Discussion questions saved: ${discussionFile}`);
-            savedFiles.discussionFile = discussionFile;
-        }
-        
-        if (analysisResults.studyGuide) {
-            const studyFile = path.join(formattedDir, `${videoId}_study_guide.md`);
-            await fs.writeFile(studyFile, `# ${title} - Study Guide\n\n${analysisResults.studyGuide}`);
-            console.log(`💾 Study guide saved: ${studyFile}`);
-            savedFiles.studyFile = studyFile;
-        }
+    // One file per analysis, named by its template's output setting
+    savedFiles.analysisFiles = {};
+    for (const template of analysisTemplates) {
+        const analysisFile = getAnalysisFile(videoId, template.output, formattedDir);
+        const content = rendered[template.name];
+        await fs.writeFile(analysisFile, template.heading ? `# ${title} - ${template.title}\n\n${content}` : content);
+        log(`💾 ${template.title} saved: ${analysisFile}`);
+        savedFiles.analysisFiles[template.name] = analysisFile;
+    }
+    
+    if (Array.isArray(analysisResults?.chapters)) {
+        const chapterFiles = await saveChapterExports(analysisResults.chapters, videoId, formattedDir, { title });
+        Object.assign(savedFiles, chapterFiles);
     }
     
     return savedFiles;
@@ -913,6 +819,8 @@ module.exports = {
     generateFAQ,
     generateDiscussionQuestions,
     generateStudyGuide,
-    detectContentType,
-    detectIndustry
+    runAnalysisTemplate,
+    classifyTranscript,
+    withOutputLanguage,
+    withVideoContext
 };
\ No newline at end of file
@@ -0,0 +1,452 @@
+/**
+ * Self-contained HTML viewer per video: the audio embedded in the page, the speaker segments with click-to-seek and
+ * the spoken word highlighted from Whisper word timestamps, and a sidebar with the summary, chapters, quotes and
+ * action items. The page makes no outside requests, so it works offline from file://.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { locateWordsInText } = require('./transcribe-audio');
+const { formatYouTubeTime } = require('./chapter-export');
+const { getOutputFile } = require('./folder-utils');
+const { loadVideoArtifacts } = require('./pipeline-state');
+const { log } = require('./pipeline-events');
+
+// Bigger audio is linked next to the page instead: base64 adds a third, and browsers struggle with huge pages
+const MAX_EMBEDDED_AUDIO_BYTES = 100 * 1024 * 1024;
+
+// Speakers beyond this many reuse the colours
+const SPEAKER_COLORS = 8;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatInline(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])[*_]([^*_]+)[*_](?![*\w])/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+// Just enough markdown for summaries: headings, lists, emphasis, code and links
+function markdownToHtml(markdown) {
+    const html = [];
+    let list = null;
+    let paragraph = [];
+
+    const closeParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${formatInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeList = () => {
+        if (list) {
+            html.push(`</${list}>`);
+            list = null;
+        }
+    };
+
+    String(markdown || '').split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const item = line.match(/^(?:([-*])|\d+[.)])\s+(?:\[[ x]\]\s+)?(.*)$/);
+
+        if (!line || /^-{3,}$/.test(line)) {
+            closeParagraph();
+            closeList();
+        } else if (heading) {
+            closeParagraph();
+            closeList();
+            // Page and sidebar headings come first, so the summary's own start at h4
+            const level = Math.min(heading[1].length + 3, 6);
+            html.push(`<h${level}>${formatInline(heading[2])}</h${level}>`);
+        } else if (item) {
+            closeParagraph();
+            const tag = item[1] ? 'ul' : 'ol';
+            if (list !== tag) {
+                closeList();
+                html.push(`<${tag}>`);
+                list = tag;
+            }
+            html.push(`<li>${formatInline(item[2])}</li>`);
+        } else {
+            closeList();
+            paragraph.push(line);
+        }
+    });
+    closeParagraph();
+    closeList();
+
+    return html.join('\n');
+}
+
+// Each word's text with the punctuation and spacing Whisper strips from words, taken from the full text
+function wordTexts(transcription) {
+    const words = transcription?.words || [];
+    const text = transcription?.text || '';
+    const offsets = locateWordsInText(text, words);
+
+    return words.map((word, i) => {
+        if (offsets[i] === null) {
+            return word.word.trim();
+        }
+        const next = offsets.slice(i + 1).find(offset => offset !== null && offset !== undefined);
+        return text.slice(offsets[i], next ?? text.length).trim();
+    });
+}
+
+// Segments with their words: speaker segments by word index, or by time when they have none
+function buildViewerSegments(transcription, speakerSegments) {
+    const words = transcription?.words || [];
+    const texts = wordTexts(transcription);
+    const segments = speakerSegments?.length ? speakerSegments : (transcription?.segments || []);
+
+    return segments.map(segment => {
+        let indexes = [];
+        if (Number.isInteger(segment.word_start) && Number.isInteger(segment.word_end)) {
+            indexes = words.slice(segment.word_start, segment.word_end + 1).map((word, offset) => segment.word_start + offset);
+        } else if (typeof segment.start === 'number') {
+            indexes = words
+                .map((word, i) => i)
+                .filter(i => words[i].start >= segment.start && words[i].start < segment.end);
+        }
+
+        return {
+            speaker: segment.speaker || null,
+            start: typeof segment.start === 'number' ? segment.start : (words[indexes[0]]?.start ?? null),
+            end: typeof segment.end === 'number' ? segment.end : null,
+            text: segment.text,
+            words: indexes.map(i => ({ start: words[i].start, end: words[i].end, text: texts[i] }))
+        };
+    });
+}
+
+// Words are only clicked; segments, chapters and quotes can also be reached with Tab and played with Enter
+function seekAttributes(seconds, focusable = true) {
+    return typeof seconds === 'number' ? ` data-start="${seconds.toFixed(2)}"${focusable ? ' tabindex="0"' : ''}` : '';
+}
+
+function renderTime(seconds) {
+    return typeof seconds === 'number' ? `<span class="time">${formatYouTubeTime(seconds)}</span>` : '';
+}
+
+function renderSegments(segments) {
+    const speakers = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+
+    return segments.map(segment => {
+        const color = speakers.indexOf(segment.speaker) % SPEAKER_COLORS;
+        const body = segment.words.length > 0
+            ? segment.words.map(word => `<span class="word"${seekAttributes(word.start, false)} data-end="${word.end.toFixed(2)}">${escapeHtml(word.text)}</span>`).join(' ')
+            : escapeHtml(segment.text);
+
+        return `<div class="segment"${seekAttributes(segment.start)}>
+<div class="segment-meta">${renderTime(segment.start)}${segment.speaker ? ` <span class="speaker speaker-${color}">${escapeHtml(segment.speaker)}</span>` : ''}</div>
+<p>${body}</p>
+</div>`;
+    }).join('\n');
+}
+
+function renderChapters(chapters) {
+    return `<ol class="chapters">
+${chapters.map(chapter => `<li${seekAttributes(chapter.start)}>${renderTime(chapter.start)} <strong>${escapeHtml(chapter.title)}</strong>${chapter.summary ? `<p>${escapeHtml(chapter.summary)}</p>` : ''}</li>`).join('\n')}
+</ol>`;
+}
+
+function renderQuotes(quotes) {
+    return quotes.map(quote => {
+        const attribution = [quote.speaker && escapeHtml(quote.speaker), renderTime(quote.timestamp)].filter(Boolean).join(' · ');
+        return `<blockquote${seekAttributes(quote.timestamp)}>
+<p>“${escapeHtml(quote.text)}”</p>
+${attribution ? `<footer>${attribution}</footer>` : ''}${quote.context ? `\n<p class="context">${escapeHtml(quote.context)}</p>` : ''}
+</blockquote>`;
+    }).join('\n');
+}
+
+function renderActionItems(data) {
+    const html = [];
+    const actionItems = data.action_items || [];
+
+    if (actionItems.length > 0) {
+        html.push('<ul class="action-items">', ...actionItems.map(item => {
+            const details = [
+                item.owner && `Owner: ${escapeHtml(item.owner)}`,
+                item.deadline && `Due: ${escapeHtml(item.deadline)}`,
+                item.priority && `Priority: ${escapeHtml(item.priority)}`,
+                item.needs_follow_up && 'Needs follow-up'
+            ].filter(Boolean).join(' · ');
+            return `<li><label><input type="checkbox"> ${escapeHtml(item.task)}</label>${details ? `<div class="details">${details}</div>` : ''}</li>`;
+        }), '</ul>');
+    } else {
+        html.push('<p class="empty">No action items identified.</p>');
+    }
+
+    [['Decisions', data.decisions], ['Open Questions', data.open_questions]]
+        .filter(([, items]) => items?.length > 0)
+        .forEach(([heading, items]) => html.push(`<h4>${heading}</h4>`, '<ul>', ...items.map(entry => `<li>${escapeHtml(entry)}</li>`), '</ul>'));
+
+    return html.join('\n');
+}
+
+// Sidebar sections for whatever the run produced; analyses from templates with another shape are left out
+function renderSidebar(summary, analyses = {}) {
+    const sections = [];
+
+    if (summary) {
+        sections.push(['Summary', markdownToHtml(summary)]);
+    }
+    if (Array.isArray(analyses.chapters) && analyses.chapters.length > 0) {
+        sections.push(['Chapters', renderChapters(analyses.chapters)]);
+    }
+    if (Array.isArray(analyses.quotes?.quotes) && analyses.quotes.quotes.length > 0) {
+        sections.push(['Key Quotes', renderQuotes(analyses.quotes.quotes)]);
+    }
+    if (Array.isArray(analyses.actionItems?.action_items)) {
+        sections.push(['Action Items', renderActionItems(analyses.actionItems)]);
+    }
+
+    return sections.map(([heading, html]) => `<section>
+<h2>${heading}</h2>
+${html}
+</section>`).join('\n');
+}
+
+const VIEWER_STYLE = `
+:root { --bg: #fff; --fg: #1d1d1f; --muted: #6e6e73; --line: #e5e5ea; --panel: #f5f5f7; --active: #fff3bf; --word: #ffd43b; --accent: #0b63ce; }
+@media (prefers-color-scheme: dark) {
+  :root { --bg: #161618; --fg: #ececf1; --muted: #9a9aa2; --line: #2c2c31; --panel: #1f1f23; --active: #3a3320; --word: #8a6d00; --accent: #6aa9ff; }
+}
+* { box-sizing: border-box; }
+body { margin: 0; font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: var(--bg); color: var(--fg); }
+header { position: sticky; top: 0; z-index: 1; padding: 12px 24px; background: var(--bg); border-bottom: 1px solid var(--line); }
+header h1 { margin: 0 0 4px; font-size: 1.4em; }
+.details { margin: 0 0 8px; color: var(--muted); font-size: 0.9em; }
+.details a, aside a { color: var(--accent); }
+.player { display: flex; gap: 16px; align-items: center; flex-wrap: wrap; }
+audio { width: min(100%, 640px); }
+.follow { color: var(--muted); font-size: 0.9em; }
+.no-audio { color: var(--muted); font-style: italic; }
+main { display: grid; grid-template-columns: minmax(0, 2fr) minmax(280px, 1fr); gap: 24px; padding: 16px 24px 48px; }
+@media (max-width: 900px) { main { grid-template-columns: 1fr; } }
+.segment { padding: 8px 12px; border-radius: 8px; border-left: 3px solid transparent; }
+.segment.active { background: var(--active); border-left-color: var(--word); }
+.segment p { margin: 2px 0 0; }
+.segment-meta { font-size: 0.85em; color: var(--muted); }
+.speaker { font-weight: 600; }
+.speaker-0 { color: #1c7ed6; } .speaker-1 { color: #d6336c; } .speaker-2 { color: #2b8a3e; } .speaker-3 { color: #e8590c; }
+.speaker-4 { color: #7048e8; } .speaker-5 { color: #0c8599; } .speaker-6 { color: #a61e4d; } .speaker-7 { color: #5c940d; }
+[data-start] { cursor: pointer; }
+.word { border-radius: 3px; }
+.word:hover, .chapters li:hover, blockquote:hover { background: var(--panel); }
+.word.active { background: var(--word); color: #000; }
+.time { font-variant-numeric: tabular-nums; color: var(--accent); }
+aside section { margin-bottom: 24px; padding: 12px 16px; background: var(--panel); border-radius: 8px; }
+aside h2 { margin: 0 0 8px; font-size: 1.1em; }
+aside h4 { margin: 12px 0 4px; }
+.chapters { padding-left: 20px; }
+.chapters li { padding: 4px; border-radius: 6px; }
+.chapters li.active { background: var(--active); }
+.chapters p, .context, .details { margin: 2px 0 0; color: var(--muted); font-size: 0.9em; }
+blockquote { margin: 0 0 12px; padding: 4px 8px; border-left: 3px solid var(--line); border-radius: 4px; }
+blockquote p { margin: 0; }
+blockquote footer { font-size: 0.85em; color: var(--muted); }
+.action-items { list-style: none; padding-left: 0; }
+.action-items li { margin-bottom: 8px; }
+.empty { color: var(--muted); }
+`;
+
+// Click anything with data-start to seek there; the word being spoken and its segment and chapter are highlighted
+const VIEWER_SCRIPT = `
+(function () {
+  var player = document.getElementById('player');
+  var follow = document.getElementById('follow');
+  var words = [].slice.call(document.querySelectorAll('.word[data-start]'));
+  var segments = [].slice.call(document.querySelectorAll('.segment[data-start]'));
+  var chapters = [].slice.call(document.querySelectorAll('.chapters li[data-start]'));
+  var startOf = function (element) { return parseFloat(element.getAttribute('data-start')); };
+  var active = { word: null, segment: null, chapter: null };
+
+  // Last element starting at or before the time (elements are in time order)
+  function findAt(list, time) {
+    var low = 0, high = list.length - 1, found = -1;
+    while (low <= high) {
+      var middle = (low + high) >> 1;
+      if (startOf(list[middle]) <= time) { found = middle; low = middle + 1; } else { high = middle - 1; }
+    }
+    return found === -1 ? null : list[found];
+  }
+
+  function setActive(kind, element) {
+    if (active[kind] === element) { return false; }
+    if (active[kind]) { active[kind].classList.remove('active'); }
+    if (element) { element.classList.add('active'); }
+    active[kind] = element;
+    return true;
+  }
+
+  function update() {
+    var time = player.currentTime;
+    var word = findAt(words, time);
+    setActive('word', word && time <= parseFloat(word.getAttribute('data-end')) + 0.3 ? word : null);
+    setActive('chapter', findAt(chapters, time));
+    if (setActive('segment', findAt(segments, time)) && active.segment && follow && follow.checked && !player.paused) {
+      active.segment.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }
+
+  function tick() {
+    update();
+    if (!player.paused) { window.requestAnimationFrame(tick); }
+  }
+
+  function seek(element) {
+    if (!player) { return; }
+    player.currentTime = startOf(element);
+    player.play();
+    update();
+  }
+
+  document.addEventListener('click', function (event) {
+    var target = event.target.closest('[data-start]');
+    if (target && !event.target.closest('input, a')) { seek(target); }
+  });
+  document.addEventListener('keydown', function (event) {
+    if (event.key === 'Enter' && event.target.hasAttribute && event.target.hasAttribute('data-start')) { seek(event.target); }
+  });
+
+  if (player) {
+    player.addEventListener('play', tick);
+    player.addEventListener('seeked', update);
+  }
+})();
+`;
+
+/**
+ * The viewer page as one HTML string. audioSrc is a data: URI or a path relative to the page (null: no player);
+ * segments come from buildViewerSegments.
+ */
+function createViewerHtml(options) {
+    const { title, details = [], language = null, audioSrc = null, segments, summary = null, analyses = {} } = options;
+
+    const player = audioSrc
+        ? `<div class="player">
+<audio id="player" controls preload="auto" src="${escapeHtml(audioSrc)}"></audio>
+<label class="follow"><input type="checkbox" id="follow" checked> Follow along</label>
+</div>`
+        : '<p class="no-audio">No audio for this video, so playback and highlighting are off.</p>';
+
+    return `<!DOCTYPE html>
+<html${language ? ` lang="${escapeHtml(language)}"` : ''}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${VIEWER_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+${details.length > 0 ? `<p class="details">${details.join(' · ')}</p>` : ''}
+${player}
+</header>
+<main>
+<section class="transcript">
+${renderSegments(segments)}
+</section>
+<aside>
+${renderSidebar(summary, analyses)}
+</aside>
+</main>
+<script>${VIEWER_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// The audio as a data: URI, or as a link relative to the page when it is too big to embed
+async function resolveAudioSource(audioFile, viewerFile) {
+    let stats;
+    try {
+        stats = audioFile ? await fs.stat(audioFile) : null;
+    } catch (error) {
+        stats = null;
+    }
+    if (!stats || stats.size === 0) {
+        return { src: null, embedded: false };
+    }
+
+    if (stats.size > MAX_EMBEDDED_AUDIO_BYTES) {
+        const relative = path.relative(path.dirname(viewerFile), audioFile).split(path.sep).map(encodeURIComponent).join('/');
+        log(`⚠️  Audio is ${Math.round(stats.size / 1024 / 1024)}MB, too big to embed; the viewer links to ${audioFile} instead`);
+        return { src: relative, embedded: false };
+    }
+
+    const audio = await fs.readFile(audioFile);
+    return { src: `data:audio/mpeg;base64,${audio.toString('base64')}`, embedded: true };
+}
+
+/**
+ * Write a video's viewer page (formatted/{id}_viewer.html) from its Whisper transcription, structured speaker
+ * segments, _analysis.json contents, YouTube metadata and audio file. Returns { viewerFile, audioEmbedded }.
+ */
+async function saveVideoViewer(videoId, options) {
+    const { transcription, structured = null, analysis = null, metadata = null, audioFile = null, title = null, language = null } = options;
+
+    const viewerFile = getOutputFile(videoId, 'viewerFile');
+    await fs.mkdir(path.dirname(viewerFile), { recursive: true });
+
+    const segments = buildViewerSegments(transcription, structured?.segments);
+    const audio = await resolveAudioSource(audioFile, viewerFile);
+
+    const details = [
+        metadata?.channel && escapeHtml(metadata.channel),
+        metadata?.upload_date && escapeHtml(metadata.upload_date),
+        metadata?.webpage_url && `<a href="${escapeHtml(metadata.webpage_url)}">${escapeHtml(metadata.webpage_url)}</a>`
+    ].filter(Boolean);
+
+    const html = createViewerHtml({
+        title: title || analysis?.title || metadata?.title || videoId,
+        details,
+        language,
+        audioSrc: audio.src,
+        segments,
+        summary: analysis?.summary || null,
+        analyses: analysis?.analyses || {}
+    });
+
+    await fs.writeFile(viewerFile, html);
+    log(`→ Segments: ${segments.length}, words: ${segments.reduce((sum, segment) => sum + segment.words.length, 0)}`);
+    log(`💾 HTML viewer saved: ${viewerFile}`);
+
+    return { viewerFile, audioEmbedded: audio.embedded };
+}
+
+/**
+ * Rebuild the viewer for a video processed earlier, from the files its manifest and layout point to.
+ */
+async function buildVideoViewer(videoId) {
+    const { manifest, paths, transcription, structured, analysis, metadata } = await loadVideoArtifacts(videoId);
+
+    return saveVideoViewer(videoId, {
+        transcription,
+        structured,
+        analysis,
+        metadata,
+        audioFile: paths.audioFile,
+        title: manifest.output?.title || null
+    });
+}
+
+module.exports = {
+    buildViewerSegments,
+    createViewerHtml,
+    markdownToHtml,
+    saveVideoViewer,
+    buildVideoViewer
+};
@@ -0,0 +1,74 @@
+/**
+ * ll-tools library entry point: require('ll-tools')
+ * runPipeline/runBatch run the whole pipeline (see pipeline.js for options, events and results);
+ * the individual steps are exported too for callers that want to compose their own.
+ */
+
+const { runPipeline, runBatch, TRANSCRIPT_SOURCES, ANALYSIS_TYPES, ANALYSIS_TASKS } = require('./pipeline');
+const { configureLLMClient, getModelForTask } = require('./llm-client');
+const { configureRequests } = require('./request-retry');
+const { PIPELINE_STEPS, loadManifest } = require('./pipeline-state');
+const { LAYOUT_PRESETS, configureOutputLayout, getOutputPaths, getLanguagePaths } = require('./folder-utils');
+const { downloadYouTubeAudio, extractVideoId, fetchYouTubeMetadata } = require('./download-yt-video');
+const { transcribeAudio, transcribeAudioWithGPT4o } = require('./transcribe-audio');
+const { createStructuredTranscription } = require('./structured-transcription');
+const { formatTranscriptToMarkdown, createSummary, performComprehensiveAnalysis, runAnalysisTemplate, classifyTranscript } = require('./format-transcript');
+const { configureAnalysisTemplates, loadAnalysisTemplates } = require('./analysis-templates');
+const { configureContentProfiles, loadContentProfiles } = require('./content-profiles');
+const { translateTranscription } = require('./translation');
+const { saveSubtitleExports } = require('./subtitle-export');
+const { fetchYouTubeCaptions } = require('./youtube-captions');
+const { estimatePipelineCost } = require('./cost-tracker');
+const { buildVideoViewer } = require('./html-viewer');
+const { searchTranscripts, updateSearchIndex, rebuildSearchIndex } = require('./search-index');
+const { askTranscripts } = require('./ask-transcripts');
+
+module.exports = {
+    // Whole pipeline
+    runPipeline,
+    runBatch,
+    PIPELINE_STEPS,
+    TRANSCRIPT_SOURCES,
+    ANALYSIS_TYPES,
+    ANALYSIS_TASKS,
+
+    // Process-wide settings
+    configureLLMClient,
+    configureRequests,
+    configureOutputLayout,
+    configureAnalysisTemplates,
+    configureContentProfiles,
+    getModelForTask,
+
+    // Outputs
+    LAYOUT_PRESETS,
+    getOutputPaths,
+    getLanguagePaths,
+    loadManifest,
+    buildVideoViewer,
+
+    // Search
+    searchTranscripts,
+    updateSearchIndex,
+    rebuildSearchIndex,
+    askTranscripts,
+
+    // Individual steps
+    downloadYouTubeAudio,
+    fetchYouTubeMetadata,
+    extractVideoId,
+    fetchYouTubeCaptions,
+    transcribeAudio,
+    transcribeAudioWithGPT4o,
+    createStructuredTranscription,
+    classifyTranscript,
+    loadContentProfiles,
+    formatTranscriptToMarkdown,
+    createSummary,
+    performComprehensiveAnalysis,
+    loadAnalysisTemplates,
+    runAnalysisTemplate,
+    translateTranscription,
+    saveSubtitleExports,
+    estimatePipelineCost
+};
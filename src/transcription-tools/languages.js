@@ -0,0 +1,124 @@
+/**
+ * Language codes and names for transcription and translation
+ * Whisper accepts ISO 639-1 codes but the OpenAI API reports the detected language by name ("english"),
+ * while whisper.cpp, faster-whisper and YouTube captions report codes; everything is normalized to codes here
+ */
+
+// The languages Whisper can transcribe, keyed by ISO 639-1 code
+const LANGUAGE_NAMES = {
+    af: 'Afrikaans', am: 'Amharic', ar: 'Arabic', as: 'Assamese', az: 'Azerbaijani',
+    ba: 'Bashkir', be: 'Belarusian', bg: 'Bulgarian', bn: 'Bengali', bo: 'Tibetan',
+    br: 'Breton', bs: 'Bosnian', ca: 'Catalan', cs: 'Czech', cy: 'Welsh',
+    da: 'Danish', de: 'German', el: 'Greek', en: 'English', es: 'Spanish',
+    et: 'Estonian', eu: 'Basque', fa: 'Persian', fi: 'Finnish', fo: 'Faroese',
+    fr: 'French', gl: 'Galician', gu: 'Gujarati', ha: 'Hausa', haw: 'Hawaiian',
+    he: 'Hebrew', hi: 'Hindi', hr: 'Croatian', ht: 'Haitian Creole', hu: 'Hungarian',
+    hy: 'Armenian', id: 'Indonesian', is: 'Icelandic', it: 'Italian', ja: 'Japanese',
+    jw: 'Javanese', ka: 'Georgian', kk: 'Kazakh', km: 'Khmer', kn: 'Kannada',
+    ko: 'Korean', la: 'Latin', lb: 'Luxembourgish', ln: 'Lingala', lo: 'Lao',
+    lt: 'Lithuanian', lv: 'Latvian', mg: 'Malagasy', mi: 'Maori', mk: 'Macedonian',
+    ml: 'Malayalam', mn: 'Mongolian', mr: 'Marathi', ms: 'Malay', mt: 'Maltese',
+    my: 'Myanmar', ne: 'Nepali', nl: 'Dutch', nn: 'Nynorsk', no: 'Norwegian',
+    oc: 'Occitan', pa: 'Punjabi', pl: 'Polish', ps: 'Pashto', pt: 'Portuguese',
+    ro: 'Romanian', ru: 'Russian', sa: 'Sanskrit', sd: 'Sindhi', si: 'Sinhala',
+    sk: 'Slovak', sl: 'Slovenian', sn: 'Shona', so: 'Somali', sq: 'Albanian',
+    sr: 'Serbian', su: 'Sundanese', sv: 'Swedish', sw: 'Swahili', ta: 'Tamil',
+    te: 'Telugu', tg: 'Tajik', th: 'Thai', tk: 'Turkmen', tl: 'Tagalog',
+    tr: 'Turkish', tt: 'Tatar', uk: 'Ukrainian', ur: 'Urdu', uz: 'Uzbek',
+    vi: 'Vietnamese', yi: 'Yiddish', yo: 'Yoruba', yue: 'Cantonese', zh: 'Chinese'
+};
+
+// Other names the Whisper API and users use for the same languages
+const LANGUAGE_ALIASES = {
+    burmese: 'my',
+    castilian: 'es',
+    flemish: 'nl',
+    haitian: 'ht',
+    letzeburgesch: 'lb',
+    mandarin: 'zh',
+    moldavian: 'ro',
+    moldovan: 'ro',
+    panjabi: 'pa',
+    pushto: 'ps',
+    sinhalese: 'si',
+    valencian: 'ca'
+};
+
+const CODES_BY_NAME = Object.fromEntries([
+    ...Object.entries(LANGUAGE_NAMES).map(([code, name]) => [name.toLowerCase(), code]),
+    ...Object.entries(LANGUAGE_ALIASES)
+]);
+
+/**
+ * Resolve a code, a regional tag ("pt-BR") or an English language name to a language tag.
+ * Regional tags keep their region, since translations into pt-BR and pt-PT differ.
+ * Returns null for anything unrecognized.
+ */
+function normalizeLanguage(value) {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    const input = value.trim().replace(/_/g, '-');
+    const lower = input.toLowerCase();
+
+    if (LANGUAGE_NAMES[lower]) {
+        return lower;
+    }
+    if (CODES_BY_NAME[lower]) {
+        return CODES_BY_NAME[lower];
+    }
+
+    const [base, region] = lower.split('-');
+    if (LANGUAGE_NAMES[base] && region) {
+        return `${base}-${region.length === 2 ? region.toUpperCase() : region}`;
+    }
+
+    return null;
+}
+
+// Base code of a tag, for comparing "en-US" with "en"
+function getBaseLanguage(language) {
+    return language ? language.split('-')[0].toLowerCase() : null;
+}
+
+function isSameLanguage(a, b) {
+    return Boolean(a && b) && getBaseLanguage(a) === getBaseLanguage(b);
+}
+
+function getLanguageName(language) {
+    const normalized = normalizeLanguage(language);
+    if (!normalized) {
+        return language;
+    }
+
+    const [base, region] = normalized.split('-');
+    return region ? `${LANGUAGE_NAMES[base]} (${region})` : LANGUAGE_NAMES[base];
+}
+
+// "es,fr" / ["es", "French"] → ['es', 'fr'], throwing on unknown languages
+function parseLanguageList(value) {
+    const entries = (Array.isArray(value) ? value : [value])
+        .flatMap(entry => String(entry).split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    const languages = entries.map(entry => {
+        const language = normalizeLanguage(entry);
+        if (!language) {
+            throw new Error(`Unknown language '${entry}'. Use an ISO 639-1 code such as es, fr or pt-BR`);
+        }
+        return language;
+    });
+
+    return [...new Set(languages)];
+}
+
+module.exports = {
+    LANGUAGE_NAMES,
+    normalizeLanguage,
+    getBaseLanguage,
+    isSameLanguage,
+    getLanguageName,
+    parseLanguageList
+};
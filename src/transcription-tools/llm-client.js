@@ -0,0 +1,252 @@
+/**
+ * Shared chat-completion client for formatting, analysis and structured output
+ * Talks to OpenAI or any OpenAI-compatible server (Ollama, vLLM, LM Studio) with per-task models
+ */
+
+const OpenAI = require('openai');
+const { validateAgainstSchema } = require('./schema-validator');
+const { withBudget, estimateChatRequestCost, estimateTokens, priceChatUsage, recordChatUsage } = require('./cost-tracker');
+const { requestWithRetry, isRetryable } = require('./request-retry');
+const { log } = require('./pipeline-events');
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+// Chat models can't embed, so the embedding task has its own default (--llmModels embedding=nomic-embed-text for Ollama)
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+let config = null;
+let client = null;
+
+// Servers we've already seen reject json_schema, keyed by base URL
+const jsonSchemaUnsupported = new Set();
+
+function parseModelMap(value) {
+    if (!value) {
+        return {};
+    }
+
+    // Either JSON ({"summary": "llama3.1"}) or task=model pairs (summary=llama3.1,sentiment=qwen2.5)
+    if (value.trim().startsWith('{')) {
+        return JSON.parse(value);
+    }
+
+    return Object.fromEntries(
+        value.split(',')
+            .map(pair => pair.split('=').map(part => part.trim()))
+            .filter(([task, model]) => task && model)
+    );
+}
+
+function readEnvConfig() {
+    const baseURL = process.env.LLM_BASE_URL || null;
+
+    return {
+        baseURL,
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || (baseURL ? 'not-needed' : undefined),
+        defaultModel: process.env.LLM_MODEL || DEFAULT_MODEL,
+        models: parseModelMap(process.env.LLM_MODELS),
+        jsonSchema: process.env.LLM_JSON_SCHEMA || 'auto'
+    };
+}
+
+function configureLLMClient(overrides = {}) {
+    const envConfig = readEnvConfig();
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null));
+
+    config = {
+        ...envConfig,
+        ...defined,
+        models: {
+            ...envConfig.models,
+            ...(typeof defined.models === 'string' ? parseModelMap(defined.models) : defined.models)
+        }
+    };
+    client = null;
+
+    return config;
+}
+
+function getLLMConfig() {
+    if (!config) {
+        configureLLMClient();
+    }
+    return config;
+}
+
+function getLLMClient() {
+    if (!client) {
+        const { baseURL, apiKey } = getLLMConfig();
+        client = new OpenAI({
+            apiKey,
+            ...(baseURL && { baseURL }),
+            // Retries are handled by requestWithRetry
+            maxRetries: 0
+        });
+    }
+    return client;
+}
+
+function getModelForTask(task) {
+    const { models, defaultModel } = getLLMConfig();
+    if (task === 'embedding') {
+        return models.embedding || DEFAULT_EMBEDDING_MODEL;
+    }
+    return models[task] || defaultModel;
+}
+
+// Every completion is checked against --max-cost first, retried on transient errors and its usage recorded afterwards
+async function createChatCompletion(params) {
+    const local = Boolean(getLLMConfig().baseURL);
+    const response = await withBudget(
+        () => (local ? 0 : estimateChatRequestCost(params)),
+        () => requestWithRetry(() => getLLMClient().chat.completions.create(params), {
+            label: `${params.model} completion`,
+            // A server rejecting response_format fails the same way every time; the JSON fallbacks handle it
+            retryable: error => !isResponseFormatUnsupported(error) && isRetryable(error)
+        })
+    );
+    recordChatUsage(params.model, response.usage, { local });
+    return response;
+}
+
+/**
+ * Embed each of `inputs` (strings) with the embedding model. `dimensions` shortens the vectors of models that
+ * support it (OpenAI's text-embedding-3). Resolves to one array of numbers per input, in order.
+ */
+async function createEmbeddings(inputs, { model = getModelForTask('embedding'), dimensions = null } = {}) {
+    const local = Boolean(getLLMConfig().baseURL);
+    const response = await withBudget(
+        () => (local ? 0 : priceChatUsage(model, { prompt_tokens: estimateTokens(inputs.join('\n')) }).cost),
+        () => requestWithRetry(() => getLLMClient().embeddings.create({
+            model,
+            input: inputs,
+            ...(dimensions && { dimensions })
+        }), { label: `${model} embeddings` })
+    );
+    recordChatUsage(model, { prompt_tokens: response.usage?.prompt_tokens || 0 }, { local });
+
+    return [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+}
+
+function isResponseFormatUnsupported(error) {
+    const status = error.status;
+    const message = (error.message || '').toLowerCase();
+    return (status === 400 || status === 422 || status === 500 || status === 501) &&
+        /response_format|json_schema|json schema|structured output|not supported|unsupported/.test(message);
+}
+
+function extractJson(content) {
+    const trimmed = (content || '').trim();
+
+    // Some models wrap JSON in a markdown fence even in JSON mode
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : trimmed;
+
+    const start = candidate.search(/[{[]/);
+    return JSON.parse(start > 0 ? candidate.slice(start) : candidate);
+}
+
+async function requestJsonMode(params, schema, schemaName) {
+    const schemaInstruction = `Respond with a single JSON object named "${schemaName}" that conforms exactly to this JSON schema. Output JSON only, no commentary.\n\n${JSON.stringify(schema, null, 2)}`;
+
+    let messages = [
+        ...params.messages,
+        { role: 'system', content: schemaInstruction }
+    ];
+
+    // One repair round: feed validation errors back to the model
+    for (let attempt = 0; attempt < 2; attempt++) {
+        let response;
+        try {
+            response = await createChatCompletion({
+                ...params,
+                messages,
+                response_format: { type: 'json_object' }
+            });
+        } catch (error) {
+            if (!isResponseFormatUnsupported(error)) {
+                throw error;
+            }
+            response = await createChatCompletion({ ...params, messages });
+        }
+
+        const content = response.choices[0].message.content;
+
+        let data;
+        let errors;
+        try {
+            data = extractJson(content);
+            errors = validateAgainstSchema(data, schema);
+        } catch (error) {
+            errors = [`invalid JSON: ${error.message}`];
+        }
+
+        if (errors.length === 0) {
+            return { data, response };
+        }
+
+        if (attempt === 1) {
+            throw new Error(`Model output does not match the ${schemaName} schema: ${errors.slice(0, 5).join('; ')}`);
+        }
+
+        messages = [
+            ...messages,
+            { role: 'assistant', content },
+            { role: 'user', content: `That JSON is invalid:\n- ${errors.slice(0, 10).join('\n- ')}\n\nReturn corrected JSON only.` }
+        ];
+    }
+}
+
+/**
+ * Request JSON conforming to `schema`. Uses strict json_schema where the server supports it,
+ * otherwise falls back to JSON mode with local validation. Resolves to { data, response }.
+ */
+async function createJsonCompletion(params, { schema, schemaName }) {
+    const { baseURL, jsonSchema } = getLLMConfig();
+    const serverKey = baseURL || 'openai';
+
+    const tryJsonSchema = jsonSchema !== 'false' && !jsonSchemaUnsupported.has(serverKey);
+
+    if (tryJsonSchema) {
+        try {
+            const response = await createChatCompletion({
+                ...params,
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: {
+                        name: schemaName,
+                        schema,
+                        strict: true
+                    }
+                }
+            });
+
+            return {
+                data: JSON.parse(response.choices[0].message.content),
+                response
+            };
+
+        } catch (error) {
+            if (jsonSchema === 'true' || !isResponseFormatUnsupported(error)) {
+                throw error;
+            }
+            log(`→ json_schema not supported by ${serverKey}, falling back to JSON mode`);
+            jsonSchemaUnsupported.add(serverKey);
+        }
+    }
+
+    return await requestJsonMode(params, schema, schemaName);
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    DEFAULT_EMBEDDING_MODEL,
+    configureLLMClient,
+    getLLMConfig,
+    getLLMClient,
+    getModelForTask,
+    createChatCompletion,
+    createJsonCompletion,
+    createEmbeddings
+};
@@ -0,0 +1,144 @@
+/**
+ * Prepare local audio/video files for the transcription pipeline
+ * Stands in for download-yt-video.js when the input is already on disk
+ */
+
+const { createReadStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { runCommand } = require('./audio-chunker');
+const { log } = require('./pipeline-events');
+
+const SUPPORTED_EXTENSIONS = [
+    // Audio
+    '.mp3', '.m4a', '.wav', '.aac', '.flac', '.ogg', '.opus', '.wma', '.mpga',
+    // Video
+    '.mp4', '.mov', '.mkv', '.webm', '.avi', '.m4v', '.mpeg', '.mpg'
+];
+
+function isSupportedMediaFile(filePath) {
+    return SUPPORTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+async function collectLocalFiles(inputPath) {
+    const resolvedPath = path.resolve(inputPath);
+
+    let stats;
+    try {
+        stats = await fs.stat(resolvedPath);
+    } catch (error) {
+        throw new Error(`Input not found: ${resolvedPath}`);
+    }
+
+    if (stats.isFile()) {
+        if (!isSupportedMediaFile(resolvedPath)) {
+            throw new Error(`Unsupported file type: ${path.extname(resolvedPath) || resolvedPath}. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+        }
+        return [resolvedPath];
+    }
+
+    const entries = await fs.readdir(resolvedPath, { withFileTypes: true });
+    const files = entries
+        .filter(entry => entry.isFile() && isSupportedMediaFile(entry.name))
+        .map(entry => path.join(resolvedPath, entry.name))
+        .sort();
+
+    if (files.length === 0) {
+        throw new Error(`No audio or video files found in ${resolvedPath}`);
+    }
+
+    return files;
+}
+
+// Letters and digits of any script are kept, so 会議.mp4 keeps its name
+function sanitizeId(name) {
+    return name
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{N}_-]+/gu, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+// Short hash of a file's absolute path, for IDs that would otherwise be empty or shared with another file
+function hashFilePath(filePath) {
+    return crypto.createHash('sha256').update(path.resolve(filePath)).digest('hex').substring(0, 8);
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        createReadStream(filePath)
+            .on('data', (data) => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+async function getLocalInputId(filePath, options = {}) {
+    const { idFrom = 'filename' } = options;
+
+    if (idFrom === 'hash') {
+        // Content hash keeps the ID stable across renames and moves
+        const digest = await hashFile(filePath);
+        return digest.substring(0, 16);
+    }
+
+    if (idFrom !== 'filename') {
+        throw new Error(`Unknown ID source '${idFrom}'. Use 'filename' or 'hash'.`);
+    }
+
+    return sanitizeId(path.basename(filePath, path.extname(filePath))) || `untitled_${hashFilePath(filePath)}`;
+}
+
+async function prepareLocalAudio(filePath, options = {}) {
+    const { outputDir = null } = options;
+
+    const sourceFile = path.resolve(filePath);
+    const id = options.id || await getLocalInputId(sourceFile, options);
+
+    // File name comes from folder utils; outputDir only changes the folder
+    const { getOutputPaths, getOutputFile } = require('./folder-utils');
+    const outdir = outputDir || getOutputPaths(id).downloads;
+    const audioFile = getOutputFile(id, 'audioFile', outdir);
+
+    await fs.mkdir(outdir, { recursive: true });
+
+    log(`📂 Preparing local file: ${sourceFile}`);
+    log(`→ ID: ${id}`);
+
+    if (path.extname(sourceFile).toLowerCase() === '.mp3') {
+        if (sourceFile !== audioFile) {
+            await fs.copyFile(sourceFile, audioFile);
+        }
+    } else {
+        // Extract/convert to mp3 so downstream steps see the same format as yt-dlp output
+        log(`🎵 Running: ffmpeg -i ${sourceFile} -vn ${audioFile}`);
+        await runCommand('ffmpeg', [
+            '-y',
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-i', sourceFile,
+            '-vn',
+            '-c:a', 'libmp3lame',
+            '-b:a', '192k',
+            audioFile
+        ]);
+    }
+
+    return {
+        success: true,
+        audioFile,
+        videoId: id,
+        sourceFile,
+        title: path.basename(sourceFile, path.extname(sourceFile))
+    };
+}
+
+module.exports = {
+    SUPPORTED_EXTENSIONS,
+    collectLocalFiles,
+    getLocalInputId,
+    hashFile,
+    hashFilePath,
+    prepareLocalAudio
+};
@@ -0,0 +1,37 @@
+/**
+ * Progress reporting for pipeline modules
+ * Inside runWithEvents(emitter, fn) every log line and progress event goes to the emitter (the `events`
+ * option of runPipeline); outside one, log lines are printed to the console as before
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+const storage = new AsyncLocalStorage();
+
+function runWithEvents(emitter, fn) {
+    return storage.run(emitter || null, fn);
+}
+
+// Emit `type` on the current run's emitter; returns false when there is none
+function emitEvent(type, event) {
+    const emitter = storage.getStore();
+    if (!emitter) {
+        return false;
+    }
+    emitter.emit(type, { ...event, at: event.at || new Date().toISOString() });
+    return true;
+}
+
+// console.log replacement: a 'log' event ({ level, message }) during a run, console output otherwise
+function log(...args) {
+    if (!emitEvent('log', { level: 'info', message: util.format(...args) })) {
+        console.log(...args);
+    }
+}
+
+module.exports = {
+    runWithEvents,
+    emitEvent,
+    log
+};
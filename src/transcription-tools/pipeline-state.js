@@ -0,0 +1,247 @@
+/**
+ * Per-video pipeline manifest and artifact caching
+ * Lets a failed or repeated run reuse finished steps instead of paying for them again
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getOutputPaths, setVideoContext } = require('./folder-utils');
+const { withCostStep } = require('./cost-tracker');
+const { log } = require('./pipeline-events');
+
+const PIPELINE_STEPS = ['download', 'whisper', 'gpt4o', 'structured', 'analysis', 'translation'];
+
+// A step is re-run whenever one of the steps it reads from was re-run
+const STEP_DEPENDENCIES = {
+    download: [],
+    whisper: ['download'],
+    gpt4o: ['download'],
+    structured: ['download', 'whisper'],
+    analysis: ['whisper', 'structured'],
+    translation: ['whisper', 'structured']
+};
+
+async function loadManifest(videoId) {
+    const { manifestFile } = getOutputPaths(videoId);
+
+    try {
+        const manifest = JSON.parse(await fs.readFile(manifestFile, 'utf8'));
+        return { ...manifest, steps: manifest.steps || {} };
+    } catch (error) {
+        return {
+            videoId,
+            created_at: new Date().toISOString(),
+            steps: {}
+        };
+    }
+}
+
+async function saveManifest(manifest) {
+    const { manifestFile } = getOutputPaths(manifest.videoId);
+
+    manifest.updated_at = new Date().toISOString();
+
+    await fs.mkdir(path.dirname(manifestFile), { recursive: true });
+    await fs.writeFile(manifestFile, JSON.stringify(manifest, null, 2));
+
+    return manifestFile;
+}
+
+function validateStepName(step) {
+    if (!PIPELINE_STEPS.includes(step)) {
+        throw new Error(`Unknown pipeline step '${step}'. Valid steps: ${PIPELINE_STEPS.join(', ')}`);
+    }
+    return step;
+}
+
+async function isNonEmptyFile(filePath) {
+    try {
+        const stats = await fs.stat(filePath);
+        return stats.isFile() && stats.size > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function loadCachedJson(filePath, isValid = () => true) {
+    try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        return isValid(data) ? data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * What an earlier run saved for a video, for commands that work on processed videos (`ll viewer`, `ll search`):
+ * { manifest, paths, transcription, structured, analysis, metadata }. Only the transcription is required.
+ */
+async function loadVideoArtifacts(videoId) {
+    const manifest = await loadManifest(videoId);
+    if (manifest.steps.whisper?.status !== 'completed') {
+        throw new Error(`No transcription found for ${videoId}; run the pipeline for it first`);
+    }
+    if (manifest.output) {
+        setVideoContext(videoId, manifest.output);
+    }
+
+    const paths = getOutputPaths(videoId);
+    const transcription = await loadCachedJson(paths.whisperRawJsonFile, data => typeof data.text === 'string');
+    if (!transcription) {
+        throw new Error(`Transcription ${paths.whisperRawJsonFile} is missing or unreadable`);
+    }
+
+    return {
+        manifest,
+        paths,
+        transcription,
+        structured: await loadCachedJson(paths.structuredJsonFile, data => Array.isArray(data.segments)),
+        analysis: await loadCachedJson(paths.analysisJsonFile),
+        metadata: await loadCachedJson(paths.metadataFile)
+    };
+}
+
+/**
+ * `onProgress` (optional) is called with { step, status } as each step starts, completes, fails
+ * or is reused from cache ('cached'), so callers such as `ll serve` can report progress.
+ */
+function createRunState(options = {}) {
+    const { force = false, fromStep = null, onProgress = null } = options;
+
+    return {
+        force,
+        fromStep: fromStep ? validateStepName(fromStep) : null,
+        executed: new Set(),
+        onProgress
+    };
+}
+
+function reportProgress(runState, event) {
+    if (runState.onProgress) {
+        runState.onProgress({ ...event, at: new Date().toISOString() });
+    }
+}
+
+function mustRerun(step, runState) {
+    if (runState.force) {
+        return true;
+    }
+
+    if (runState.fromStep && PIPELINE_STEPS.indexOf(step) >= PIPELINE_STEPS.indexOf(runState.fromStep)) {
+        return true;
+    }
+
+    return STEP_DEPENDENCIES[step].some(dependency => runState.executed.has(dependency));
+}
+
+function paramsDiffer(previous, params) {
+    return Boolean(previous && params && JSON.stringify(previous.params || {}) !== JSON.stringify(params));
+}
+
+// Whether a step's recorded result is still current for this run, judged from the manifest (artifacts aren't checked)
+function isStepCurrent(manifest, runState, step, params = null) {
+    const previous = manifest.steps[step];
+    return previous?.status === 'completed' && !paramsDiffer(previous, params) && !mustRerun(step, runState);
+}
+
+/**
+ * Steps a run would execute rather than reuse, judged from the manifest alone (used by --dry-run).
+ * `paramsByStep` holds the params each step would be called with.
+ */
+function planSteps(manifest, runState, paramsByStep = {}) {
+    const planned = { ...runState, executed: new Set() };
+
+    PIPELINE_STEPS.forEach(step => {
+        const previous = manifest.steps[step];
+        if (previous?.status !== 'completed' || paramsDiffer(previous, paramsByStep[step]) || mustRerun(step, planned)) {
+            planned.executed.add(step);
+        }
+    });
+
+    return PIPELINE_STEPS.filter(step => planned.executed.has(step));
+}
+
+/**
+ * Run a pipeline step, or reuse its artifacts from a previous run.
+ * loadCached receives the previous manifest entry and resolves to the step result,
+ * or null when artifacts are missing/invalid; execute resolves to { ...result, artifacts }.
+ * Cached results are ignored when the step's params differ from the recorded ones. A step that runs again but
+ * produces the same artifacts.fingerprint as last time doesn't make the steps that depend on it run again.
+ */
+async function runStep(manifest, runState, step, { loadCached, execute, params = null }) {
+    validateStepName(step);
+
+    const previous = manifest.steps[step] || null;
+    const paramsChanged = paramsDiffer(previous, params);
+
+    if (!mustRerun(step, runState) && !paramsChanged) {
+        const cached = await loadCached(previous);
+        if (cached) {
+            log(`♻️ Reusing cached ${step} results`);
+
+            // Artifacts from an earlier run without a manifest entry still count as completed
+            if (previous?.status !== 'completed') {
+                manifest.steps[step] = {
+                    status: 'completed',
+                    completed_at: new Date().toISOString(),
+                    ...(params && { params }),
+                    artifacts: cached.artifacts || {}
+                };
+                await saveManifest(manifest);
+            }
+
+            reportProgress(runState, { step, status: 'cached' });
+            return cached;
+        }
+    }
+
+    reportProgress(runState, { step, status: 'started' });
+
+    try {
+        // API usage inside the step is reported under the step's name
+        const result = await withCostStep(step, execute);
+        const fingerprint = result.artifacts?.fingerprint;
+        const unchanged = Boolean(fingerprint) && previous?.status === 'completed' && previous.artifacts?.fingerprint === fingerprint;
+
+        manifest.steps[step] = {
+            status: 'completed',
+            completed_at: new Date().toISOString(),
+            ...(params && { params }),
+            artifacts: result.artifacts || {}
+        };
+        if (unchanged) {
+            log(`→ Same ${step} output as last time; the steps after it keep their results`);
+        } else {
+            runState.executed.add(step);
+        }
+        await saveManifest(manifest);
+
+        reportProgress(runState, { step, status: 'completed' });
+        return result;
+
+    } catch (error) {
+        manifest.steps[step] = {
+            status: 'failed',
+            failed_at: new Date().toISOString(),
+            error: error.message
+        };
+        await saveManifest(manifest);
+
+        reportProgress(runState, { step, status: 'failed', error: error.message });
+        throw error;
+    }
+}
+
+module.exports = {
+    PIPELINE_STEPS,
+    loadManifest,
+    saveManifest,
+    validateStepName,
+    isNonEmptyFile,
+    loadCachedJson,
+    loadVideoArtifacts,
+    createRunState,
+    isStepCurrent,
+    planSteps,
+    runStep
+};
@@ -0,0 +1,1112 @@
+/**
+ * The transcription pipeline as a library
+ * runPipeline(input, options) transcribes and analyses one YouTube video or local file; runBatch(inputs, options)
+ * handles playlists, channels, URL lists and directories. Progress is reported as events on `options.events`
+ * (log lines, step progress, batch items and results) instead of console output.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const { downloadYouTubeAudio, extractVideoId, getYouTubeDuration, fetchYouTubeMetadata, saveYouTubeMetadata } = require('./download-yt-video');
+const { transcribeAudio, transcribeAudioWithGPT4o, saveWhisperTranscriptionResults, saveGPT4oTranscriptionResults, getTranscriptionSegments } = require('./transcribe-audio');
+const { createStructuredTranscription, saveStructuredTranscriptionResults } = require('./structured-transcription');
+const { formatTranscriptToMarkdown, createSummary, saveFormattedResults, performComprehensiveAnalysis, classifyTranscript, withOutputLanguage, withVideoContext } = require('./format-transcript');
+const { ensureOutputFolders, ensureVideoFolders, setVideoContext, getOutputLayout, getOutputPaths, getLanguagePaths } = require('./folder-utils');
+const { collectLocalFiles, getLocalInputId, hashFile, hashFilePath, prepareLocalAudio } = require('./local-input');
+const { isCollectionUrl, expandBatchInputs, runWithConcurrency, writeBatchReport } = require('./batch-processing');
+const { getTranscriptionBackend } = require('./transcription-backends');
+const { getLLMConfig, getModelForTask } = require('./llm-client');
+const { loadManifest, saveManifest, createRunState, isStepCurrent, planSteps, runStep, isNonEmptyFile, loadCachedJson } = require('./pipeline-state');
+const { getAudioDuration } = require('./audio-chunker');
+const { createCostTracker, runWithCostTracker, summarizeCosts, writeCostReport, estimatePipelineCost, formatCost } = require('./cost-tracker');
+const { DEFAULT_SUBTITLE_RULES, saveSubtitleExports } = require('./subtitle-export');
+const { fetchYouTubeCaptions } = require('./youtube-captions');
+const { translateTranscription, saveTranslationResults } = require('./translation');
+const { normalizeLanguage, getBaseLanguage, isSameLanguage, getLanguageName, parseLanguageList } = require('./languages');
+const { loadSpeakerMap, loadRoster, applySpeakerMap, renameSpeakers } = require('./speaker-map');
+const { BUILTIN_TEMPLATES, loadAnalysisTemplates } = require('./analysis-templates');
+const { CLASSIFIERS, PROFILE_KINDS, loadContentProfiles, getProfileAnalyses } = require('./content-profiles');
+const { DEFAULT_CHUNK_CHARS } = require('./transcript-chunking');
+const { saveVideoViewer } = require('./html-viewer');
+const { updateSearchIndex } = require('./search-index');
+const { runWithEvents, emitEvent, log } = require('./pipeline-events');
+
+// Where the transcript comes from (captions and auto only apply to YouTube videos)
+const TRANSCRIPT_SOURCES = ['whisper', 'captions', 'auto'];
+
+// Built-in analyses `analysis: 'full'` runs, and `analysis: 'custom'` runs unless the option is false; named as cost-tracker tasks
+const ANALYSIS_TASKS = BUILTIN_TEMPLATES;
+
+// 'auto' runs the analyses the detected content-type and industry profiles list
+const ANALYSIS_TYPES = ['basic', 'full', 'custom', 'auto'];
+
+const DEFAULT_BATCH_CONCURRENCY = 2;
+
+// Validate runPipeline/runBatch options once, before anything is downloaded or paid for
+function resolveOptions(options = {}) {
+    const source = options.source || 'whisper';
+    if (!TRANSCRIPT_SOURCES.includes(source)) {
+        throw new Error(`Unknown source '${source}'. Valid sources: ${TRANSCRIPT_SOURCES.join(', ')}`);
+    }
+
+    // The spoken language, or null to let Whisper detect it. Transcription backends only take ISO 639-1 codes, so a
+    // region (pt-BR) is dropped here; regions are kept for translation targets.
+    let language = null;
+    if (options.language && options.language !== 'auto') {
+        language = getBaseLanguage(normalizeLanguage(String(options.language)));
+        if (!language) {
+            throw new Error(`Unknown language '${options.language}'. Use an ISO 639-1 code such as en, es or de, or auto`);
+        }
+    }
+
+    let translateTo = [];
+    if (options.translateTo) {
+        try {
+            translateTo = parseLanguageList(options.translateTo);
+        } catch (error) {
+            throw new Error(`translateTo: ${error.message}`);
+        }
+    }
+
+    // Analysis templates to run by name: 'sales-scorecard,faq' or ['sales-scorecard', 'faq']
+    const templates = [...new Set((Array.isArray(options.templates) ? options.templates : String(options.templates || '').split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean))];
+    const analysisType = options.analysis || (templates.length > 0 ? 'custom' : 'basic');
+    if (!ANALYSIS_TYPES.includes(analysisType)) {
+        throw new Error(`Unknown analysis '${analysisType}'. Valid types: ${ANALYSIS_TYPES.join(', ')}`);
+    }
+    if (templates.length > 0 && analysisType === 'basic') {
+        throw new Error(`templates need analysis 'custom', 'full' or 'auto', not 'basic'`);
+    }
+
+    const classifier = options.classifier || 'keywords';
+    if (!CLASSIFIERS.includes(classifier)) {
+        throw new Error(`Unknown classifier '${classifier}'. Valid classifiers: ${CLASSIFIERS.join(', ')}`);
+    }
+
+    let maxCost = null;
+    if (options.maxCost !== undefined && options.maxCost !== null) {
+        maxCost = Number(options.maxCost);
+        if (isNaN(maxCost) || maxCost < 0) {
+            throw new Error(`maxCost must be a dollar amount, got '${options.maxCost}'`);
+        }
+    }
+
+    // Caption rules are positive numbers (maxLines a whole one); NaN would quietly switch a limit off
+    const subtitleRules = Object.fromEntries(Object.entries(options.subtitleRules || {}).map(([rule, value]) => {
+        if (!(rule in DEFAULT_SUBTITLE_RULES)) {
+            throw new Error(`Unknown subtitle rule '${rule}'. Valid rules: ${Object.keys(DEFAULT_SUBTITLE_RULES).join(', ')}`);
+        }
+        const number = value === null || value === '' ? NaN : Number(value);
+        const whole = rule === 'maxLines';
+        if (!Number.isFinite(number) || number <= 0 || (whole && !Number.isInteger(number))) {
+            throw new Error(`subtitle rule ${rule} must be a positive ${whole ? 'whole number' : 'number'}, got '${value}'`);
+        }
+        return [rule, number];
+    }));
+
+    return {
+        source,
+        language,
+        translateTo,
+        maxCost,
+        backend: getTranscriptionBackend(options.backend),
+        analysisType,
+        contentType: options.contentType || null,
+        industry: options.industry || null,
+        classifier,
+        analyses: Object.fromEntries(ANALYSIS_TASKS.map(task => [task, options[task] !== false])),
+        templates,
+        speakers: options.speakers || null,
+        roster: options.roster || null,
+        subtitleRules,
+        force: Boolean(options.force),
+        fromStep: options.fromStep || null,
+        dryRun: Boolean(options.dryRun),
+        idFrom: options.idFrom || 'filename',
+        title: options.title || null,
+        viewer: options.viewer !== false,
+        index: options.index !== false
+    };
+}
+
+// Load the content profiles and analysis templates once per run, so every video of a batch uses the same definitions
+async function loadRunSettings(config) {
+    const contentProfiles = await loadContentProfiles();
+    if (contentProfiles.source) {
+        log(`🏷️ Content profiles from ${contentProfiles.source}`);
+    }
+
+    if (config.analysisType === 'basic') {
+        return { ...config, contentProfiles, analysisTemplates: {} };
+    }
+
+    const analysisTemplates = await loadAnalysisTemplates();
+    const unknown = config.templates.filter(name => !analysisTemplates[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown analysis template(s): ${unknown.join(', ')}. Available: ${Object.keys(analysisTemplates).join(', ')}`);
+    }
+    if (config.analysisType === 'auto') {
+        Object.keys(PROFILE_KINDS).forEach(kind => Object.values(contentProfiles[kind]).forEach(profile => {
+            const missing = (profile.analyses || []).filter(name => !analysisTemplates[name]);
+            if (missing.length > 0) {
+                throw new Error(`Content profile ${profile.name} (${profile.source}) lists unknown analysis template(s): ${missing.join(', ')}`);
+            }
+        }));
+    }
+
+    const runConfig = { ...config, contentProfiles, analysisTemplates };
+    getAnalysisTemplateNames(runConfig)
+        .map(name => analysisTemplates[name])
+        .filter(template => !template.builtin)
+        .forEach(template => log(`🧩 ${template.name}: ${template.overridesBuiltin ? 'built-in template overridden by' : 'analysis template from'} ${template.source}`));
+    return runConfig;
+}
+
+// Templates the analysis step runs: 'full' runs every built-in plus any named ones; 'custom' runs the named
+// templates, or without names the built-ins that weren't switched off; 'auto' runs the classified profiles'
+// analyses (the built-ins when neither profile lists any) plus any named ones. Before classification 'auto'
+// gives every analysis a profile could choose.
+function getAnalysisTemplateNames(config, classification = null) {
+    const { analysisType, analyses, templates } = config;
+    if (analysisType === 'full') {
+        return [...new Set([...ANALYSIS_TASKS, ...templates])];
+    }
+    if (analysisType === 'custom') {
+        return templates.length > 0 ? templates : ANALYSIS_TASKS.filter(task => analyses[task]);
+    }
+    if (analysisType === 'auto') {
+        const profileAnalyses = classification
+            ? getProfileAnalyses(config.contentProfiles, classification) || ANALYSIS_TASKS
+            : [...ANALYSIS_TASKS, ...Object.keys(PROFILE_KINDS).flatMap(kind => Object.values(config.contentProfiles[kind]).flatMap(profile => profile.analyses || []))];
+        return [...new Set([...profileAnalyses.filter(task => analyses[task] !== false), ...templates])];
+    }
+    return [];
+}
+
+// The transcript's content-type and industry profiles, with the uploader's metadata as background for the LLM classifier
+function classifyRun(transcription, config, metadata) {
+    return withVideoContext(metadata, () => classifyTranscript(transcription.text, {
+        contentType: config.contentType,
+        industry: config.industry,
+        classifier: config.classifier,
+        profiles: config.contentProfiles
+    }));
+}
+
+// Cost-estimate settings from each template: its max_tokens, and one call per chunk plus a merge when chunked
+function getTemplateEstimates(config) {
+    return Object.fromEntries(getAnalysisTemplateNames(config).map(name => {
+        const template = config.analysisTemplates[name];
+        return [name, { maxTokens: template.maxTokens, ...(template.chunked && { chunkChars: DEFAULT_CHUNK_CHARS, merge: true }) }];
+    }));
+}
+
+function youtubeSource(url, { videoId = extractVideoId(url), title = null } = {}) {
+    return {
+        videoId,
+        title,
+        url: `https://www.youtube.com/watch?v=${videoId}`,
+        acquireLabel: 'Downloading audio',
+        acquire: () => downloadYouTubeAudio(url),
+        fetchCaptions: (options) => fetchYouTubeCaptions(videoId, options),
+        fetchMetadata: () => fetchYouTubeMetadata(url),
+        probeDuration: () => getYouTubeDuration(url)
+    };
+}
+
+// videoId overrides the ID taken from the file (runBatch passes one when two files would share it)
+async function localSource(file, { idFrom = 'filename', title = null, videoId = null } = {}) {
+    const id = videoId || await getLocalInputId(file, { idFrom });
+    // IDs come from file names, so a file replaced under the same name is noticed by its size and modification time
+    const { size, mtimeMs } = await fs.stat(file);
+    return {
+        videoId: id,
+        title: title || path.basename(file, path.extname(file)),
+        downloadParams: { size, modified: new Date(mtimeMs).toISOString() },
+        acquireLabel: 'Preparing local audio',
+        acquire: () => prepareLocalAudio(file, { id }),
+        probeDuration: () => getAudioDuration(file)
+    };
+}
+
+async function pathExists(input) {
+    try {
+        await fs.stat(input);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// A YouTube URL or video ID, or a path to one audio/video file
+async function resolveSource(input, config) {
+    if (!input || typeof input !== 'string') {
+        throw new Error('Input must be a YouTube URL or a path to an audio/video file');
+    }
+
+    if (await pathExists(input)) {
+        const files = await collectLocalFiles(input);
+        if (files.length > 1) {
+            throw new Error(`${input} holds ${files.length} files; use runBatch for directories`);
+        }
+        return localSource(files[0], config);
+    }
+
+    if (isCollectionUrl(input)) {
+        throw new Error(`${input} is a playlist or channel; use runBatch for collections`);
+    }
+    const videoId = extractVideoId(input);
+    if (!videoId) {
+        throw new Error(`Couldn't extract video ID from '${input}'`);
+    }
+    return youtubeSource(input, { videoId, title: config.title });
+}
+
+// Audio length and transcript size for an estimate, from the cheapest source available
+async function measureSource(source, paths, metadata = null) {
+    const cached = await loadCachedJson(paths.whisperRawJsonFile, (data) => typeof data.text === 'string' && typeof data.duration === 'number');
+    if (cached) {
+        return { durationSeconds: cached.duration, transcriptChars: cached.text.length };
+    }
+    if (await isNonEmptyFile(paths.audioFile)) {
+        return { durationSeconds: await getAudioDuration(paths.audioFile) };
+    }
+    if (metadata?.duration) {
+        return { durationSeconds: metadata.duration };
+    }
+    return { durationSeconds: await source.probeDuration() };
+}
+
+function logCostEstimate(estimate, cachedSteps) {
+    log(`\n💰 Cost estimate (${(estimate.duration_seconds / 60).toFixed(1)} min of audio, ~${estimate.transcript_chars} transcript characters):`);
+    Object.entries(estimate.steps).forEach(([step, detail]) => {
+        const calls = detail.calls ? `${detail.calls} call${detail.calls === 1 ? '' : 's'}` : `${detail.audio_minutes} audio min`;
+        log(`  → ${step}: ${formatCost(detail.cost)} (${calls}${detail.priced ? '' : ', unpriced local/unknown model'})`);
+    });
+    if (cachedSteps.length > 0) {
+        log(`  → Cached, not re-run: ${cachedSteps.join(', ')}`);
+    }
+    log(`💰 Estimated total: ${formatCost(estimate.total_cost)} (chat outputs priced at their max_tokens ceilings)`);
+}
+
+// Estimate the run from the manifest and audio length without calling any paid API
+async function estimateRunCost(source, config, { paths, manifest, metadata, runState, transcriptParams, captionParams, rosterParams, analysisParams }) {
+    const { source: transcriptSource, backend, language, translateTo } = config;
+    const useCaptions = transcriptSource === 'captions' && Boolean(source.fetchCaptions);
+    const plannedSteps = planSteps(manifest, runState, {
+        download: source.downloadParams || null,
+        whisper: useCaptions ? captionParams : transcriptParams,
+        structured: { backend: useCaptions ? 'youtube-captions' : backend.name, ...rosterParams },
+        analysis: analysisParams,
+        translation: analysisParams
+    });
+
+    // A translation step that would be reused still pays for languages it hasn't finished
+    const previousLanguages = manifest.steps.translation?.artifacts?.languages || {};
+    const translationLanguages = translateTo
+        .filter(target => !isSameLanguage(target, language))
+        .filter(target => plannedSteps.includes('translation') || !previousLanguages[target] || previousLanguages[target].failedAnalyses.length > 0);
+
+    // Captions replace Whisper and leave no audio for GPT-4o; auto mode is priced as if captions were missing
+    const steps = plannedSteps.filter(step => !(useCaptions && (step === 'whisper' || step === 'gpt4o')) && !(backend.local && step === 'gpt4o') && step !== 'translation');
+    if (translationLanguages.length > 0) {
+        steps.push('translation');
+    }
+
+    const estimate = estimatePipelineCost({
+        ...(await measureSource(source, paths, metadata)),
+        steps,
+        transcriptionModel: backend.defaultModel,
+        transcriptionLocal: backend.local,
+        llmLocal: Boolean(getLLMConfig().baseURL),
+        analysisTasks: ['format', 'summary', ...(config.classifier === 'llm' ? ['classify'] : []), ...getAnalysisTemplateNames(config)],
+        taskEstimates: getTemplateEstimates(config),
+        translationLanguages,
+        modelForTask: task => config.analysisTemplates[task]?.model || getModelForTask(task)
+    });
+
+    const cachedSteps = ['whisper', 'gpt4o', 'structured', 'analysis'].filter(step => !plannedSteps.includes(step));
+    if (translateTo.length > 0 && translationLanguages.length === 0) {
+        cachedSteps.push('translation');
+    }
+    logCostEstimate(estimate, cachedSteps);
+    if (transcriptSource === 'auto' && source.fetchCaptions) {
+        log('→ source auto: priced as if the video had no captions');
+    }
+    if (config.analysisType === 'auto') {
+        log('→ analysis auto: priced as if every analysis a profile can choose ran');
+    }
+
+    return estimate;
+}
+
+// Analyses a partially failed run did finish, reused instead of requested again
+async function loadCompletedAnalyses(analysisJsonFile, failedAnalyses) {
+    log(`→ Previous run left ${failedAnalyses.length} analyses incomplete: ${failedAnalyses.join(', ')}`);
+    const previousAnalysis = await loadCachedJson(analysisJsonFile, data => data.analyses);
+    return previousAnalysis?.analyses || {};
+}
+
+// Formatting, summary and the analysis suite for one transcript, all written in `language`.
+// Saved to outputDir (default: formatted/); returns the saved files and the analyses that failed.
+async function analyzeTranscript(transcription, options) {
+    const {
+        classification,
+        contentProfiles,
+        analysisTasks,
+        analysisTemplates,
+        language = null,
+        videoId,
+        title = null,
+        videoTitle,
+        metadata = null,
+        speakerTurns,
+        speakerMap = {},
+        completed = {},
+        outputDir = null
+    } = options;
+
+    // The uploader's title, description and chapters are background for every prompt
+    return withVideoContext(metadata, () => withOutputLanguage(language, async () => {
+        // Segment timestamps drive chunk boundaries and chapter start times
+        const segments = getTranscriptionSegments(transcription);
+
+        // Format transcript with enhanced features
+        const formattedMarkdown = await formatTranscriptToMarkdown(transcription.text, {
+            classification,
+            profiles: contentProfiles,
+            includeTimestamps: false,
+            segments
+        });
+
+        const summary = await createSummary(transcription.text, {
+            segments
+        });
+
+        let analysisResults = null;
+        let analysisFailures = [];
+
+        if (analysisTasks.length > 0) {
+            ({ results: analysisResults, failures: analysisFailures } = await performComprehensiveAnalysis(transcription.text, {
+                tasks: analysisTasks,
+                templates: analysisTemplates,
+                videoTitle,
+                segments,
+                speakerTurns,
+                completed
+            }));
+        }
+
+        // Labels the model repeated from the transcript get the mapped names too
+        formattedMarkdown.content = renameSpeakers(formattedMarkdown.content, speakerMap);
+        analysisResults = renameSpeakers(analysisResults, speakerMap);
+
+        const files = await saveFormattedResults(
+            formattedMarkdown,
+            renameSpeakers(summary, speakerMap),
+            videoId,
+            title,
+            outputDir,
+            analysisResults,
+            analysisFailures,
+            metadata,
+            analysisTemplates
+        );
+
+        if (analysisFailures.length > 0) {
+            log('→ Run the same command again to retry just the failed analyses');
+        }
+
+        return { files, failures: analysisFailures };
+    }));
+}
+
+// One translation target: translated transcript with the original segment timing, then the analyses in that language
+// (with the original's classification, so every language gets the same profiles and analyses).
+// `previous` is the language's entry from an earlier run that didn't finish; its translation and completed analyses are kept.
+async function translateInto(language, options) {
+    const { transcription, sourceLanguage, analysisParams, analysisTasks, analysisTemplates, classification, contentProfiles, videoId, title, videoTitle, metadata, speakerTurns, previous = null } = options;
+    const languagePaths = getLanguagePaths(videoId, language);
+
+    let translation = previous && await loadCachedJson(languagePaths.translationJsonFile, (data) => data.language === language && Array.isArray(data.segments));
+    let translationFiles;
+    if (translation) {
+        log(`♻️ Reusing ${getLanguageName(language)} translation`);
+        translationFiles = { jsonFile: languagePaths.translationJsonFile, srtFile: languagePaths.translationSrtFile, txtFile: languagePaths.translationTextFile };
+    } else {
+        translation = await translateTranscription(transcription, language, { sourceLanguage });
+        translationFiles = await saveTranslationResults(translation, videoId, languagePaths.translations);
+    }
+
+    log(`\n📝 Formatting and analysis in ${getLanguageName(language)}...`);
+    const { files, failures } = await analyzeTranscript(translation, {
+        ...analysisParams,
+        analysisTasks,
+        analysisTemplates,
+        classification,
+        contentProfiles,
+        language,
+        videoId,
+        title,
+        videoTitle,
+        metadata,
+        speakerTurns,
+        completed: previous?.failedAnalyses?.length ? await loadCompletedAnalyses(previous.formattedFiles.analysisJsonFile, previous.failedAnalyses) : {},
+        outputDir: languagePaths.formatted
+    });
+
+    return { translationFiles, formattedFiles: files, failedAnalyses: failures.map(failure => failure.type) };
+}
+
+// Step 4: translate into every target language other than the spoken one.
+// Languages finished by an earlier run are reused, so adding one to the list only pays for the new one.
+async function runTranslationStep(options) {
+    const { manifest, runState, targets, sourceLanguage, analysisParams, subtitleRules, videoId, title } = options;
+
+    targets
+        .filter(language => isSameLanguage(language, sourceLanguage))
+        .forEach(language => log(`→ Skipping translation into ${language}: the recording is already in ${getLanguageName(language)}`));
+    const languages = targets.filter(language => !isSameLanguage(language, sourceLanguage));
+    if (languages.length === 0) {
+        return {};
+    }
+
+    log(`\n🌐 Step 4: Translating into ${languages.map(getLanguageName).join(', ')}...`);
+
+    const isComplete = async (files) => Boolean(files) && !files.failedAnalyses.length && await isNonEmptyFile(files.formattedFiles.markdownFile);
+    let previousLanguages = {};
+
+    const { languageFiles } = await runStep(manifest, runState, 'translation', {
+        params: analysisParams,
+        loadCached: async (previous) => {
+            if (previous?.status !== 'completed') {
+                return null;
+            }
+            previousLanguages = previous.artifacts.languages || {};
+            for (const language of languages) {
+                if (!(await isComplete(previousLanguages[language]))) {
+                    return null;
+                }
+            }
+            return { languageFiles: previousLanguages, artifacts: previous.artifacts };
+        },
+        execute: async () => {
+            // Languages from earlier runs stay listed so their files can still be reused
+            const languageFiles = { ...previousLanguages };
+            const failedLanguages = [];
+
+            for (const language of languages) {
+                if (await isComplete(previousLanguages[language])) {
+                    log(`♻️ Reusing ${getLanguageName(language)} translation and analyses`);
+                    continue;
+                }
+                // One language failing doesn't discard the others; the next run retries it
+                try {
+                    languageFiles[language] = await translateInto(language, { ...options, previous: previousLanguages[language] || null });
+                } catch (error) {
+                    log(`❌ ${getLanguageName(language)} translation failed: ${error.message}`);
+                    delete languageFiles[language];
+                    failedLanguages.push(language);
+                }
+            }
+
+            if (failedLanguages.length > 0) {
+                log(`⚠️  ${failedLanguages.length} translation(s) failed: ${failedLanguages.join(', ')}. Run the same command again to retry them`);
+            }
+
+            return { languageFiles, artifacts: { languages: languageFiles, failedLanguages } };
+        }
+    });
+
+    // Subtitles are cheap and deterministic, so like the original ones they're rebuilt on every run
+    const results = {};
+    for (const language of languages.filter(language => languageFiles[language])) {
+        const translation = await loadCachedJson(languageFiles[language].translationFiles.jsonFile, (data) => Array.isArray(data.words));
+        const subtitleFiles = translation && await saveSubtitleExports(translation, videoId, getLanguagePaths(videoId, language).subtitles, {
+            rules: subtitleRules,
+            title,
+            language
+        });
+        results[language] = { ...languageFiles[language], subtitleFiles };
+    }
+
+    return results;
+}
+
+// Steps whose artifacts already exist are reused unless `force` / `fromStep` says otherwise.
+async function runPipelineSteps(source, config, tracker) {
+    try {
+        const { videoId } = source;
+
+        // Step 0: Ensure output folders exist
+        log('\n📁 Step 0: Setting up output folders...');
+        const folders = await ensureOutputFolders();
+        const manifest = await loadManifest(videoId);
+
+        // YouTube metadata saved by an earlier run is reused; its path is only known once the video has been filed
+        let metadata = null;
+        if (manifest.output && !config.force) {
+            setVideoContext(videoId, manifest.output);
+            metadata = await loadCachedJson(getOutputPaths(videoId).metadataFile, (data) => Boolean(data.fetched_at));
+        }
+        const fetchedMetadata = !metadata && Boolean(source.fetchMetadata);
+        if (fetchedMetadata) {
+            try {
+                metadata = await source.fetchMetadata();
+            } catch (error) {
+                log(`⚠️  Could not read video metadata: ${error.message}`);
+            }
+        }
+        const title = source.title || metadata?.title || null;
+
+        // A video keeps the title, channel and date it was first filed under, so later runs find its files
+        if (!manifest.output) {
+            manifest.output = {
+                title,
+                channel: metadata?.channel || null,
+                date: metadata?.upload_date || manifest.created_at.slice(0, 10)
+            };
+            if (!config.dryRun) {
+                await saveManifest(manifest);
+            }
+        }
+        setVideoContext(videoId, manifest.output);
+
+        // Search hits link back to YouTube videos, also when the index is rebuilt from the manifests
+        if (source.url) {
+            manifest.url = source.url;
+        }
+
+        const paths = config.dryRun ? getOutputPaths(videoId) : await ensureVideoFolders(videoId);
+        log(`✅ Output structure ready at: ${folders.base} (${getOutputLayout().name} layout)`);
+
+        if (metadata && fetchedMetadata && !config.dryRun) {
+            await saveYouTubeMetadata(metadata, videoId);
+        }
+
+        const runState = createRunState({
+            force: config.force,
+            fromStep: config.fromStep,
+            onProgress: (event) => emitEvent('step', { videoId, ...event })
+        });
+
+        const { source: transcriptSource, backend, language, translateTo, analysisType, contentType, industry } = config;
+
+        // Only an explicit language is part of the step params, so earlier runs stay cached
+        const transcriptParams = { backend: backend.name, ...(language && { language }) };
+        const captionParams = { source: 'captions', ...(language && { language }) };
+
+        // Renaming speakers re-runs the analyses that quote them; a roster change re-runs diarization
+        const speakerMap = await loadSpeakerMap(config.speakers);
+        const roster = await loadRoster(config.roster);
+        const rosterParams = roster ? { roster: roster.hash } : {};
+
+        // Named templates are part of the params, and so is every user template's version: editing one re-runs the analyses.
+        // So are the LLM classifier and the user profiles' version, which can change the profiles and analyses chosen.
+        const candidateTasks = getAnalysisTemplateNames(config);
+        const templateVersions = Object.fromEntries(candidateTasks
+            .map(name => config.analysisTemplates[name])
+            .filter(template => !template.builtin)
+            .map(template => [template.name, template.hash]));
+        const analysisParams = {
+            analysisType,
+            contentType,
+            industry,
+            ...(config.templates.length > 0 && { templates: config.templates }),
+            ...(Object.keys(templateVersions).length > 0 && { templateVersions }),
+            ...(config.classifier !== 'keywords' && { classifier: config.classifier }),
+            ...(config.contentProfiles.hash && { profiles: config.contentProfiles.hash }),
+            ...(Object.keys(speakerMap).length > 0 && { speakerMap })
+        };
+
+        // Estimate before any paid call: dryRun stops here, maxCost stops when the estimate is over budget
+        if (config.dryRun || tracker.maxCost !== null) {
+            const estimate = await estimateRunCost(source, config, { paths, manifest, metadata, runState, transcriptParams, captionParams, rosterParams, analysisParams });
+            if (config.dryRun) {
+                return { videoId, title, estimate };
+            }
+            if (estimate.total_cost > tracker.maxCost) {
+                throw new Error(`Estimated cost ${formatCost(estimate.total_cost)} exceeds max cost ${formatCost(tracker.maxCost)}`);
+            }
+        }
+
+        // Step 1a: Import YouTube captions instead of paying for Whisper when the video has them
+        // In auto mode a video already transcribed by Whisper keeps that transcript (unless forced)
+        const previousTranscript = manifest.steps.whisper;
+        const whisperDone = previousTranscript?.status === 'completed' && JSON.stringify(previousTranscript.params || {}) === JSON.stringify(transcriptParams);
+        let captionResult = null;
+        if (transcriptSource === 'captions' || (transcriptSource === 'auto' && (runState.force || !whisperDone))) {
+            if (!source.fetchCaptions) {
+                if (transcriptSource === 'captions') {
+                    throw new Error('Caption import only works for YouTube videos');
+                }
+            } else {
+                log('\n💬 Step 1a: Importing YouTube captions...');
+                try {
+                    captionResult = await runStep(manifest, runState, 'whisper', {
+                        params: captionParams,
+                        loadCached: async () => {
+                            const transcription = await loadCachedJson(paths.whisperRawJsonFile, (data) => data.source === 'youtube-captions');
+                            const files = transcription && { jsonFile: paths.whisperRawJsonFile, srtFile: paths.whisperWordSrtFile, txtFile: paths.whisperPlainTextFile };
+                            return transcription && { transcription, files, artifacts: files };
+                        },
+                        execute: async () => {
+                            const transcription = await source.fetchCaptions({ language });
+                            if (!transcription) {
+                                throw new Error(`No YouTube captions available${language ? ` in ${language}` : ''}`);
+                            }
+                            const files = await saveWhisperTranscriptionResults(transcription, videoId);
+                            return { transcription, files, artifacts: files };
+                        }
+                    });
+                    log(`✅ Using YouTube captions (${captionResult.transcription.caption_track?.kind || 'unknown'} track); skipping audio download and Whisper`);
+                } catch (error) {
+                    if (transcriptSource === 'captions') {
+                        throw error;
+                    }
+                    log(`⚠️  ${error.message}; falling back to audio download and Whisper`);
+                }
+            }
+        }
+        const usingCaptions = Boolean(captionResult);
+
+        // Step 1b: Acquire audio (YouTube download or local file). The audio's hash is recorded, so audio acquired
+        // again with the same bytes doesn't make the transcription steps run again.
+        let downloadResult = null;
+        const acquireAudio = async () => {
+            if (!downloadResult) {
+                log(`\n📥 Step 1b: ${source.acquireLabel}...`);
+                // Manifests from before audio hashes were recorded get one from the audio on disk
+                const previousDownload = manifest.steps.download;
+                if (previousDownload?.status === 'completed' && !previousDownload.artifacts?.fingerprint && await isNonEmptyFile(paths.audioFile)) {
+                    previousDownload.artifacts = { ...previousDownload.artifacts, fingerprint: await hashFile(paths.audioFile) };
+                }
+                downloadResult = await runStep(manifest, runState, 'download', {
+                    params: source.downloadParams || null,
+                    loadCached: async (previous) => (await isNonEmptyFile(paths.audioFile))
+                        ? { audioFile: paths.audioFile, videoId, artifacts: { ...previous?.artifacts, audioFile: paths.audioFile } }
+                        : null,
+                    execute: async () => {
+                        const result = await source.acquire();
+                        return { ...result, artifacts: { audioFile: result.audioFile, fingerprint: await hashFile(result.audioFile) } };
+                    }
+                });
+                log(`✅ Audio ready: ${downloadResult.audioFile}`);
+            }
+            return downloadResult.audioFile;
+        };
+        // A deleted audio file is only acquired again when a step that reads the audio has to run
+        if (!usingCaptions) {
+            if (isStepCurrent(manifest, runState, 'download', source.downloadParams || null) && !(await isNonEmptyFile(paths.audioFile))) {
+                log('\n📥 Step 1b: Audio file is gone; it is acquired again only if a step needs it');
+            } else {
+                await acquireAudio();
+            }
+        }
+        const videoTitle = title || `YouTube Video ${videoId}`;
+
+        // Step 2a: Transcribe with Whisper (OpenAI API or a local backend)
+        let whisperTranscription;
+        let whisperFiles;
+        if (usingCaptions) {
+            ({ transcription: whisperTranscription, files: whisperFiles } = captionResult);
+        } else {
+            log(`\n🎤 Step 2a: Transcribing audio with Whisper (${backend.name})...`);
+            ({ transcription: whisperTranscription, files: whisperFiles } = await runStep(manifest, runState, 'whisper', {
+                params: transcriptParams,
+                loadCached: async () => {
+                    const transcription = await loadCachedJson(paths.whisperRawJsonFile, (data) => typeof data.text === 'string' && data.source !== 'youtube-captions');
+                    const files = transcription && { jsonFile: paths.whisperRawJsonFile, srtFile: transcription.words ? paths.whisperWordSrtFile : null, txtFile: paths.whisperPlainTextFile };
+                    return transcription && { transcription, files, artifacts: files };
+                },
+                execute: async () => {
+                    const transcription = await transcribeAudio(await acquireAudio(), { backend: backend.name, language });
+                    const files = await saveWhisperTranscriptionResults(transcription, videoId);
+                    return { transcription, files, artifacts: files };
+                }
+            }));
+        }
+
+        // The detected language decides what the GPT-4o transcript and the analyses are written in
+        const sourceLanguage = language || normalizeLanguage(whisperTranscription.language);
+        log(`→ Spoken language: ${sourceLanguage ? `${getLanguageName(sourceLanguage)} (${sourceLanguage})` : 'unknown'}`);
+
+        // Step 2b: Transcribe with GPT-4o (skipped for local backends so audio never leaves the machine)
+        const gpt4oOptions = {
+            // Enhanced instructions for speaker identification and conversation formatting
+            language: sourceLanguage
+        };
+        let gpt4oFiles = null;
+        if (usingCaptions) {
+            log('\n🤖 Step 2b: Skipping GPT-4o audio transcription: transcript comes from YouTube captions');
+        } else if (backend.local) {
+            log('\n🤖 Step 2b: Skipping GPT-4o audio transcription for local backend');
+        } else {
+            log('\n🤖 Step 2b: Transcribing audio with GPT-4o...');
+            ({ files: gpt4oFiles } = await runStep(manifest, runState, 'gpt4o', {
+                loadCached: async () => {
+                    const transcription = await loadCachedJson(paths.gpt4oRawJsonFile, (data) => typeof data.text === 'string');
+                    const files = { jsonFile: paths.gpt4oRawJsonFile, txtFile: paths.gpt4oPlainTextFile };
+                    return transcription && { transcription, files, artifacts: files };
+                },
+                execute: async () => {
+                    const transcription = await transcribeAudioWithGPT4o(await acquireAudio(), gpt4oOptions);
+                    const files = await saveGPT4oTranscriptionResults(transcription, videoId);
+                    return { transcription, files, artifacts: files };
+                }
+            }));
+        }
+
+        // Step 2c: Create structured transcription with speaker turns aligned to Whisper word timings
+        log('\n🎯 Step 2c: Creating structured transcription...');
+        let { structured, files: structuredFiles } = await runStep(manifest, runState, 'structured', {
+            params: { backend: usingCaptions ? 'youtube-captions' : backend.name, ...rosterParams },
+            loadCached: async () => {
+                const structured = await loadCachedJson(paths.structuredJsonFile, (data) => Array.isArray(data.segments));
+                const files = { jsonFile: paths.structuredJsonFile, srtFile: paths.structuredSrtFile, txtFile: paths.conversationFile, timelineFile: paths.speakerTimelineFile };
+                return structured && { structured, files, artifacts: files };
+            },
+            execute: async () => {
+                // The audio is only read when the transcript has no word timestamps
+                const audioFile = whisperTranscription.words ? downloadResult?.audioFile || null : await acquireAudio();
+                const structured = await createStructuredTranscription(audioFile, {
+                    backend: backend.name,
+                    transcription: whisperTranscription,
+                    language,
+                    roster
+                });
+                const files = await saveStructuredTranscriptionResults(structured, videoId);
+                return { structured, files, artifacts: files };
+            }
+        });
+
+        // Speaker names replace the diarization labels in the structured JSON, SRT, conversation and timeline
+        // (and, through the speaker turns, in subtitles and quotes). Dropping the map restores the labels.
+        if (Object.keys(speakerMap).length > 0 || structured.speaker_map) {
+            structured = applySpeakerMap(structured, speakerMap);
+            structuredFiles = await saveStructuredTranscriptionResults(structured, videoId);
+            log(`→ Speakers: ${[...new Set(structured.segments.map(segment => segment.speaker))].join(', ')}`);
+        }
+
+        // Step 2d: Subtitle exports (cheap and deterministic, so rebuilt on every run)
+        let subtitleFiles = null;
+        if (whisperTranscription.words?.length) {
+            log('\n🔤 Step 2d: Exporting subtitles...');
+            subtitleFiles = await saveSubtitleExports(whisperTranscription, videoId, paths.subtitles, {
+                speakerSegments: structured.segments,
+                rules: config.subtitleRules,
+                title,
+                language: sourceLanguage || 'und'
+            });
+        } else {
+            log('\n🔤 Step 2d: Skipping subtitles: transcription has no word timestamps');
+        }
+
+        // Step 3: Enhanced formatting and analysis, written in the spoken language
+        log('\n📝 Step 3: Enhanced formatting and analysis...');
+
+        log(`→ Analysis type: ${analysisType}`);
+
+        // Analyses that succeeded in an earlier, partially failed run are kept rather than paid for again,
+        // and so is the classification that chose them
+        let completedAnalyses = {};
+        let previousClassification = null;
+
+        const { finalFiles, classification } = await runStep(manifest, runState, 'analysis', {
+            params: analysisParams,
+            loadCached: async (previous) => {
+                if (previous?.status !== 'completed' || !(await isNonEmptyFile(previous.artifacts.markdownFile))) {
+                    return null;
+                }
+                if (previous.artifacts.failedAnalyses?.length) {
+                    completedAnalyses = await loadCompletedAnalyses(previous.artifacts.analysisJsonFile, previous.artifacts.failedAnalyses);
+                    previousClassification = previous.artifacts.classification || null;
+                    return null;
+                }
+                return { finalFiles: previous.artifacts, classification: previous.artifacts.classification || null };
+            },
+            execute: async () => {
+                const classification = previousClassification || await classifyRun(whisperTranscription, config, metadata);
+                const { files, failures } = await analyzeTranscript(whisperTranscription, {
+                    ...analysisParams,
+                    analysisTasks: getAnalysisTemplateNames(config, classification),
+                    analysisTemplates: config.analysisTemplates,
+                    classification,
+                    contentProfiles: config.contentProfiles,
+                    language: sourceLanguage,
+                    videoId,
+                    title,
+                    videoTitle,
+                    metadata,
+                    speakerTurns: structured.segments,
+                    completed: completedAnalyses
+                });
+
+                // failedAnalyses makes the next run retry the analysis step instead of reusing it
+                return {
+                    finalFiles: files,
+                    classification,
+                    artifacts: { ...files, failedAnalyses: failures.map(failure => failure.type), classification }
+                };
+            }
+        });
+
+        const analysis = await loadCachedJson(finalFiles.analysisJsonFile);
+
+        // Step 3b: Offline HTML viewer (rebuilt on every run, so it always shows the latest analyses and speaker names)
+        let viewerFile = null;
+        if (config.viewer) {
+            log('\n🖥️  Step 3b: Building HTML viewer...');
+            ({ viewerFile } = await saveVideoViewer(videoId, {
+                transcription: whisperTranscription,
+                structured,
+                analysis,
+                metadata,
+                audioFile: downloadResult?.audioFile || null,
+                title: videoTitle,
+                language: sourceLanguage
+            }));
+        }
+
+        // Step 4: Translated transcripts, subtitles and analyses, each language in its own subfolders
+        let translatedFiles = {};
+        if (translateTo.length > 0) {
+            // Analyses cached from before classifications were recorded are classified again here
+            const translationClassification = classification || await classifyRun(whisperTranscription, config, metadata);
+            translatedFiles = await runTranslationStep({
+                manifest,
+                runState,
+                targets: translateTo,
+                transcription: whisperTranscription,
+                sourceLanguage,
+                analysisParams,
+                analysisTasks: getAnalysisTemplateNames(config, translationClassification),
+                analysisTemplates: config.analysisTemplates,
+                classification: translationClassification,
+                contentProfiles: config.contentProfiles,
+                subtitleRules: config.subtitleRules,
+                videoId,
+                title,
+                videoTitle,
+                metadata,
+                speakerTurns: structured.segments
+            });
+        }
+
+        // Step 5: Search index (a failure here leaves the run's outputs intact; ll search --reindex catches up)
+        let searchIndexFile = null;
+        if (config.index) {
+            log('\n🔎 Step 5: Updating search index...');
+            try {
+                ({ searchIndexFile } = await updateSearchIndex(videoId, { transcription: whisperTranscription, structured, metadata, manifest }));
+            } catch (error) {
+                log(`⚠️  Could not update the search index: ${error.message}`);
+            }
+        }
+
+        log('\n🎉 Transcription pipeline completed!');
+
+        return {
+            videoId,
+            title,
+            language: sourceLanguage,
+            transcriptSource: usingCaptions ? 'youtube-captions' : backend.name,
+            classification,
+            files: {
+                audioFile: downloadResult?.audioFile || null,
+                whisper: whisperFiles,
+                gpt4o: gpt4oFiles,
+                structured: structuredFiles,
+                subtitles: subtitleFiles,
+                formatted: finalFiles,
+                viewerFile,
+                translations: translatedFiles,
+                metadataFile: metadata ? paths.metadataFile : null,
+                manifestFile: paths.manifestFile,
+                searchIndexFile
+            },
+            data: {
+                transcription: whisperTranscription,
+                structured,
+                analysis,
+                metadata
+            },
+            failedAnalyses: manifest.steps.analysis?.artifacts?.failedAnalyses || [],
+            cost: summarizeCosts(tracker)
+        };
+
+    } catch (error) {
+        throw new Error(`Pipeline error: ${error.message}`);
+    }
+}
+
+// Every step for one source inside its own cost tracker; the cost report is written even when a step fails
+async function runSource(source, config) {
+    const tracker = createCostTracker({ maxCost: config.maxCost, label: source.videoId });
+
+    try {
+        const result = await runWithCostTracker(tracker, () => runPipelineSteps(source, config, tracker));
+        emitEvent('result', { videoId: source.videoId, result });
+        return result;
+    } finally {
+        if (tracker.entries.length > 0) {
+            const { report } = await writeCostReport(tracker, source.videoId, getOutputPaths(source.videoId).reports);
+            log(`💰 Run cost: ${formatCost(report.total_cost)}`);
+        }
+    }
+}
+
+/**
+ * Transcribe and analyse one YouTube video (URL or ID) or local audio/video file.
+ *
+ * options (all optional):
+ *   analysis          'basic' (default), 'full', 'custom' or 'auto'; with 'custom' and 'auto', set e.g. `sentiment: false`
+ *                     to skip an analysis. 'auto' runs the analyses the detected content-type and industry profiles list
+ *   templates         Analysis templates to run by name, built-in or from the template folder: 'sales-scorecard,faq';
+ *                     with 'custom' only these run, with 'full' they run after the built-ins (default analysis: 'custom')
+ *   contentType, industry   Override detection
+ *   classifier        'keywords' (default) or 'llm': how content type and industry are detected
+ *   source            'whisper' (default), 'captions' or 'auto' (YouTube captions when available)
+ *   language          Spoken language code, or 'auto' (default)
+ *   translateTo       Languages for translated transcripts, subtitles and analyses: 'es,fr' or ['es', 'fr']
+ *   speakers          Speaker map: { 'Speaker 1': 'Dana' }, inline JSON, a JSON file or 'Speaker 1=Dana'
+ *   roster            JSON file of recurring speakers
+ *   backend           'openai' (default), 'whisper-cpp' or 'faster-whisper'
+ *   subtitleRules     { maxCharsPerLine, maxLines, minDuration, maxDuration, maxCPS }
+ *   force, fromStep   Re-run everything, or every step from the named one on
+ *   maxCost, dryRun   Budget in USD; estimate only
+ *   idFrom            'filename' (default) or 'hash', for local files
+ *   title             Title for a YouTube video instead of the one yt-dlp reports (local files use their filename)
+ *   viewer            false to skip the offline HTML viewer (formatted/{id}_viewer.html)
+ *   index             false to leave the video out of the search index (index/search_index.json)
+ *   events            EventEmitter for progress: 'log' { level, message }, 'step' { videoId, step, status, error },
+ *                     'result' { videoId, result }. Without it the run is silent.
+ *
+ * Resolves to { videoId, title, language, transcriptSource, classification, files, data: { transcription, structured,
+ * analysis, metadata }, failedAnalyses, cost }, or { videoId, title, estimate } for a dry run. Rejects when a step fails.
+ * classification is { contentType, industry, reason }, each profile as { name, confidence, method, matches }.
+ * data.metadata is the YouTube video's title, channel, upload date, description and chapters (null for local files).
+ * Client settings (configureLLMClient, configureRequests, configureOutputLayout, configureAnalysisTemplates,
+ * configureContentProfiles) and OUTPUT_FOLDER are process-wide.
+ */
+async function runPipeline(input, options = {}) {
+    return runWithEvents(options.events || new EventEmitter(), async () => {
+        const config = await loadRunSettings(resolveOptions(options));
+        const source = await resolveSource(input, config);
+        return runSource(source, config);
+    });
+}
+
+// Batch entries for YouTube URLs (videos, playlists, channels) and local files or directories
+async function createBatchEntries(inputs, config) {
+    const localInputs = [];
+    const urls = [];
+    for (const input of inputs) {
+        (await pathExists(input) ? localInputs : urls).push(input);
+    }
+
+    const videos = urls.length > 0 ? await expandBatchInputs(urls) : [];
+    const entries = videos.map(({ videoId, url, title }) => ({
+        label: url,
+        videoId,
+        createSource: async () => youtubeSource(url, { videoId, title })
+    }));
+
+    // Items with the same ID would write the same outputs and manifest, so IDs are settled before anything runs:
+    // a file named like another (talk.mp3, talk.mp4) gets a hash of its path, and repeated inputs run once
+    const takenIds = new Set(entries.map(entry => entry.videoId));
+    const seenFiles = new Set();
+    for (const input of localInputs) {
+        for (const file of await collectLocalFiles(input)) {
+            if (seenFiles.has(file)) {
+                continue;
+            }
+            seenFiles.add(file);
+
+            let videoId = await getLocalInputId(file, config);
+            if (takenIds.has(videoId)) {
+                if (config.idFrom === 'hash') {
+                    log(`⚠️  Skipping ${file}: same content as another input (${videoId})`);
+                    continue;
+                }
+                const uniqueId = `${videoId}_${hashFilePath(file)}`;
+                log(`⚠️  ${file} would share the ID ${videoId} with another input; using ${uniqueId}`);
+                videoId = uniqueId;
+            }
+            takenIds.add(videoId);
+            entries.push({
+                label: file,
+                videoId,
+                createSource: () => localSource(file, { ...config, videoId })
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Run the pipeline for many inputs (YouTube video, playlist and channel URLs, local files and directories)
+ * with `concurrency` items in flight (default 2), and write a batch report. Takes the same options as
+ * runPipeline; the 'item' event reports { index, total, label, status, error } as items start and finish.
+ * Resolves to { report, reportFile, results } where results[i] is the item's pipeline result, or null when it failed.
+ */
+async function runBatch(inputs, options = {}) {
+    return runWithEvents(options.events || new EventEmitter(), async () => {
+        const config = await loadRunSettings(resolveOptions(options));
+        const concurrency = parseInt(options.concurrency, 10) || DEFAULT_BATCH_CONCURRENCY;
+        const entries = await createBatchEntries(Array.isArray(inputs) ? inputs : [inputs], config);
+        if (entries.length === 0) {
+            throw new Error('No videos found to process');
+        }
+
+        const folders = await ensureOutputFolders();
+        const startedAt = new Date();
+
+        log(`→ Items to process: ${entries.length}`);
+        log(`→ Concurrency: ${concurrency}`);
+
+        const results = await runWithConcurrency(entries, concurrency, async (entry, index) => {
+            log(`\n🎬 [${index + 1}/${entries.length}] ${entry.label}`);
+            emitEvent('item', { index, total: entries.length, label: entry.label, status: 'started' });
+            try {
+                const result = await runSource(await entry.createSource(), config);
+                emitEvent('item', { index, total: entries.length, label: entry.label, status: 'completed', videoId: result.videoId });
+                return result;
+            } catch (error) {
+                log(`❌ ${entry.label}: ${error.message}`);
+                emitEvent('item', { index, total: entries.length, label: entry.label, status: 'failed', error: error.message });
+                throw error;
+            }
+        });
+
+        const { report, markdownFile } = await writeBatchReport(results, {
+            reportsDir: folders.reports,
+            startedAt,
+            concurrency
+        });
+
+        log(`\n📊 Processed ${report.succeeded}/${report.total} items successfully`);
+        report.items
+            .filter(item => item.status === 'failed')
+            .forEach(item => log(`  ❌ ${item.label}: ${item.error}`));
+        log(`📄 Report: ${markdownFile}`);
+
+        return {
+            report,
+            reportFile: markdownFile,
+            results: results.map(result => (result.status === 'fulfilled' ? result.value : null))
+        };
+    });
+}
+
+module.exports = {
+    TRANSCRIPT_SOURCES,
+    ANALYSIS_TYPES,
+    ANALYSIS_TASKS,
+    runPipeline,
+    runBatch
+};
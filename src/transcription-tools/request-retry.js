@@ -0,0 +1,162 @@
+/**
+ * Shared wrapper for OpenAI API requests
+ * Retries rate limits and transient failures with exponential backoff and jitter (honouring retry-after),
+ * and caps how many requests are in flight across the whole process
+ */
+
+const OpenAI = require('openai');
+const { log } = require('./pipeline-events');
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_CONCURRENCY = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+
+let settings = null;
+let active = 0;
+const waiting = [];
+
+function readEnvSettings() {
+    return {
+        maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES, 10),
+        concurrency: parseInt(process.env.OPENAI_CONCURRENCY, 10)
+    };
+}
+
+// CLI flags override OPENAI_MAX_RETRIES / OPENAI_CONCURRENCY, which override the defaults
+function configureRequests(overrides = {}) {
+    const envSettings = readEnvSettings();
+    const pick = (key, fallback) => {
+        const value = parseInt(overrides[key], 10);
+        if (!isNaN(value)) {
+            return value;
+        }
+        return isNaN(envSettings[key]) ? fallback : envSettings[key];
+    };
+
+    settings = {
+        maxRetries: Math.max(0, pick('maxRetries', DEFAULT_MAX_RETRIES)),
+        concurrency: Math.max(1, pick('concurrency', DEFAULT_CONCURRENCY))
+    };
+
+    return settings;
+}
+
+function getRequestSettings() {
+    if (!settings) {
+        configureRequests();
+    }
+    return settings;
+}
+
+async function acquireSlot() {
+    if (active < getRequestSettings().concurrency) {
+        active++;
+        return;
+    }
+    // The releasing request hands its slot straight to us
+    await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+        next();
+    } else {
+        active--;
+    }
+}
+
+function isRetryable(error) {
+    // A 429 for an exhausted quota won't clear by waiting
+    if (error.code === 'insufficient_quota') {
+        return false;
+    }
+    if (error instanceof OpenAI.APIConnectionError) {
+        return true;
+    }
+    if (typeof error.status === 'number') {
+        return RETRYABLE_STATUSES.has(error.status);
+    }
+    return RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+function getHeader(headers, name) {
+    if (!headers) {
+        return null;
+    }
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
+
+// retry-after-ms (OpenAI), retry-after in seconds, or retry-after as an HTTP date
+function getRetryAfterMs(error) {
+    const millis = parseFloat(getHeader(error.headers, 'retry-after-ms'));
+    if (!isNaN(millis)) {
+        return millis;
+    }
+
+    const retryAfter = getHeader(error.headers, 'retry-after');
+    if (!retryAfter) {
+        return null;
+    }
+
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+        return seconds * 1000;
+    }
+
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// "Full jitter": a random delay up to the exponential cap, so parallel callers don't retry in lockstep
+function getBackoffMs(attempt) {
+    return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `call` (which must start a fresh request each time it is invoked) within the concurrency limit,
+ * retrying 408/409/429/5xx responses and connection errors up to maxRetries times.
+ * Pass `retryable` to exclude errors a caller handles itself.
+ */
+async function requestWithRetry(call, options = {}) {
+    const { label = 'OpenAI request', retryable = isRetryable } = options;
+    const { maxRetries } = getRequestSettings();
+
+    for (let attempt = 0; ; attempt++) {
+        let failure;
+
+        await acquireSlot();
+        try {
+            return await call();
+        } catch (error) {
+            failure = error;
+        } finally {
+            releaseSlot();
+        }
+
+        if (attempt >= maxRetries || !retryable(failure)) {
+            throw failure;
+        }
+
+        const delayMs = getRetryAfterMs(failure) ?? getBackoffMs(attempt);
+        log(`⏳ ${label} failed (${failure.status || failure.code || failure.message}), retrying in ${(delayMs / 1000).toFixed(1)}s (retry ${attempt + 1}/${maxRetries})`);
+        await sleep(delayMs);
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_RETRIES,
+    DEFAULT_CONCURRENCY,
+    configureRequests,
+    getRequestSettings,
+    isRetryable,
+    requestWithRetry
+};
@@ -0,0 +1,64 @@
+/**
+ * Minimal JSON schema validation for structured LLM output
+ * Covers the subset used by our response schemas: type, enum, properties, required,
+ * additionalProperties: false and items
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') {
+        return actual === 'number' || actual === 'integer';
+    }
+    return actual === type;
+}
+
+function validateAgainstSchema(value, schema, location = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${location}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${location}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeOf(value) === 'object' && schema.properties) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${location}.${key}: missing required property`);
+            }
+        });
+
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            if (schema.properties[key]) {
+                errors.push(...validateAgainstSchema(propertyValue, schema.properties[key], `${location}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${location}.${key}: unexpected property`);
+            }
+        });
+    }
+
+    if (typeOf(value) === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${location}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateAgainstSchema
+};
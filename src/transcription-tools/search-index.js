@@ -0,0 +1,541 @@
+/**
+ * Full-text search over every processed video. Each run adds its Whisper segments, with the speaker of the
+ * structured turn they fall in, to a JSON inverted index in OUTPUT_FOLDER/index/; searches match words and
+ * "quoted phrases", filter by speaker, channel and date, and rank segments with BM25. Semantic searches embed
+ * passages with the configured LLM client, once per video, and rank them by cosine similarity.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getSearchIndexPaths, sanitizeFileName } = require('./folder-utils');
+const { loadVideoArtifacts } = require('./pipeline-state');
+const { getTranscriptionSegments } = require('./transcribe-audio');
+const { createEmbeddings, getModelForTask } = require('./llm-client');
+const { log } = require('./pipeline-events');
+
+// Bumped when the index format changes; older indexes are rebuilt with `ll search --reindex`
+const SEARCH_INDEX_VERSION = 1;
+
+const DEFAULT_SEARCH_LIMIT = 20;
+
+// BM25 settings (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Semantic search embeds passages of consecutive segments up to this many characters, this many per request
+const PASSAGE_CHARS = 800;
+const EMBEDDING_BATCH_SIZE = 64;
+// text-embedding-3 vectors are shortened to this many dimensions to keep the embedding files small
+const EMBEDDING_DIMENSIONS = 512;
+
+// Another process holding the index lock longer than this is assumed to have crashed
+const LOCK_STALE_MS = 30000;
+
+let indexQueue = Promise.resolve();
+
+// Lowercase, accents and apostrophes removed, so "Café" finds "cafe" and "don't" finds "dont"
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/['’]/g, '')
+        .toLowerCase();
+}
+
+function tokenize(text) {
+    return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// The structured turn a segment's midpoint falls in, or the last one starting before it
+function findSpeaker(segment, turns) {
+    const middle = (segment.start + segment.end) / 2;
+    let speaker = null;
+    for (const turn of turns) {
+        if (turn.start > middle) {
+            break;
+        }
+        speaker = turn.speaker || null;
+        if (middle < turn.end) {
+            break;
+        }
+    }
+    return speaker;
+}
+
+function roundTime(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * The index entry for one video: its Whisper segments with speakers, and each word's segments (terms).
+ * Title, channel, date and link come from the YouTube metadata, falling back to what the manifest recorded.
+ */
+function createSearchEntry(videoId, { transcription, structured = null, metadata = null, manifest = {} }) {
+    const turns = (structured?.segments || [])
+        .filter(turn => typeof turn.start === 'number' && typeof turn.end === 'number')
+        .sort((a, b) => a.start - b.start);
+
+    const segments = getTranscriptionSegments(transcription)
+        .filter(segment => segment.text && segment.text.trim())
+        .map(segment => ({
+            start: roundTime(segment.start),
+            end: roundTime(segment.end),
+            speaker: findSpeaker(segment, turns),
+            text: segment.text.trim()
+        }));
+
+    const terms = {};
+    let tokenCount = 0;
+    segments.forEach((segment, index) => {
+        const tokens = tokenize(segment.text);
+        tokenCount += tokens.length;
+        new Set(tokens).forEach(term => (terms[term] = terms[term] || []).push(index));
+    });
+
+    return {
+        video_id: videoId,
+        title: manifest.output?.title || metadata?.title || videoId,
+        channel: metadata?.channel || manifest.output?.channel || null,
+        date: metadata?.upload_date || manifest.output?.date || null,
+        url: metadata?.webpage_url || manifest.url || null,
+        duration: transcription.duration || segments[segments.length - 1]?.end || null,
+        speakers: [...new Set(segments.map(segment => segment.speaker).filter(Boolean))],
+        indexed_at: new Date().toISOString(),
+        // Changes only when the segments do, so re-running a video keeps its embeddings
+        hash: crypto.createHash('sha256').update(JSON.stringify(segments)).digest('hex').slice(0, 12),
+        token_count: tokenCount,
+        segments,
+        terms
+    };
+}
+
+function createEmptyIndex() {
+    return { version: SEARCH_INDEX_VERSION, updated_at: null, videos: {} };
+}
+
+/**
+ * The index as saved: { version, updated_at, videos: { id: entry } }. An index without a file is empty;
+ * one in an older format is rejected.
+ */
+async function loadSearchIndex() {
+    const { searchIndexFile } = getSearchIndexPaths();
+
+    let index;
+    try {
+        index = JSON.parse(await fs.readFile(searchIndexFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return createEmptyIndex();
+        }
+        throw new Error(`Cannot read search index ${searchIndexFile}: ${error.message}; rebuild it with ll search --reindex`);
+    }
+
+    if (index.version !== SEARCH_INDEX_VERSION) {
+        throw new Error(`Search index ${searchIndexFile} is from another version of ll-tools; rebuild it with ll search --reindex`);
+    }
+    return index;
+}
+
+// Written to a temporary file first, so a search never reads half an index
+async function writeJsonAtomically(file, data) {
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(data));
+    await fs.rename(temporary, file);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// One writer at a time: queued within this process, and a lock file against other processes (batch jobs of ll serve)
+function withIndexLock(fn) {
+    const run = indexQueue.then(async () => {
+        const { index } = getSearchIndexPaths();
+        await fs.mkdir(index, { recursive: true });
+        const lockFile = path.join(index, 'search_index.lock');
+
+        for (;;) {
+            try {
+                await fs.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                const stats = await fs.stat(lockFile).catch(() => null);
+                if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+                    await fs.rm(lockFile, { force: true });
+                } else {
+                    await sleep(100);
+                }
+            }
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.rm(lockFile, { force: true });
+        }
+    });
+    indexQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Add or replace one video in the index: data is { transcription, structured, metadata, manifest } as the
+ * pipeline has them. Resolves to { searchIndexFile, segments }; rejects when the saved index can't be read.
+ */
+async function updateSearchIndex(videoId, data) {
+    const entry = createSearchEntry(videoId, data);
+    const { searchIndexFile } = getSearchIndexPaths();
+
+    // An index that can't be read is left as it is (with the error to rebuild it), not replaced by this video alone
+    await withIndexLock(async () => {
+        const index = await loadSearchIndex();
+        index.videos[videoId] = entry;
+        index.updated_at = entry.indexed_at;
+        await writeJsonAtomically(searchIndexFile, index);
+    });
+
+    log(`💾 Search index updated: ${entry.segments.length} segments (${searchIndexFile})`);
+    return { searchIndexFile, segments: entry.segments.length };
+}
+
+// Index a video processed earlier (or with --no-index) from its saved transcripts
+async function indexProcessedVideo(videoId) {
+    const { manifest, transcription, structured, metadata } = await loadVideoArtifacts(videoId);
+    return updateSearchIndex(videoId, { transcription, structured, metadata, manifest });
+}
+
+/**
+ * Build the index again from every manifest in OUTPUT_FOLDER, for videos processed before the index existed
+ * or after it was deleted. Resolves to { searchIndexFile, videos, segments, skipped: [{ videoId, reason }] }.
+ */
+async function rebuildSearchIndex() {
+    const { searchIndexFile, manifests: manifestsDir } = getSearchIndexPaths();
+
+    let files = [];
+    try {
+        files = (await fs.readdir(manifestsDir)).filter(file => file.endsWith('_manifest.json')).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    const index = createEmptyIndex();
+    const skipped = [];
+    for (const file of files) {
+        const videoId = file.slice(0, -'_manifest.json'.length);
+        try {
+            const { manifest, transcription, structured, metadata } = await loadVideoArtifacts(videoId);
+            index.videos[videoId] = createSearchEntry(videoId, { transcription, structured, metadata, manifest });
+            log(`→ ${videoId}: ${index.videos[videoId].segments.length} segments`);
+        } catch (error) {
+            skipped.push({ videoId, reason: error.message });
+            log(`⚠️  Skipping ${videoId}: ${error.message}`);
+        }
+    }
+
+    const entries = Object.values(index.videos);
+    index.updated_at = new Date().toISOString();
+    await withIndexLock(() => writeJsonAtomically(searchIndexFile, index));
+
+    const segments = entries.reduce((sum, entry) => sum + entry.segments.length, 0);
+    log(`💾 Search index rebuilt: ${entries.length} videos, ${segments} segments (${searchIndexFile})`);
+    return { searchIndexFile, videos: entries.length, segments, skipped };
+}
+
+// Words and "quoted phrases"; every one must be in a segment for it to match
+function parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"?/g, (match, phrase) => {
+        const tokens = tokenize(phrase);
+        if (tokens.length > 1) {
+            phrases.push(tokens);
+        }
+        return ` ${phrase} `;
+    });
+
+    const terms = [...new Set(tokenize(rest))];
+    if (terms.length === 0) {
+        throw new Error('Search query has no words to look for');
+    }
+    return { terms, phrases };
+}
+
+function containsPhrase(tokens, phrase) {
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+        if (phrase.every((token, offset) => tokens[i + offset] === token)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// YYYY, YYYY-MM or YYYY-MM-DD, compared at that precision
+function checkDateFilter(value, name) {
+    if (value && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(String(value))) {
+        throw new Error(`${name} must be a date such as 2024, 2024-05 or 2024-05-01, got '${value}'`);
+    }
+    return value ? String(value) : null;
+}
+
+// The videos a search looks at: filtered by ID, channel and date
+function filterVideos(index, { videoIds = null, channel = null, from = null, to = null }) {
+    const channelFilter = channel ? normalizeText(channel) : null;
+    const fromDate = checkDateFilter(from, 'from');
+    const toDate = checkDateFilter(to, 'to');
+
+    return Object.values(index.videos).filter(entry => {
+        if (videoIds && !videoIds.includes(entry.video_id)) {
+            return false;
+        }
+        if (channelFilter && !normalizeText(entry.channel).includes(channelFilter)) {
+            return false;
+        }
+        if ((fromDate || toDate) && !entry.date) {
+            return false;
+        }
+        if (fromDate && entry.date.slice(0, fromDate.length) < fromDate) {
+            return false;
+        }
+        return !(toDate && entry.date.slice(0, toDate.length) > toDate);
+    });
+}
+
+function matchesSpeaker(speakers, speakerFilter) {
+    return !speakerFilter || speakers.some(speaker => normalizeText(speaker).includes(speakerFilter));
+}
+
+// A YouTube link that starts playing at `seconds`; null for local files
+function createTimestampLink(url, seconds) {
+    if (!url) {
+        return null;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}t=${Math.floor(seconds)}s`;
+}
+
+// segmentRange is the [first, last] index of the hit's segments in the video's index entry
+function createHit(entry, { start, end, speaker, text }, score, segmentRange) {
+    return {
+        videoId: entry.video_id,
+        title: entry.title,
+        channel: entry.channel,
+        date: entry.date,
+        start,
+        end,
+        speaker,
+        text,
+        link: createTimestampLink(entry.url, start),
+        score: Math.round(score * 1000) / 1000,
+        segmentRange
+    };
+}
+
+// match 'all' needs every word in a segment; 'any' ranks segments with at least one (quoted phrases are always needed)
+function keywordSearch(index, videos, query, speakerFilter, match) {
+    const { terms, phrases } = parseQuery(query);
+
+    // Document frequencies and lengths over the whole index, so scores don't depend on the filters
+    const all = Object.values(index.videos);
+    const segmentCount = all.reduce((sum, entry) => sum + entry.segments.length, 0);
+    const averageLength = all.reduce((sum, entry) => sum + entry.token_count, 0) / Math.max(segmentCount, 1);
+    const idf = Object.fromEntries(terms.map(term => {
+        const frequency = all.reduce((sum, entry) => sum + (entry.terms[term]?.length || 0), 0);
+        return [term, Math.log(1 + (segmentCount - frequency + 0.5) / (frequency + 0.5))];
+    }));
+
+    const hits = [];
+    videos.forEach(entry => {
+        const postings = terms.map(term => entry.terms[term]);
+        let positions;
+        if (match === 'any') {
+            positions = [...new Set(postings.filter(Boolean).flat())];
+        } else if (postings.every(Boolean)) {
+            const [shortest, ...others] = [...postings].sort((a, b) => a.length - b.length);
+            const otherSets = others.map(list => new Set(list));
+            positions = shortest.filter(position => otherSets.every(set => set.has(position)));
+        } else {
+            return;
+        }
+
+        positions.forEach(position => {
+            const segment = entry.segments[position];
+            if (!matchesSpeaker([segment.speaker].filter(Boolean), speakerFilter)) {
+                return;
+            }
+
+            const tokens = tokenize(segment.text);
+            if (!phrases.every(phrase => containsPhrase(tokens, phrase))) {
+                return;
+            }
+
+            const score = terms.reduce((sum, term) => {
+                const frequency = tokens.filter(token => token === term).length;
+                return sum + idf[term] * (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / averageLength));
+            }, 0);
+            hits.push(createHit(entry, segment, score, [position, position]));
+        });
+    });
+
+    return hits;
+}
+
+// Consecutive segments grouped into passages of up to PASSAGE_CHARS characters, as [first, last] indexes
+function createPassages(segments) {
+    const passages = [];
+    let first = 0;
+    let length = 0;
+
+    segments.forEach((segment, index) => {
+        if (index > first && length + segment.text.length > PASSAGE_CHARS) {
+            passages.push([first, index - 1]);
+            first = index;
+            length = 0;
+        }
+        length += segment.text.length + 1;
+    });
+    if (segments.length > 0) {
+        passages.push([first, segments.length - 1]);
+    }
+    return passages;
+}
+
+function passageText(entry, [first, last]) {
+    return entry.segments.slice(first, last + 1).map(segment => segment.text).join(' ');
+}
+
+// Unit length, so a dot product is the cosine similarity
+function normalizeVector(vector) {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return Float32Array.from(vector, value => value / length);
+}
+
+async function embedTexts(texts, model) {
+    const dimensions = model.startsWith('text-embedding-3') ? EMBEDDING_DIMENSIONS : null;
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        vectors.push(...await createEmbeddings(texts.slice(i, i + EMBEDDING_BATCH_SIZE), { model, dimensions }));
+    }
+    return vectors.map(normalizeVector);
+}
+
+// A video's passage embeddings, made on first use and again when its segments or the model change
+async function loadEmbeddings(entry, model) {
+    const { embeddings } = getSearchIndexPaths();
+    const file = path.join(embeddings, `${sanitizeFileName(entry.video_id, 'video')}.json`);
+
+    try {
+        const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (saved.video_id === entry.video_id && saved.model === model && saved.hash === entry.hash) {
+            const values = new Float32Array(new Uint8Array(Buffer.from(saved.vectors, 'base64')).buffer);
+            return saved.passages.map((passage, i) => ({
+                passage,
+                vector: values.subarray(i * saved.dimensions, (i + 1) * saved.dimensions)
+            }));
+        }
+    } catch (error) {
+        // Missing or unreadable: embedded again below
+    }
+
+    const passages = createPassages(entry.segments);
+    log(`🧮 Embedding ${passages.length} passage(s) of ${entry.video_id} with ${model}...`);
+    const vectors = await embedTexts(passages.map(passage => passageText(entry, passage)), model);
+    const dimensions = vectors[0]?.length || 0;
+
+    const values = new Float32Array(vectors.length * dimensions);
+    vectors.forEach((vector, i) => values.set(vector, i * dimensions));
+    await fs.mkdir(embeddings, { recursive: true });
+    await writeJsonAtomically(file, {
+        video_id: entry.video_id,
+        model,
+        dimensions,
+        hash: entry.hash,
+        passages,
+        vectors: Buffer.from(values.buffer).toString('base64')
+    });
+
+    return passages.map((passage, i) => ({ passage, vector: vectors[i] }));
+}
+
+async function semanticSearch(videos, query, speakerFilter) {
+    if (videos.length === 0) {
+        return [];
+    }
+    const model = getModelForTask('embedding');
+    const [queryVector] = await embedTexts([String(query)], model);
+
+    const hits = [];
+    for (const entry of videos) {
+        for (const { passage, vector } of await loadEmbeddings(entry, model)) {
+            const segments = entry.segments.slice(passage[0], passage[1] + 1);
+            const speakers = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+            if (!matchesSpeaker(speakers, speakerFilter)) {
+                continue;
+            }
+
+            const score = vector.reduce((sum, value, i) => sum + value * queryVector[i], 0);
+            hits.push(createHit(entry, {
+                start: segments[0].start,
+                end: segments[segments.length - 1].end,
+                speaker: speakers.join(', ') || null,
+                text: passageText(entry, passage)
+            }, score, passage));
+        }
+    }
+    return hits;
+}
+
+/**
+ * Search a loaded index (see searchTranscripts), for callers that also need the index entries.
+ */
+async function searchIndex(index, query, options = {}) {
+    const { speaker = null, semantic = false, match = 'all' } = options;
+    const limit = options.limit === undefined || options.limit === null ? DEFAULT_SEARCH_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`limit must be a positive whole number, got '${options.limit}'`);
+    }
+    if (!String(query || '').trim()) {
+        throw new Error('Search query is empty');
+    }
+    if (!['all', 'any'].includes(match)) {
+        throw new Error(`match must be all or any, got '${match}'`);
+    }
+
+    const videos = filterVideos(index, options);
+    const speakerFilter = speaker ? normalizeText(speaker) : null;
+
+    const hits = semantic
+        ? await semanticSearch(videos, query, speakerFilter)
+        : keywordSearch(index, videos, query, speakerFilter, match);
+
+    hits.sort((a, b) => b.score - a.score || (b.date || '').localeCompare(a.date || '') || a.start - b.start);
+    return { hits: hits.slice(0, limit), total: hits.length };
+}
+
+/**
+ * Search the index. options: speaker, channel (case-insensitive, part of the name is enough), from and to
+ * (upload date, or the day a local file was first processed), videoIds, limit (default 20), match ('all' words,
+ * the default, or 'any') and semantic. Resolves to { hits, total }, best first; each hit is { videoId, title,
+ * channel, date, start, end, speaker, text, link, score, segmentRange }, with link a YouTube URL that starts at
+ * the hit (&t=) or null for local files.
+ */
+async function searchTranscripts(query, options = {}) {
+    return searchIndex(await loadSearchIndex(), query, options);
+}
+
+module.exports = {
+    DEFAULT_SEARCH_LIMIT,
+    tokenize,
+    createSearchEntry,
+    loadSearchIndex,
+    updateSearchIndex,
+    indexProcessedVideo,
+    rebuildSearchIndex,
+    searchIndex,
+    searchTranscripts,
+    createTimestampLink
+};
@@ -0,0 +1,211 @@
+/**
+ * Speaker naming for structured transcriptions
+ * A speaker map renames diarization labels ("Speaker 1" → "Dana Whitfield") in every output, and a roster
+ * describes recurring speakers (role, description, phrase cues) so the LLM can name them while labelling
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { log } = require('./pipeline-events');
+
+async function readJsonFile(filePath, label) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${label} ${filePath}: ${error.message}`);
+    }
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`${label} ${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+async function isFile(filePath) {
+    try {
+        return (await fs.stat(filePath)).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse a speaker map given as an object, inline JSON ({"Speaker 1": "Dana"}) or label=name pairs
+ * ("Speaker 1=Dana,Speaker 2=Sam"), never reading a file. Returns { label: name }, empty when value is unset.
+ */
+function parseSpeakerMap(value) {
+    if (!value) {
+        return {};
+    }
+
+    const input = typeof value === 'object' ? null : String(value).trim();
+    let map;
+    if (!input) {
+        map = value;
+    } else if (input.startsWith('{')) {
+        try {
+            map = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Speaker map is not valid JSON: ${error.message}`);
+        }
+    } else {
+        // Every pair must name both sides, so a typo can't quietly leave the labels unchanged
+        map = Object.fromEntries(input.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+            const separator = pair.indexOf('=');
+            const [label, name] = separator === -1 ? [] : [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+            if (!label || !name) {
+                throw new Error(`Speaker map entry '${pair}' is not a label=name pair, e.g. "Speaker 1=Dana Whitfield"`);
+            }
+            return [label, name];
+        }));
+        if (Object.keys(map).length === 0) {
+            throw new Error(`Speaker map '${input}' has no label=name pairs`);
+        }
+    }
+
+    if (!map || typeof map !== 'object' || Array.isArray(map) || Object.values(map).some(name => typeof name !== 'string' || !name.trim())) {
+        throw new Error('Speaker map must map labels to names, e.g. {"Speaker 1": "Dana Whitfield"} or "Speaker 1=Dana Whitfield"');
+    }
+
+    return Object.fromEntries(Object.entries(map).map(([label, name]) => [label.trim(), name.trim()]));
+}
+
+/**
+ * Load a speaker map from a JSON file, or anything parseSpeakerMap takes. Returns { label: name }, empty when
+ * value is unset.
+ */
+async function loadSpeakerMap(value) {
+    const input = typeof value === 'string' ? value.trim() : '';
+    if (input && !input.startsWith('{')) {
+        if (await isFile(input)) {
+            return parseSpeakerMap(await readJsonFile(input, 'Speaker map'));
+        }
+        // A value without pairs that looks like a path is a file that isn't there, not a malformed pair
+        if (!input.includes('=') && (/\.json$/i.test(input) || input.includes('/') || input.includes('\\'))) {
+            throw new Error(`Speaker map file ${input} not found`);
+        }
+    }
+    return parseSpeakerMap(value);
+}
+
+/**
+ * Load a roster of recurring speakers:
+ * { "speakers": [{ "name": "Dana Whitfield", "role": "host", "description": "...", "cues": ["Welcome back to ..."] }] }
+ * (a bare array of speakers also works). Returns { speakers, hash } or null when filePath is unset;
+ * the hash lets the pipeline re-label speakers when the roster changes.
+ */
+async function loadRoster(filePath) {
+    if (!filePath) {
+        return null;
+    }
+
+    const data = await readJsonFile(filePath, 'Speaker roster');
+    const entries = Array.isArray(data) ? data : data.speakers;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`Speaker roster ${filePath} has no speakers`);
+    }
+
+    const speakers = entries.map((entry, index) => {
+        if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+            throw new Error(`Speaker roster ${filePath}: entry ${index + 1} needs a name`);
+        }
+        return {
+            name: entry.name.trim(),
+            role: entry.role || null,
+            description: entry.description || null,
+            cues: Array.isArray(entry.cues) ? entry.cues.filter(cue => typeof cue === 'string' && cue.trim()) : []
+        };
+    });
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(speakers)).digest('hex').slice(0, 12);
+
+    return { speakers, hash };
+}
+
+// Roster section of the diarization prompt
+function describeRoster(roster) {
+    if (!roster?.speakers?.length) {
+        return '';
+    }
+
+    const lines = roster.speakers.map(speaker => {
+        const details = [
+            speaker.role && `role: ${speaker.role}`,
+            speaker.description,
+            speaker.cues.length > 0 && `phrase cues: ${speaker.cues.map(cue => `"${cue}"`).join(', ')}`
+        ].filter(Boolean);
+        return `- ${speaker.name}${details.length > 0 ? ` (${details.join('; ')})` : ''}`;
+    });
+
+    return `
+KNOWN SPEAKERS who regularly appear in these recordings:
+${lines.join('\n')}
+Label a turn with one of these names only when the role, description or phrase cues clearly identify the speaker. Label anyone else Speaker 1, Speaker 2, etc.
+`;
+}
+
+/**
+ * Rename speakers in structured transcription data. The label the diarization produced is kept
+ * in `speaker_label`, so applying a different map later renames from the original labels.
+ */
+function applySpeakerMap(structuredData, speakerMap = {}) {
+    const segments = structuredData.segments.map(segment => {
+        const label = segment.speaker_label || segment.speaker;
+        return { ...segment, speaker: speakerMap[label] || label, speaker_label: label };
+    });
+
+    const labels = new Set(segments.map(segment => segment.speaker_label));
+    Object.keys(speakerMap)
+        .filter(label => !labels.has(label))
+        .forEach(label => log(`⚠️  Speaker map entry '${label}' matches no speaker in this recording`));
+
+    return {
+        ...structuredData,
+        segments,
+        metadata: {
+            ...structuredData.metadata,
+            total_speakers: new Set(segments.map(segment => segment.speaker)).size
+        },
+        speaker_map: speakerMap
+    };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace mapped labels wherever they appear in strings inside value (analysis results, markdown)
+function renameSpeakers(value, speakerMap = {}) {
+    const labels = Object.keys(speakerMap);
+    if (labels.length === 0 || value === null || value === undefined) {
+        return value;
+    }
+
+    // Whole labels only, longest first, so "Speaker 1" never matches inside "Speaker 10"
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${labels.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+
+    const rename = item => {
+        if (typeof item === 'string') {
+            return item.replace(pattern, label => speakerMap[label]);
+        }
+        if (Array.isArray(item)) {
+            return item.map(rename);
+        }
+        if (item && typeof item === 'object') {
+            return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, rename(entry)]));
+        }
+        return item;
+    };
+
+    return rename(value);
+}
+
+module.exports = {
+    parseSpeakerMap,
+    loadSpeakerMap,
+    loadRoster,
+    describeRoster,
+    applySpeakerMap,
+    renameSpeakers
+};
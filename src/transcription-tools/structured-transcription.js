@@ -1,22 +1,19 @@
 /**
- * Structured transcription using GPT-4o with defined schema
- * Combines speaker diarization with time estimates
+ * Structured transcription with speaker diarization aligned to Whisper word timestamps
+ * The LLM only decides where speaker turns start; all times come from the transcription words
  */
 
-const OpenAI = require('openai');
 const fs = require('fs');
-const path = require('path');
+const { transcribeAudio, formatSRTTime, locateWordsInText } = require('./transcribe-audio');
+const { createJsonCompletion, getModelForTask } = require('./llm-client');
+const { describeRoster } = require('./speaker-map');
+const { log } = require('./pipeline-events');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
-// Define the structured output schema
-const transcriptionSchema = {
+// Define the structured output schema: speaker turns over indexed words
+const speakerTurnSchema = {
     type: "object",
     properties: {
-        segments: {
+        turns: {
             type: "array",
             items: {
                 type: "object",
@@ -25,20 +22,12 @@ const transcriptionSchema = {
                         type: "string",
                         description: "Speaker identifier (e.g., 'Speaker 1', 'Speaker 2', or actual name if mentioned)"
                     },
-                    text: {
-                        type: "string", 
-                        description: "The text spoken by this speaker in this segment"
-                    },
-                    start_time: {
-                        type: "string",
-                        description: "Estimated start time in MM:SS.s format (e.g., '02:45.3')"
-                    },
-                    end_time: {
-                        type: "string",
-                        description: "Estimated end time in MM:SS.s format (e.g., '02:52.1')"
+                    start_word: {
+                        type: "integer",
+                        description: "Index of the first word spoken in this turn, taken from the [n] markers"
                     }
                 },
-                required: ["speaker", "text", "start_time", "end_time"],
+                required: ["speaker", "start_word"],
                 additionalProperties: false
             }
         },
@@ -56,96 +45,117 @@ const transcriptionSchema = {
                 audio_quality: {
                     type: "string", 
                     enum: ["excellent", "good", "fair", "poor"],
-                    description: "Subjective assessment of audio quality"
+                    description: "Subjective assessment of audio quality based on transcript coherence"
                 }
             },
             required: ["total_speakers", "conversation_type", "audio_quality"],
             additionalProperties: false
         }
     },
-    required: ["segments", "metadata"],
+    required: ["turns", "metadata"],
     additionalProperties: false
 };
 
 async function createStructuredTranscription(audioFilePath, options = {}) {
     const {
-        model = 'gpt-4o'
+        model = getModelForTask('structured'),
+        backend = null,
+        transcription = null,
+        // Only used when transcribing here; null lets Whisper detect the language
+        language = null,
+        // Recurring speakers (from loadRoster) the model may name instead of numbering
+        roster = null,
+        wordsPerWindow = 1200
     } = options;
     
-    console.log(`🎯 Creating structured transcription: ${audioFilePath}`);
-    console.log(`→ Model: ${model}`);
-    
-    // Check if file exists
-    if (!fs.existsSync(audioFilePath)) {
-        throw new Error(`Audio file not found: ${audioFilePath}`);
-    }
-    
-    // Get file stats
-    const stats = fs.statSync(audioFilePath);
-    const fileSizeMB = stats.size / (1024 * 1024);
-    console.log(`→ File size: ${fileSizeMB.toFixed(2)} MB`);
-    
-    if (fileSizeMB > 25) {
-        throw new Error('File size exceeds OpenAI limit of 25MB. Consider using a shorter video or compressing the audio.');
+    log(`🎯 Creating structured transcription${audioFilePath ? `: ${audioFilePath}` : ' from existing transcript'}`);
+    log(`→ Model: ${model}`);
+    if (roster) {
+        log(`→ Known speakers: ${roster.speakers.map(speaker => speaker.name).join(', ')}`);
     }
     
-    const instructions = `Analyze this audio and provide a structured transcription with speaker diarization and time estimates.
-
-INSTRUCTIONS:
-1. Identify all distinct speakers and label them consistently (Speaker 1, Speaker 2, etc.)
-2. Break the conversation into natural segments based on speaker turns
-3. Estimate start and end times for each segment based on the audio timing
-4. Provide clean, readable text for each segment
-5. Include metadata about the conversation
-
-Be as accurate as possible with timing estimates - listen carefully to when each speaker starts and stops talking.
-
-Format times as MM:SS.s (e.g., "02:45.3" for 2 minutes 45.3 seconds).`;
-
     try {
-        const response = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(audioFilePath),
-            model: 'whisper-1',
-            response_format: 'json',
-            language: 'en'
-        });
+        // Reuse the Whisper result when the caller already has one
+        let wordTranscription = transcription;
+        if (!wordTranscription?.words) {
+            if (!fs.existsSync(audioFilePath)) {
+                throw new Error(`Audio file not found: ${audioFilePath}`);
+            }
+            
+            // transcribeAudio handles files over the upload limit by chunking them
+            wordTranscription = await transcribeAudio(audioFilePath, {
+                backend,
+                language,
+                timestampGranularities: ['word']
+            });
+        }
         
-        // Now use GPT-4o with text to create structured output
-        const structuredResponse = await openai.chat.completions.create({
-            model: model,
-            messages: [
-                {
-                    role: 'user',
-                    content: `${instructions}
-
-Here is the raw transcript:
-"${response.text}"`
-                }
-            ],
-            response_format: {
-                type: "json_schema",
-                json_schema: {
-                    name: "structured_transcription",
-                    schema: transcriptionSchema,
-                    strict: true
-                }
+        const words = wordTranscription.words || [];
+        if (words.length === 0) {
+            throw new Error('Transcription has no word timestamps to align speakers to');
+        }
+        
+        const wordOffsets = locateWordsInText(wordTranscription.text, words);
+        
+        // Long transcripts are labelled window by window, carrying speaker context forward
+        const turns = [];
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        let metadata = null;
+        
+        for (let windowStart = 0; windowStart < words.length; windowStart += wordsPerWindow) {
+            const windowEnd = Math.min(windowStart + wordsPerWindow, words.length);
+            const knownSpeakers = [...new Set(turns.map(t => t.speaker))];
+            const currentSpeaker = turns.length > 0 ? turns[turns.length - 1].speaker : null;
+            
+            log(`→ Labelling words ${windowStart}-${windowEnd - 1} of ${words.length}`);
+            
+            const { data, response } = await createJsonCompletion({
+                model: model,
+                messages: [
+                    {
+                        role: 'user',
+                        content: buildDiarizationPrompt(words, windowStart, windowEnd, knownSpeakers, currentSpeaker, roster)
+                    }
+                ]
+            }, {
+                schema: speakerTurnSchema,
+                schemaName: 'speaker_turns'
+            });
+            
+            const windowTurns = data.turns.filter(t => t.start_word >= windowStart && t.start_word < windowEnd);
+            
+            // A window must open with a turn; continue the previous speaker if the model didn't say otherwise
+            if (!windowTurns.some(t => t.start_word === windowStart)) {
+                windowTurns.unshift({ speaker: currentSpeaker || windowTurns[0]?.speaker || 'Speaker 1', start_word: windowStart });
             }
-        });
+            
+            turns.push(...windowTurns);
+            metadata = metadata || data.metadata;
+            
+            usage.prompt_tokens += response.usage?.prompt_tokens || 0;
+            usage.completion_tokens += response.usage?.completion_tokens || 0;
+            usage.total_tokens += response.usage?.total_tokens || 0;
+        }
         
-        const structuredData = JSON.parse(structuredResponse.choices[0].message.content);
+        const segments = buildAlignedSegments(wordTranscription.text, words, wordOffsets, turns);
         
         const result = {
-            ...structuredData,
+            segments,
+            metadata: {
+                ...metadata,
+                total_speakers: new Set(segments.map(s => s.speaker)).size
+            },
+            alignment: 'word_timestamps',
             model: model,
-            usage: structuredResponse.usage,
+            usage,
             created_at: new Date().toISOString()
         };
         
-        console.log(`✅ Structured transcription completed!`);
-        console.log(`→ Segments: ${result.segments.length}`);
-        console.log(`→ Speakers: ${result.metadata.total_speakers}`);
-        console.log(`→ Type: ${result.metadata.conversation_type}`);
-        console.log(`→ Tokens used: ${structuredResponse.usage?.total_tokens || 'N/A'}`);
+        log(`✅ Structured transcription completed!`);
+        log(`→ Segments: ${result.segments.length}`);
+        log(`→ Speakers: ${result.metadata.total_speakers}`);
+        log(`→ Type: ${result.metadata.conversation_type}`);
+        log(`→ Tokens used: ${usage.total_tokens || 'N/A'}`);
         
         return result;
         
@@ -154,41 +164,114 @@ Here is the raw transcript:
     }
 }
 
-async function saveStructuredTranscriptionResults(structuredData, videoId, outputDir = null) {
-    // Use provided outputDir or get from folder utils
-    let structuredDir;
-    if (outputDir) {
-        structuredDir = outputDir;
-    } else {
-        const { getOutputPaths } = require('./folder-utils');
-        const paths = getOutputPaths(videoId);
-        structuredDir = paths.structuredTranscriptions;
+function buildDiarizationPrompt(words, windowStart, windowEnd, knownSpeakers, currentSpeaker, roster = null) {
+    const indexedWords = words
+        .slice(windowStart, windowEnd)
+        .map((word, i) => `[${windowStart + i}] ${word.word.trim()}`)
+        .join(' ');
+    
+    const context = knownSpeakers.length > 0
+        ? `\nSpeakers identified so far: ${knownSpeakers.join(', ')}. The speaker talking at word ${windowStart} was last labelled "${currentSpeaker}" - keep labels consistent.\n`
+        : '';
+    
+    return `Analyze this transcript and identify speaker turns for diarization.
+
+Every word is prefixed with its index in square brackets, e.g. "[42] hello".
+
+INSTRUCTIONS:
+1. Identify all distinct speakers and label them consistently (Speaker 1, Speaker 2, etc., or names if clearly introduced)
+2. Return one turn for every change of speaker, giving the index of the FIRST word of that turn
+3. The first turn must start at word ${windowStart}
+4. Only use indexes that appear below (${windowStart} to ${windowEnd - 1}), in increasing order
+5. Do not rewrite or summarize the text - only decide where each speaker starts
+6. Include metadata about the conversation
+${describeRoster(roster)}${context}
+Here is the indexed transcript:
+${indexedWords}`;
+}
+
+function buildAlignedSegments(text, words, wordOffsets, turns) {
+    // Keep valid, ordered turn starts and merge consecutive turns by the same speaker
+    const sortedTurns = turns
+        .filter(t => Number.isInteger(t.start_word) && t.start_word >= 0 && t.start_word < words.length)
+        .sort((a, b) => a.start_word - b.start_word)
+        .filter((turn, i, all) => i === 0 || turn.start_word !== all[i - 1].start_word)
+        .filter((turn, i, all) => i === 0 || turn.speaker !== all[i - 1].speaker);
+    
+    if (sortedTurns.length === 0 || sortedTurns[0].start_word !== 0) {
+        sortedTurns.unshift({ speaker: sortedTurns[0]?.speaker || 'Speaker 1', start_word: 0 });
+    }
+    
+    return sortedTurns.map((turn, i) => {
+        const firstWord = turn.start_word;
+        const lastWord = (i + 1 < sortedTurns.length ? sortedTurns[i + 1].start_word : words.length) - 1;
+        const start = words[firstWord].start;
+        const end = words[lastWord].end;
+        
+        return {
+            speaker: turn.speaker,
+            text: sliceTurnText(text, words, wordOffsets, firstWord, lastWord),
+            start_time: formatSegmentTime(start),
+            end_time: formatSegmentTime(end),
+            start,
+            end,
+            word_start: firstWord,
+            word_end: lastWord
+        };
+    });
+}
+
+function sliceTurnText(text, words, wordOffsets, firstWord, lastWord) {
+    const from = wordOffsets[firstWord];
+    const nextOffset = wordOffsets.slice(lastWord + 1).find(offset => offset !== null && offset !== undefined);
+    
+    if (from !== null && from !== undefined) {
+        return text.slice(from, nextOffset ?? text.length).trim();
     }
     
+    return words.slice(firstWord, lastWord + 1).map(w => w.word.trim()).join(' ');
+}
+
+// MM:SS.mmm, with minutes running past 59 for long recordings
+function formatSegmentTime(seconds) {
+    // Round to whole milliseconds first, so 59.9996s becomes 01:00.000 rather than 00:60.000
+    const totalMillis = Math.round(seconds * 1000);
+    const minutes = Math.floor(totalMillis / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
+    
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${millis.toString().padStart(3, '0')}`;
+}
+
+async function saveStructuredTranscriptionResults(structuredData, videoId, outputDir = null) {
+    // File names come from folder utils; outputDir only changes the folder
+    const { getOutputPaths, getOutputFile } = require('./folder-utils');
+    const structuredDir = outputDir || getOutputPaths(videoId).structuredTranscriptions;
+    
     await fs.promises.mkdir(structuredDir, { recursive: true });
     
     // Save raw structured JSON
-    const jsonFile = path.join(structuredDir, `${videoId}_structured_transcription.json`);
+    const jsonFile = getOutputFile(videoId, 'structuredJsonFile', structuredDir);
     await fs.promises.writeFile(jsonFile, JSON.stringify(structuredData, null, 2));
-    console.log(`💾 Structured transcription saved: ${jsonFile}`);
+    log(`💾 Structured transcription saved: ${jsonFile}`);
     
     // Create speaker-aware SRT file
-    const srtFile = path.join(structuredDir, `${videoId}_speaker_timestamps.srt`);
+    const srtFile = getOutputFile(videoId, 'structuredSrtFile', structuredDir);
     const srtContent = createSpeakerSRT(structuredData.segments);
     await fs.promises.writeFile(srtFile, srtContent);
-    console.log(`💾 Speaker-aware SRT saved: ${srtFile}`);
+    log(`💾 Speaker-aware SRT saved: ${srtFile}`);
     
     // Create conversation transcript
-    const txtFile = path.join(structuredDir, `${videoId}_conversation.txt`);
+    const txtFile = getOutputFile(videoId, 'conversationFile', structuredDir);
     const conversationText = createConversationText(structuredData);
     await fs.promises.writeFile(txtFile, conversationText);
-    console.log(`💾 Conversation transcript saved: ${txtFile}`);
+    log(`💾 Conversation transcript saved: ${txtFile}`);
     
     // Create speaker timeline
-    const timelineFile = path.join(structuredDir, `${videoId}_speaker_timeline.json`);
+    const timelineFile = getOutputFile(videoId, 'speakerTimelineFile', structuredDir);
     const timeline = createSpeakerTimeline(structuredData.segments);
     await fs.promises.writeFile(timelineFile, JSON.stringify(timeline, null, 2));
-    console.log(`💾 Speaker timeline saved: ${timelineFile}`);
+    log(`💾 Speaker timeline saved: ${timelineFile}`);
     
     return {
         jsonFile,
@@ -202,8 +285,9 @@ function createSpeakerSRT(segments) {
     const srtLines = [];
     
     segments.forEach((segment, index) => {
-        const startTime = convertToSRTTime(segment.start_time);
-        const endTime = convertToSRTTime(segment.end_time);
+        // Prefer exact seconds from word alignment over the formatted strings
+        const startTime = segment.start !== undefined ? formatSRTTime(segment.start) : convertToSRTTime(segment.start_time);
+        const endTime = segment.end !== undefined ? formatSRTTime(segment.end) : convertToSRTTime(segment.end_time);
         
         srtLines.push((index + 1).toString());
         srtLines.push(`${startTime} --> ${endTime}`);
@@ -249,7 +333,9 @@ function createSpeakerTimeline(segments) {
             start_time: segment.start_time,
             end_time: segment.end_time,
             text: segment.text,
-            duration: calculateDuration(segment.start_time, segment.end_time)
+            duration: segment.start !== undefined
+                ? (segment.end - segment.start).toFixed(1) + 's'
+                : calculateDuration(segment.start_time, segment.end_time)
         });
     });
     
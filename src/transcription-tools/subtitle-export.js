@@ -0,0 +1,364 @@
+/**
+ * Broadcast-style subtitle exports (WebVTT with voice tags, TTML/DFXP, styled ASS)
+ * Cues are built from Whisper word timestamps under line-length, line-count, duration and reading-speed rules
+ */
+
+const fs = require('fs').promises;
+const { locateWordsInText } = require('./transcribe-audio');
+const { formatVTTTime } = require('./chapter-export');
+const { getOutputFile } = require('./folder-utils');
+const { log } = require('./pipeline-events');
+
+const DEFAULT_SUBTITLE_RULES = {
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    minDuration: 1.0,      // seconds
+    maxDuration: 7.0,      // seconds
+    maxCPS: 17,            // characters per second
+    minGap: 0.08,          // seconds between consecutive cues
+    pauseBreak: 1.0        // a silence this long always starts a new cue
+};
+
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+const CLAUSE_END = /[,;:—–]["'”’)\]]*$/;
+const CLAUSE_STARTERS = new Set([
+    'and', 'but', 'or', 'so', 'because', 'which', 'that', 'when', 'while', 'although',
+    'though', 'if', 'then', 'where', 'who', 'since', 'unless', 'until', 'after', 'before'
+]);
+
+// Speaker lookup per word index from structured segments aligned with word_start/word_end
+function speakerByWord(wordCount, speakerSegments) {
+    const speakers = new Array(wordCount).fill(null);
+
+    (speakerSegments || []).forEach(segment => {
+        if (!Number.isInteger(segment.word_start) || !Number.isInteger(segment.word_end)) {
+            return;
+        }
+        for (let i = segment.word_start; i <= Math.min(segment.word_end, wordCount - 1); i++) {
+            speakers[i] = segment.speaker;
+        }
+    });
+
+    return speakers;
+}
+
+function buildTokens(words, text, speakerSegments) {
+    const offsets = text ? locateWordsInText(text, words) : [];
+    const speakers = speakerByWord(words.length, speakerSegments);
+
+    return words
+        .map((word, i) => {
+            let display = word.word.trim();
+
+            // OpenAI strips punctuation from words; take it back from the full text
+            if (Number.isInteger(offsets[i])) {
+                display = text.substr(offsets[i], display.length);
+                display += text.slice(offsets[i] + display.length).match(/^[.,!?;:…"'”’)\]]*/)[0];
+            }
+
+            return { text: display, start: word.start, end: word.end, speaker: speakers[i] };
+        })
+        .filter(token => token.text);
+}
+
+function joinTokens(tokens) {
+    return tokens.map(token => token.text).join(' ');
+}
+
+// How good a place it is to break after tokens[i]: sentence end > clause end > before a conjunction
+function breakScore(tokens, i) {
+    if (SENTENCE_END.test(tokens[i].text)) return 3;
+    if (CLAUSE_END.test(tokens[i].text)) return 2;
+
+    const next = tokens[i + 1];
+    if (next && CLAUSE_STARTERS.has(next.text.toLowerCase().replace(/[^a-z]/g, ''))) return 1;
+
+    return 0;
+}
+
+// Number of tokens to keep in the current cue when it can't grow any further
+function chooseCueBreak(tokens, maxCueChars) {
+    let best = tokens.length;
+    let bestScore = 0;
+
+    for (let count = 1; count < tokens.length; count++) {
+        if (joinTokens(tokens.slice(0, count)).length < maxCueChars * 0.4) {
+            continue;
+        }
+        const score = breakScore(tokens, count - 1);
+        if (score > 0 && score >= bestScore) {
+            best = count;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+function splitLines(tokens, rules, linesLeft = rules.maxLines) {
+    const text = joinTokens(tokens);
+    if (text.length <= rules.maxCharsPerLine || linesLeft <= 1 || tokens.length < 2) {
+        return [text];
+    }
+
+    // Aim for evenly filled lines, pulled towards punctuation and clause boundaries
+    const linesNeeded = Math.min(linesLeft, Math.ceil(text.length / rules.maxCharsPerLine));
+    const target = text.length / linesNeeded;
+
+    let best = null;
+    for (let count = 1; count < tokens.length; count++) {
+        const first = joinTokens(tokens.slice(0, count));
+        const restLength = text.length - first.length - 1;
+        const fits = first.length <= rules.maxCharsPerLine && restLength <= rules.maxCharsPerLine * (linesLeft - 1);
+        const cost = (fits ? 0 : 1000) + Math.abs(first.length - target) - breakScore(tokens, count - 1) * 8;
+
+        if (!best || cost < best.cost) {
+            best = { count, cost };
+        }
+    }
+
+    return [
+        joinTokens(tokens.slice(0, best.count)),
+        ...splitLines(tokens.slice(best.count), rules, linesLeft - 1)
+    ];
+}
+
+/**
+ * Group Whisper words into subtitle cues: [{ start, end, speaker, lines }].
+ * `text` (the full transcription text) restores punctuation; `speakerSegments` come from
+ * the structured transcription and must carry word_start/word_end.
+ */
+function buildSubtitleCues(words, options = {}) {
+    const { text = null, speakerSegments = null } = options;
+    const rules = { ...DEFAULT_SUBTITLE_RULES, ...options.rules };
+    const maxCueChars = rules.maxCharsPerLine * rules.maxLines;
+
+    const tokens = buildTokens(words || [], text, speakerSegments);
+    const groups = [];
+    let current = [];
+
+    tokens.forEach(token => {
+        const last = current[current.length - 1];
+
+        if (last && (token.speaker !== last.speaker || token.start - last.end >= rules.pauseBreak)) {
+            groups.push(current);
+            current = [];
+        }
+
+        while (current.length > 0 &&
+            (joinTokens([...current, token]).length > maxCueChars || token.end - current[0].start > rules.maxDuration)) {
+            const keep = chooseCueBreak(current, maxCueChars);
+            groups.push(current.slice(0, keep));
+            current = current.slice(keep);
+        }
+
+        current.push(token);
+
+        // A finished sentence closes the cue once it holds a reasonable amount of text
+        if (SENTENCE_END.test(token.text) && joinTokens(current).length >= maxCueChars / 3) {
+            groups.push(current);
+            current = [];
+        }
+    });
+
+    if (current.length > 0) {
+        groups.push(current);
+    }
+
+    const cues = groups.map(group => ({
+        start: group[0].start,
+        end: group[group.length - 1].end,
+        speaker: group[0].speaker,
+        lines: splitLines(group, rules)
+    }));
+
+    applyTimingRules(cues, rules);
+    return cues;
+}
+
+// Stretch cues to the minimum duration and reading speed, without running into the next cue
+function applyTimingRules(cues, rules) {
+    cues.forEach((cue, i) => {
+        const next = cues[i + 1];
+        const characters = cue.lines.join('').length;
+        const wanted = Math.max(rules.minDuration, characters / rules.maxCPS);
+
+        let end = Math.max(cue.end, cue.start + wanted);
+        end = Math.min(end, cue.start + rules.maxDuration);
+        if (next) {
+            end = Math.min(end, next.start - rules.minGap);
+        }
+
+        cue.end = Math.max(end, cue.start + 0.1);
+    });
+}
+
+function summarizeCues(cues, rules) {
+    const effectiveRules = { ...DEFAULT_SUBTITLE_RULES, ...rules };
+    return {
+        cues: cues.length,
+        overReadingSpeed: cues.filter(cue => cue.lines.join('').length / (cue.end - cue.start) > effectiveRules.maxCPS).length,
+        underMinDuration: cues.filter(cue => cue.end - cue.start < effectiveRules.minDuration - 0.001).length
+    };
+}
+
+function escapeVTT(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeXml(value) {
+    return escapeVTT(value).replace(/"/g, '&quot;');
+}
+
+function createWebVTT(cues) {
+    const blocks = cues.map((cue, index) => {
+        const body = cue.lines.map(escapeVTT).join('\n');
+        const voice = cue.speaker ? `<v ${cue.speaker.replace(/[<>&]/g, '')}>` : '';
+        return `${index + 1}\n${formatVTTTime(cue.start)} --> ${formatVTTTime(cue.end)}\n${voice}${body}`;
+    });
+
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+function createTTML(cues, options = {}) {
+    const { title = null, language = 'en' } = options;
+
+    const speakers = [...new Set(cues.map(cue => cue.speaker).filter(Boolean))];
+    const agentIds = new Map(speakers.map((speaker, i) => [speaker, `speaker_${i + 1}`]));
+
+    const agents = speakers.map(speaker => [
+        `      <ttm:agent xml:id="${agentIds.get(speaker)}" type="person">`,
+        `        <ttm:name type="full">${escapeXml(speaker)}</ttm:name>`,
+        `      </ttm:agent>`
+    ].join('\n'));
+
+    const paragraphs = cues.map(cue => {
+        const agent = cue.speaker ? ` ttm:agent="${agentIds.get(cue.speaker)}"` : '';
+        return `      <p begin="${formatVTTTime(cue.start)}" end="${formatVTTTime(cue.end)}"${agent}>${cue.lines.map(escapeXml).join('<br/>')}</p>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttm="http://www.w3.org/ns/ttml#metadata" xml:lang="${escapeXml(language)}">`,
+        '  <head>',
+        '    <metadata>',
+        ...(title ? [`      <ttm:title>${escapeXml(title)}</ttm:title>`] : []),
+        ...agents,
+        '    </metadata>',
+        '    <styling>',
+        '      <style xml:id="default" tts:fontFamily="proportionalSansSerif" tts:fontSize="100%" tts:textAlign="center" tts:color="white" tts:backgroundColor="rgba(0,0,0,0.6)"/>',
+        '    </styling>',
+        '    <layout>',
+        '      <region xml:id="bottom" tts:origin="10% 80%" tts:extent="80% 15%" tts:displayAlign="after"/>',
+        '    </layout>',
+        '  </head>',
+        '  <body region="bottom" style="default">',
+        '    <div>',
+        ...paragraphs,
+        '    </div>',
+        '  </body>',
+        '</tt>',
+        ''
+    ].join('\n');
+}
+
+function formatASSTime(seconds) {
+    const totalCentis = Math.round(seconds * 100);
+    const hours = Math.floor(totalCentis / 360000);
+    const minutes = Math.floor((totalCentis % 360000) / 6000);
+    const secs = Math.floor((totalCentis % 6000) / 100);
+    const centis = totalCentis % 100;
+
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${centis.toString().padStart(2, '0')}`;
+}
+
+// ASS colours are &HAABBGGRR; one per speaker, cycling
+const ASS_SPEAKER_COLOURS = ['&H00FFFFFF', '&H0000FFFF', '&H00FFFF00', '&H0000FF00', '&H00FF80FF', '&H0080C0FF'];
+
+function createASS(cues, options = {}) {
+    const { title = null } = options;
+
+    const speakers = [...new Set(cues.map(cue => cue.speaker).filter(Boolean))];
+    const styleNames = new Map(speakers.map((speaker, i) => [speaker, `Speaker${i + 1}`]));
+
+    const styleLine = (name, colour) =>
+        `Style: ${name},Arial,56,${colour},&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1`;
+
+    const escapeText = (line) => line.replace(/\\/g, '\\\\').replace(/[{}]/g, match => `\\${match}`);
+
+    const dialogues = cues.map(cue => {
+        const style = cue.speaker ? styleNames.get(cue.speaker) : 'Default';
+        const name = (cue.speaker || '').replace(/,/g, ' ');
+        return `Dialogue: 0,${formatASSTime(cue.start)},${formatASSTime(cue.end)},${style},${name},0,0,0,,${cue.lines.map(escapeText).join('\\N')}`;
+    });
+
+    return [
+        '[Script Info]',
+        `Title: ${(title || 'Subtitles').replace(/\n/g, ' ')}`,
+        'ScriptType: v4.00+',
+        'PlayResX: 1920',
+        'PlayResY: 1080',
+        // Lines are already broken by the export rules
+        'WrapStyle: 2',
+        'ScaledBorderAndShadow: yes',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        styleLine('Default', ASS_SPEAKER_COLOURS[0]),
+        ...speakers.map((speaker, i) => styleLine(styleNames.get(speaker), ASS_SPEAKER_COLOURS[i % ASS_SPEAKER_COLOURS.length])),
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        ...dialogues,
+        ''
+    ].join('\n');
+}
+
+async function saveSubtitleExports(transcription, videoId, outputDir, options = {}) {
+    const { speakerSegments = null, rules = {}, title = null, language = 'en' } = options;
+
+    log(`🔤 Building subtitles...`);
+
+    const cues = buildSubtitleCues(transcription.words || [], {
+        text: transcription.text,
+        speakerSegments,
+        rules
+    });
+
+    const stats = summarizeCues(cues, rules);
+    log(`→ Cues: ${stats.cues}`);
+    if (stats.overReadingSpeed > 0) {
+        log(`⚠️  ${stats.overReadingSpeed} cue(s) exceed the reading-speed limit (no room to extend them)`);
+    }
+
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const files = {
+        vttFile: getOutputFile(videoId, 'subtitleVttFile', outputDir),
+        ttmlFile: getOutputFile(videoId, 'subtitleTtmlFile', outputDir),
+        assFile: getOutputFile(videoId, 'subtitleAssFile', outputDir)
+    };
+
+    await fs.writeFile(files.vttFile, createWebVTT(cues));
+    await fs.writeFile(files.ttmlFile, createTTML(cues, { title, language }));
+    await fs.writeFile(files.assFile, createASS(cues, { title }));
+
+    log(`💾 WebVTT subtitles saved: ${files.vttFile}`);
+    log(`💾 TTML subtitles saved: ${files.ttmlFile}`);
+    log(`💾 ASS subtitles saved: ${files.assFile}`);
+
+    return files;
+}
+
+module.exports = {
+    DEFAULT_SUBTITLE_RULES,
+    buildSubtitleCues,
+    summarizeCues,
+    createWebVTT,
+    createTTML,
+    createASS,
+    saveSubtitleExports
+};
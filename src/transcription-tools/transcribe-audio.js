@@ -1,29 +1,53 @@
 /**
- * Transcribe audio using OpenAI Whisper API with word-level timestamps
+ * Transcribe audio with word-level timestamps through a pluggable backend
+ * (OpenAI Whisper API by default, or a local whisper.cpp / faster-whisper CLI)
  */
 
-const OpenAI = require('openai');
 const fs = require('fs');
-const path = require('path');
+const { OPENAI_MAX_FILE_SIZE_MB, splitAudioOnSilence, cleanupChunks, getAudioDuration } = require('./audio-chunker');
+const { getTranscriptionBackend, getOpenAIClient } = require('./transcription-backends');
+const { requestWithRetry } = require('./request-retry');
+const { normalizeLanguage, getLanguageName } = require('./languages');
+const { withBudget, priceAudioMinutes, priceChatUsage, estimateTokens, recordAudioUsage, recordChatUsage } = require('./cost-tracker');
+const { log } = require('./pipeline-events');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// Downloads and local files are encoded at 192 kbps; chunks pass their own duration
+const AUDIO_BYTES_PER_SECOND = 192000 / 8;
+const GPT4O_AUDIO_TOKENS_PER_SECOND = 10;
+const GPT4O_OUTPUT_TOKENS_PER_SECOND = 4;
+
+// Budget checks need a duration before the API reports one; fall back to the file size without ffprobe
+async function estimateAudioSeconds(audioFilePath, fileSize, knownSeconds = null) {
+    if (knownSeconds) {
+        return knownSeconds;
+    }
+    try {
+        return await getAudioDuration(audioFilePath);
+    } catch (error) {
+        return fileSize / AUDIO_BYTES_PER_SECOND;
+    }
+}
 
 async function transcribeAudio(audioFilePath, options = {}) {
+    const backend = getTranscriptionBackend(options.backend);
+    
     const {
-        model = 'whisper-1',
-        language = 'en',
+        model = backend.defaultModel,
+        // ISO 639-1 code; leave unset to let the model detect the spoken language
+        language = null,
         responseFormat = 'verbose_json',
-        timestampGranularities = ['word']
+        // Segments carry the timing used for chapters and chunk boundaries
+        timestampGranularities = ['word', 'segment'],
+        // Length of the audio when the caller knows it (chunks), for the budget check
+        durationSeconds = null
     } = options;
     
-    console.log(`🎤 Transcribing audio: ${audioFilePath}`);
-    console.log(`→ Model: ${model}`);
-    console.log(`→ Language: ${language}`);
-    console.log(`→ Response format: ${responseFormat}`);
-    console.log(`→ Timestamp granularities: ${timestampGranularities.join(', ')}`);
+    log(`🎤 Transcribing audio: ${audioFilePath}`);
+    log(`→ Backend: ${backend.name}`);
+    log(`→ Model: ${model}`);
+    log(`→ Language: ${language || 'auto-detect'}`);
+    log(`→ Response format: ${responseFormat}`);
+    log(`→ Timestamp granularities: ${timestampGranularities.join(', ')}`);
     
     // Check if file exists
     if (!fs.existsSync(audioFilePath)) {
@@ -33,69 +57,131 @@ async function transcribeAudio(audioFilePath, options = {}) {
     // Get file stats
     const stats = fs.statSync(audioFilePath);
     const fileSizeMB = stats.size / (1024 * 1024);
-    console.log(`→ File size: ${fileSizeMB.toFixed(2)} MB`);
+    log(`→ File size: ${fileSizeMB.toFixed(2)} MB`);
     
-    if (fileSizeMB > 25) {
-        throw new Error('File size exceeds OpenAI limit of 25MB. Consider using a shorter video or compressing the audio.');
+    // Local backends have no upload limit
+    if (backend.maxFileSizeMB && fileSizeMB > backend.maxFileSizeMB) {
+        log(`→ File exceeds ${backend.maxFileSizeMB}MB, transcribing in chunks`);
+        return await transcribeInChunks(audioFilePath, options);
     }
     
+    const transcription = await withBudget(
+        async () => (backend.local ? 0 : priceAudioMinutes(model, await estimateAudioSeconds(audioFilePath, stats.size, durationSeconds)).cost),
+        () => backend.transcribe(audioFilePath, {
+            model,
+            language,
+            responseFormat,
+            timestampGranularities
+        })
+    );
+    recordAudioUsage(model, transcription.duration ?? await estimateAudioSeconds(audioFilePath, stats.size, durationSeconds), { local: backend.local });
+    
+    log(`✅ Transcription completed!`);
+    log(`→ Language: ${transcription.language || language || 'unknown'}`);
+    log(`→ Duration: ${transcription.duration?.toFixed(2)}s`);
+    log(`→ Words: ${transcription.words?.length || 'N/A'}`);
+    
+    return transcription;
+}
+
+async function transcribeInChunks(audioFilePath, options = {}) {
+    const { chunks, chunkDir } = await splitAudioOnSilence(audioFilePath);
+    
     try {
-        const transcription = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(audioFilePath),
-            model: model,
-            language: language,
-            response_format: responseFormat,
-            timestamp_granularities: timestampGranularities
-        });
+        const parts = [];
+        let language = options.language || null;
         
-        console.log(`✅ Transcription completed!`);
-        console.log(`→ Duration: ${transcription.duration?.toFixed(2)}s`);
-        console.log(`→ Words: ${transcription.words?.length || 'N/A'}`);
+        for (const chunk of chunks) {
+            log(`\n🎤 Chunk ${chunk.index + 1}/${chunks.length}`);
+            const transcription = await transcribeAudio(chunk.file, { ...options, language, durationSeconds: chunk.end - chunk.start });
+            // Keep every chunk in the language detected for the first, so a quiet chunk isn't misdetected
+            language = language || normalizeLanguage(transcription.language);
+            parts.push({
+                transcription,
+                offset: chunk.start,
+                duration: chunk.end - chunk.start
+            });
+        }
         
-        return transcription;
+        const merged = mergeTranscriptions(parts);
         
-    } catch (error) {
-        if (error.code === 'file_too_large') {
-            throw new Error('Audio file is too large. OpenAI has a 25MB limit.');
-        } else if (error.code === 'invalid_file_format') {
-            throw new Error('Invalid audio file format. Supported formats: mp3, mp4, mpeg, mpga, m4a, wav, webm');
-        } else {
-            throw new Error(`OpenAI API error: ${error.message}`);
-        }
+        log(`✅ Chunked transcription merged!`);
+        log(`→ Chunks: ${parts.length}`);
+        log(`→ Duration: ${merged.duration.toFixed(2)}s`);
+        log(`→ Words: ${merged.words?.length || 'N/A'}`);
+        
+        return merged;
+        
+    } finally {
+        await cleanupChunks(chunkDir);
     }
 }
 
-async function saveWhisperTranscriptionResults(transcription, videoId, outputDir = null) {
-    // Use provided outputDir or get from folder utils
-    let transcriptionsDir;
-    if (outputDir) {
-        transcriptionsDir = outputDir;
-    } else {
-        const { getOutputPaths } = require('./folder-utils');
-        const paths = getOutputPaths(videoId);
-        transcriptionsDir = paths.whisperTranscriptions;
+// Combine per-chunk Whisper results into a single Whisper-shaped result
+function mergeTranscriptions(parts) {
+    const first = parts[0].transcription;
+    const last = parts[parts.length - 1];
+    
+    const merged = {
+        ...(first.task && { task: first.task }),
+        ...(first.language && { language: first.language }),
+        duration: last.offset + (last.transcription.duration ?? last.duration),
+        text: parts.map(p => (p.transcription.text || '').trim()).filter(Boolean).join(' ')
+    };
+    
+    if (parts.some(p => p.transcription.words)) {
+        merged.words = parts.flatMap(({ transcription, offset }) => (transcription.words || []).map(word => ({
+            ...word,
+            start: word.start + offset,
+            end: word.end + offset
+        })));
+    }
+    
+    if (parts.some(p => p.transcription.segments)) {
+        merged.segments = parts
+            .flatMap(({ transcription, offset }) => (transcription.segments || []).map(segment => ({
+                ...segment,
+                // seek is measured in 10ms mel frames
+                ...(segment.seek !== undefined && { seek: segment.seek + Math.round(offset * 100) }),
+                start: segment.start + offset,
+                end: segment.end + offset
+            })))
+            .map((segment, index) => ({ ...segment, id: index }));
     }
     
+    merged.chunks = parts.map(p => ({
+        offset: p.offset,
+        duration: p.transcription.duration ?? p.duration
+    }));
+    
+    return merged;
+}
+
+async function saveWhisperTranscriptionResults(transcription, videoId, outputDir = null) {
+    // File names come from folder utils; outputDir only changes the folder
+    const { getOutputPaths, getOutputFile } = require('./folder-utils');
+    const transcriptionsDir = outputDir || getOutputPaths(videoId).whisperTranscriptions;
+    
     await fs.promises.mkdir(transcriptionsDir, { recursive: true });
     
     // Save raw JSON
-    const jsonFile = path.join(transcriptionsDir, `${videoId}_raw_transcription.json`);
+    const jsonFile = getOutputFile(videoId, 'whisperRawJsonFile', transcriptionsDir);
     await fs.promises.writeFile(jsonFile, JSON.stringify(transcription, null, 2));
-    console.log(`💾 Whisper raw transcription saved: ${jsonFile}`);
+    log(`💾 Whisper raw transcription saved: ${jsonFile}`);
     
     // Save word-level timestamps as SRT-style format
     let srtFile = null;
     if (transcription.words) {
-        srtFile = path.join(transcriptionsDir, `${videoId}_word_timestamps.srt`);
+        srtFile = getOutputFile(videoId, 'whisperWordSrtFile', transcriptionsDir);
         const srtContent = createWordLevelSRT(transcription.words);
         await fs.promises.writeFile(srtFile, srtContent);
-        console.log(`💾 Whisper word-level SRT saved: ${srtFile}`);
+        log(`💾 Whisper word-level SRT saved: ${srtFile}`);
     }
     
     // Save plain text
-    const txtFile = path.join(transcriptionsDir, `${videoId}_transcript.txt`);
+    const txtFile = getOutputFile(videoId, 'whisperPlainTextFile', transcriptionsDir);
     await fs.promises.writeFile(txtFile, transcription.text);
-    console.log(`💾 Whisper plain text saved: ${txtFile}`);
+    log(`💾 Whisper plain text saved: ${txtFile}`);
     
     return {
         jsonFile,
@@ -120,12 +206,20 @@ Format example:
 
 **Speaker 2:** [content]
 
-Be detailed in capturing the nuances of the conversation while maintaining readability.`
+Be detailed in capturing the nuances of the conversation while maintaining readability.`,
+        // Spoken language, when known; without it the model may answer in English
+        language = null,
+        // Length of the audio when the caller knows it (chunks), for the budget check
+        durationSeconds = null
     } = options;
     
-    console.log(`🤖 Transcribing audio with GPT-4o: ${audioFilePath}`);
-    console.log(`→ Model: ${model}`);
-    console.log(`→ Instructions: ${instructions}`);
+    const prompt = language
+        ? `${instructions}\n\nThe audio is in ${getLanguageName(language)}. Transcribe it in ${getLanguageName(language)}; do not translate it.`
+        : instructions;
+    
+    log(`🤖 Transcribing audio with GPT-4o: ${audioFilePath}`);
+    log(`→ Model: ${model}`);
+    log(`→ Instructions: ${prompt}`);
     
     // Check if file exists
     if (!fs.existsSync(audioFilePath)) {
@@ -135,14 +229,25 @@ Be detailed in capturing the nuances of the conversation while maintaining reada
     // Get file stats
     const stats = fs.statSync(audioFilePath);
     const fileSizeMB = stats.size / (1024 * 1024);
-    console.log(`→ File size: ${fileSizeMB.toFixed(2)} MB`);
+    log(`→ File size: ${fileSizeMB.toFixed(2)} MB`);
     
-    if (fileSizeMB > 25) {
-        throw new Error('File size exceeds OpenAI limit of 25MB. Consider using a shorter video or compressing the audio.');
+    if (fileSizeMB > OPENAI_MAX_FILE_SIZE_MB) {
+        log(`→ File exceeds ${OPENAI_MAX_FILE_SIZE_MB}MB, transcribing in chunks`);
+        return await transcribeWithGPT4oInChunks(audioFilePath, options);
     }
     
     try {
-        const response = await openai.chat.completions.create({
+        const estimateCost = async () => {
+            const seconds = await estimateAudioSeconds(audioFilePath, stats.size, durationSeconds);
+            const audioTokens = Math.ceil(seconds * GPT4O_AUDIO_TOKENS_PER_SECOND);
+            return priceChatUsage(model, {
+                prompt_tokens: estimateTokens(prompt) + audioTokens,
+                prompt_tokens_details: { audio_tokens: audioTokens },
+                completion_tokens: Math.ceil(seconds * GPT4O_OUTPUT_TOKENS_PER_SECOND)
+            }).cost;
+        };
+        
+        const response = await withBudget(estimateCost, () => requestWithRetry(() => getOpenAIClient().chat.completions.create({
             model: model,
             messages: [
                 {
@@ -150,7 +255,7 @@ Be detailed in capturing the nuances of the conversation while maintaining reada
                     content: [
                         {
                             type: 'text',
-                            text: instructions
+                            text: prompt
                         },
                         {
                             type: 'input_audio',
@@ -162,7 +267,8 @@ Be detailed in capturing the nuances of the conversation while maintaining reada
                     ]
                 }
             ]
-        });
+        }), { label: 'GPT-4o audio transcription' }));
+        recordChatUsage(model, response.usage);
         
         const transcription = {
             text: response.choices[0].message.content,
@@ -170,9 +276,9 @@ Be detailed in capturing the nuances of the conversation while maintaining reada
             usage: response.usage
         };
         
-        console.log(`✅ GPT-4o transcription completed!`);
-        console.log(`→ Text length: ${transcription.text.length} characters`);
-        console.log(`→ Tokens used: ${response.usage?.total_tokens || 'N/A'}`);
+        log(`✅ GPT-4o transcription completed!`);
+        log(`→ Text length: ${transcription.text.length} characters`);
+        log(`→ Tokens used: ${response.usage?.total_tokens || 'N/A'}`);
         
         return transcription;
         
@@ -181,28 +287,55 @@ Be detailed in capturing the nuances of the conversation while maintaining reada
     }
 }
 
-async function saveGPT4oTranscriptionResults(transcription, videoId, outputDir = null) {
-    // Use provided outputDir or get from folder utils
-    let transcriptionsDir;
-    if (outputDir) {
-        transcriptionsDir = outputDir;
-    } else {
-        const { getOutputPaths } = require('./folder-utils');
-        const paths = getOutputPaths(videoId);
-        transcriptionsDir = paths.gpt4oTranscriptions;
+async function transcribeWithGPT4oInChunks(audioFilePath, options = {}) {
+    const { chunks, chunkDir } = await splitAudioOnSilence(audioFilePath);
+    
+    try {
+        const parts = [];
+        
+        for (const chunk of chunks) {
+            log(`\n🤖 Chunk ${chunk.index + 1}/${chunks.length}`);
+            parts.push(await transcribeAudioWithGPT4o(chunk.file, { ...options, durationSeconds: chunk.end - chunk.start }));
+        }
+        
+        // Speaker labels are assigned per chunk, so they may not line up across chunk boundaries
+        const transcription = {
+            text: parts.map(p => p.text.trim()).join('\n\n'),
+            model: parts[0].model,
+            usage: {
+                prompt_tokens: parts.reduce((sum, p) => sum + (p.usage?.prompt_tokens || 0), 0),
+                completion_tokens: parts.reduce((sum, p) => sum + (p.usage?.completion_tokens || 0), 0),
+                total_tokens: parts.reduce((sum, p) => sum + (p.usage?.total_tokens || 0), 0)
+            },
+            chunks: chunks.map(c => ({ offset: c.start, duration: c.end - c.start }))
+        };
+        
+        log(`✅ Chunked GPT-4o transcription merged!`);
+        log(`→ Chunks: ${parts.length}`);
+        
+        return transcription;
+        
+    } finally {
+        await cleanupChunks(chunkDir);
     }
+}
+
+async function saveGPT4oTranscriptionResults(transcription, videoId, outputDir = null) {
+    // File names come from folder utils; outputDir only changes the folder
+    const { getOutputPaths, getOutputFile } = require('./folder-utils');
+    const transcriptionsDir = outputDir || getOutputPaths(videoId).gpt4oTranscriptions;
     
     await fs.promises.mkdir(transcriptionsDir, { recursive: true });
     
     // Save raw JSON
-    const jsonFile = path.join(transcriptionsDir, `${videoId}_raw_transcription.json`);
+    const jsonFile = getOutputFile(videoId, 'gpt4oRawJsonFile', transcriptionsDir);
     await fs.promises.writeFile(jsonFile, JSON.stringify(transcription, null, 2));
-    console.log(`💾 GPT-4o raw transcription saved: ${jsonFile}`);
+    log(`💾 GPT-4o raw transcription saved: ${jsonFile}`);
     
     // Save plain text
-    const txtFile = path.join(transcriptionsDir, `${videoId}_transcript.txt`);
+    const txtFile = getOutputFile(videoId, 'gpt4oPlainTextFile', transcriptionsDir);
     await fs.promises.writeFile(txtFile, transcription.text);
-    console.log(`💾 GPT-4o plain text saved: ${txtFile}`);
+    log(`💾 GPT-4o plain text saved: ${txtFile}`);
     
     return {
         jsonFile,
@@ -263,11 +396,95 @@ function createWordLevelSRT(words) {
     return srtLines.join('\n');
 }
 
+// Find each word's character offset in the full text, to recover punctuation Whisper strips from words
+function locateWordsInText(text, words) {
+    const lowerText = (text || '').toLowerCase();
+    const offsets = [];
+    let cursor = 0;
+    
+    words.forEach(word => {
+        const needle = word.word.trim().toLowerCase();
+        const found = needle ? lowerText.indexOf(needle, cursor) : -1;
+        
+        // Only accept matches close to the cursor; otherwise Whisper's text and words disagree here
+        if (found !== -1 && found - cursor < 200) {
+            offsets.push(found);
+            cursor = found + needle.length;
+        } else {
+            offsets.push(null);
+        }
+    });
+    
+    return offsets;
+}
+
+// Transcriptions saved with word-only granularity have no segments; rebuild them from pauses
+function getTranscriptionSegments(transcription, options = {}) {
+    const { pauseSeconds = 1, maxWords = 30 } = options;
+    
+    if (transcription.segments?.length) {
+        return transcription.segments;
+    }
+    
+    const segments = [];
+    let current = [];
+    
+    const flush = () => {
+        if (current.length > 0) {
+            segments.push({
+                id: segments.length,
+                start: current[0].start,
+                end: current[current.length - 1].end,
+                text: current.map(w => w.word).join(' ')
+            });
+            current = [];
+        }
+    };
+    
+    (transcription.words || []).forEach(word => {
+        const previous = current[current.length - 1];
+        if (previous && (word.start - previous.end >= pauseSeconds || current.length >= maxWords)) {
+            flush();
+        }
+        current.push(word);
+    });
+    flush();
+    
+    return segments;
+}
+
+function roundSeconds(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+// Spread each segment's time across its words in proportion to their length,
+// for transcripts without word timings of their own (YouTube captions, translations)
+function estimateWordTimings(segments) {
+    return segments.flatMap(segment => {
+        const tokens = segment.text.split(/\s+/).filter(Boolean);
+        const totalChars = tokens.reduce((sum, token) => sum + token.length, 0);
+        const duration = segment.end - segment.start;
+        
+        let elapsedChars = 0;
+        return tokens.map(token => {
+            const start = roundSeconds(segment.start + duration * (elapsedChars / totalChars));
+            elapsedChars += token.length;
+            return {
+                word: token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '') || token,
+                start,
+                end: roundSeconds(segment.start + duration * (elapsedChars / totalChars))
+            };
+        });
+    });
+}
+
 function formatSRTTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    const millis = Math.floor((seconds % 1) * 1000);
+    // Work in whole milliseconds so float error can't turn 1.4s into 00:00:01,399
+    const totalMillis = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
     
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')},${millis.toString().padStart(3, '0')}`;
 }
@@ -278,6 +495,10 @@ module.exports = {
     saveTranscriptionResults,
     saveWhisperTranscriptionResults,
     saveGPT4oTranscriptionResults,
+    mergeTranscriptions,
     createWordLevelSRT,
+    getTranscriptionSegments,
+    estimateWordTimings,
+    locateWordsInText,
     formatSRTTime 
 };
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * Map-reduce helpers for transcripts that don't fit in a single prompt
+ * Splits on Whisper segment boundaries (or sentences), preferring pauses and paragraph breaks
+ */
+
+const { runWithConcurrency } = require('./batch-processing');
+const { log } = require('./pipeline-events');
+
+// ~10k tokens of English per chunk, leaving room for instructions and output
+const DEFAULT_CHUNK_CHARS = 40000;
+const DEFAULT_MAP_CONCURRENCY = 3;
+
+// Once a chunk is this full, break at the next natural boundary instead of the hard limit
+const BOUNDARY_FILL_RATIO = 0.8;
+const TOPIC_PAUSE_SECONDS = 1.5;
+
+function splitSentences(text) {
+    const sentences = text.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)\s*/g) || [text];
+    return sentences.filter(sentence => sentence.trim());
+}
+
+// Last resort for a single unit longer than the chunk limit
+function splitOnWords(text, maxChars) {
+    const parts = [];
+    let current = '';
+
+    text.split(/\s+/).forEach(word => {
+        if (current && current.length + word.length + 1 > maxChars) {
+            parts.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${word}` : word;
+    });
+
+    if (current) {
+        parts.push(current);
+    }
+    return parts;
+}
+
+function segmentUnits(segments) {
+    return segments
+        .map((segment, index) => ({ segment, index }))
+        .filter(({ segment }) => segment.text && segment.text.trim())
+        .map(({ segment, index }, position, list) => ({
+            text: segment.text.trim(),
+            start: segment.start,
+            end: segment.end,
+            segmentIndex: index,
+            boundary: position > 0 && segment.start - list[position - 1].segment.end >= TOPIC_PAUSE_SECONDS
+        }));
+}
+
+function sentenceUnits(text) {
+    return splitSentences(text).map(sentence => ({
+        text: sentence.trim(),
+        start: null,
+        end: null,
+        segmentIndex: null,
+        boundary: /\n\s*\n/.test(sentence)
+    }));
+}
+
+/**
+ * Split a transcript into chunks of at most `maxChars`.
+ * Returns [{ index, text, start, end, firstSegment, lastSegment }]; times (seconds) and
+ * segment indexes are only set when segments were given.
+ */
+function splitTranscript(text, options = {}) {
+    const { maxChars = DEFAULT_CHUNK_CHARS, segments = null } = options;
+
+    if (text.length <= maxChars) {
+        return [{
+            index: 0,
+            text,
+            start: segments?.length ? segments[0].start : null,
+            end: segments?.length ? segments[segments.length - 1].end : null,
+            firstSegment: segments?.length ? 0 : null,
+            lastSegment: segments?.length ? segments.length - 1 : null
+        }];
+    }
+
+    const units = (segments?.length ? segmentUnits(segments) : sentenceUnits(text))
+        .flatMap(unit => unit.text.length > maxChars
+            ? splitOnWords(unit.text, maxChars).map((part, i) => ({ ...unit, text: part, boundary: unit.boundary && i === 0 }))
+            : [unit]);
+
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+
+    const flush = () => {
+        if (current.length === 0) {
+            return;
+        }
+        chunks.push({
+            index: chunks.length,
+            text: current.map(unit => unit.text).join(' '),
+            start: current[0].start,
+            end: current[current.length - 1].end,
+            firstSegment: current[0].segmentIndex,
+            lastSegment: current[current.length - 1].segmentIndex
+        });
+        current = [];
+        currentLength = 0;
+    };
+
+    units.forEach(unit => {
+        const overLimit = currentLength + unit.text.length + 1 > maxChars;
+        const atBoundary = unit.boundary && currentLength >= maxChars * BOUNDARY_FILL_RATIO;
+
+        if (overLimit || atBoundary) {
+            flush();
+        }
+
+        current.push(unit);
+        currentLength += unit.text.length + 1;
+    });
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Run `map(chunk, chunks)` over every chunk and combine the outputs with `reduce(results, chunks)`.
+ * A transcript that fits in one chunk is mapped once and never reduced.
+ */
+async function mapReduceTranscript(text, options) {
+    const {
+        map,
+        reduce,
+        maxChars = DEFAULT_CHUNK_CHARS,
+        segments = null,
+        concurrency = DEFAULT_MAP_CONCURRENCY,
+        label = 'transcript'
+    } = options;
+
+    const chunks = splitTranscript(text, { maxChars, segments });
+
+    if (chunks.length === 1) {
+        return await map(chunks[0], chunks);
+    }
+
+    log(`→ Long ${label}: processing ${chunks.length} chunks`);
+
+    const results = await runWithConcurrency(chunks, concurrency, chunk => map(chunk, chunks));
+
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+        throw new Error(`chunk ${failed.item.index + 1}/${chunks.length} failed: ${failed.error.message}`);
+    }
+
+    return await reduce(results.map(result => result.value), chunks);
+}
+
+function formatChunkTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const mmss = `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+function chunkLabel(chunk, chunks) {
+    const timeRange = chunk.start !== null && chunk.end !== null
+        ? `, covering ${formatChunkTime(chunk.start)}–${formatChunkTime(chunk.end)}`
+        : '';
+    return `part ${chunk.index + 1} of ${chunks.length}${timeRange}`;
+}
+
+// Prompt note telling the model which part of a longer transcript it is looking at
+function describeChunk(chunk, chunks) {
+    return chunks.length === 1 ? '' : ` (${chunkLabel(chunk, chunks)})`;
+}
+
+module.exports = {
+    DEFAULT_CHUNK_CHARS,
+    splitTranscript,
+    mapReduceTranscript,
+    chunkLabel,
+    describeChunk,
+    formatChunkTime
+};
@@ -0,0 +1,249 @@
+/**
+ * Pluggable speech-to-text backends behind transcribeAudio
+ * Every backend returns the Whisper verbose_json shape: { text, words, segments, duration, language }
+ */
+
+const OpenAI = require('openai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { OPENAI_MAX_FILE_SIZE_MB, runCommand } = require('./audio-chunker');
+const { requestWithRetry } = require('./request-retry');
+
+const DEFAULT_BACKEND = 'openai';
+
+let openaiClient = null;
+
+// Created on first use so local backends never need an API key
+function getOpenAIClient() {
+    if (!openaiClient) {
+        openaiClient = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY,
+            // Retries are handled by requestWithRetry
+            maxRetries: 0
+        });
+    }
+    return openaiClient;
+}
+
+function createOpenAIBackend() {
+    return {
+        name: 'openai',
+        defaultModel: 'whisper-1',
+        maxFileSizeMB: OPENAI_MAX_FILE_SIZE_MB,
+        local: false,
+
+        async transcribe(audioFilePath, options) {
+            const { model, language, responseFormat, timestampGranularities } = options;
+
+            const request = {
+                model: model,
+                response_format: responseFormat
+            };
+
+            if (language) {
+                request.language = language;
+            }
+
+            // Timestamp granularities are only accepted alongside verbose_json
+            if (responseFormat === 'verbose_json') {
+                request.timestamp_granularities = timestampGranularities;
+            }
+
+            try {
+                // A read stream can only be sent once, so every attempt opens a new one
+                return await requestWithRetry(
+                    () => getOpenAIClient().audio.transcriptions.create({ ...request, file: fs.createReadStream(audioFilePath) }),
+                    { label: 'Whisper transcription' }
+                );
+            } catch (error) {
+                if (error.code === 'file_too_large') {
+                    throw new Error('Audio file is too large. OpenAI has a 25MB limit.');
+                } else if (error.code === 'invalid_file_format') {
+                    throw new Error('Invalid audio file format. Supported formats: mp3, mp4, mpeg, mpga, m4a, wav, webm');
+                } else {
+                    throw new Error(`OpenAI API error: ${error.message}`);
+                }
+            }
+        }
+    };
+}
+
+function createWhisperCppBackend() {
+    return {
+        name: 'whisper-cpp',
+        defaultModel: process.env.WHISPER_CPP_MODEL || null,
+        maxFileSizeMB: null,
+        local: true,
+
+        async transcribe(audioFilePath, options) {
+            const { model, language } = options;
+            const binary = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+
+            if (!model) {
+                throw new Error('whisper.cpp needs a ggml model file. Set WHISPER_CPP_MODEL or pass a model path.');
+            }
+
+            const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'll-whisper-cpp-'));
+
+            try {
+                // whisper.cpp only reads 16kHz mono WAV
+                const wavFile = path.join(workDir, 'input.wav');
+                await runCommand('ffmpeg', [
+                    '-y', '-hide_banner', '-loglevel', 'error',
+                    '-i', audioFilePath,
+                    '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+                    wavFile
+                ]);
+
+                const outputBase = path.join(workDir, 'output');
+                await runCommand(binary, [
+                    '-m', model,
+                    '-f', wavFile,
+                    '-l', language || 'auto',
+                    '--output-json-full',
+                    '--output-file', outputBase,
+                    '--no-prints'
+                ]);
+
+                const raw = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+                return normalizeWhisperCppOutput(raw);
+
+            } finally {
+                await fs.promises.rm(workDir, { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+function normalizeWhisperCppOutput(raw) {
+    const entries = raw.transcription || [];
+
+    const segments = entries.map((entry, index) => ({
+        id: index,
+        start: entry.offsets.from / 1000,
+        end: entry.offsets.to / 1000,
+        text: entry.text.trim()
+    }));
+
+    // Tokens are sub-word pieces; a leading space marks the start of a new word
+    const words = [];
+    entries.forEach(entry => {
+        (entry.tokens || []).forEach(token => {
+            if (!token.text || token.text.startsWith('[_')) {
+                return;
+            }
+
+            const previous = words[words.length - 1];
+            if (previous && !token.text.startsWith(' ')) {
+                previous.word += token.text;
+                previous.end = token.offsets.to / 1000;
+            } else {
+                words.push({
+                    word: token.text.trim(),
+                    start: token.offsets.from / 1000,
+                    end: token.offsets.to / 1000
+                });
+            }
+        });
+    });
+
+    return {
+        task: 'transcribe',
+        language: raw.result?.language || null,
+        duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+        text: entries.map(entry => entry.text).join('').trim(),
+        words: words.filter(w => w.word),
+        segments
+    };
+}
+
+function createFasterWhisperBackend() {
+    return {
+        name: 'faster-whisper',
+        defaultModel: process.env.FASTER_WHISPER_MODEL || 'small',
+        maxFileSizeMB: null,
+        local: true,
+
+        async transcribe(audioFilePath, options) {
+            const { model, language } = options;
+            const binary = process.env.FASTER_WHISPER_BIN || 'whisper-ctranslate2';
+
+            const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'll-faster-whisper-'));
+
+            try {
+                const args = [
+                    audioFilePath,
+                    '--model', model,
+                    '--output_format', 'json',
+                    '--output_dir', workDir,
+                    '--word_timestamps', 'True'
+                ];
+
+                if (language) {
+                    args.push('--language', language);
+                }
+
+                await runCommand(binary, args);
+
+                const outputFile = path.join(workDir, `${path.basename(audioFilePath, path.extname(audioFilePath))}.json`);
+                const raw = JSON.parse(await fs.promises.readFile(outputFile, 'utf8'));
+                return normalizeFasterWhisperOutput(raw);
+
+            } finally {
+                await fs.promises.rm(workDir, { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+function normalizeFasterWhisperOutput(raw) {
+    const rawSegments = raw.segments || [];
+
+    const segments = rawSegments.map((segment, index) => ({
+        id: index,
+        start: segment.start,
+        end: segment.end,
+        text: segment.text.trim()
+    }));
+
+    const words = rawSegments.flatMap(segment => (segment.words || []).map(word => ({
+        word: word.word.trim(),
+        start: word.start,
+        end: word.end
+    })));
+
+    return {
+        task: 'transcribe',
+        language: raw.language || null,
+        duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+        text: (raw.text || segments.map(s => s.text).join(' ')).trim(),
+        words: words.filter(w => w.word),
+        segments
+    };
+}
+
+const BACKENDS = {
+    'openai': createOpenAIBackend,
+    'whisper-cpp': createWhisperCppBackend,
+    'faster-whisper': createFasterWhisperBackend
+};
+
+function getTranscriptionBackend(name = null) {
+    const backendName = name || process.env.TRANSCRIPTION_BACKEND || DEFAULT_BACKEND;
+    const createBackend = BACKENDS[backendName];
+
+    if (!createBackend) {
+        throw new Error(`Unknown transcription backend '${backendName}'. Available: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    return createBackend();
+}
+
+module.exports = {
+    DEFAULT_BACKEND,
+    getOpenAIClient,
+    getTranscriptionBackend,
+    normalizeWhisperCppOutput,
+    normalizeFasterWhisperOutput
+};
@@ -0,0 +1,201 @@
+/**
+ * Translate a transcription segment by segment, so every translated line keeps its original start and end time
+ * The result has the same shape as a Whisper transcription (with estimated word timings), so subtitles,
+ * formatting and analysis work on it unchanged
+ */
+
+const fs = require('fs').promises;
+const { createJsonCompletion, getModelForTask } = require('./llm-client');
+const { getTranscriptionSegments, estimateWordTimings, formatSRTTime } = require('./transcribe-audio');
+const { getLanguageName } = require('./languages');
+const { getOutputFile } = require('./folder-utils');
+const { log } = require('./pipeline-events');
+
+// Translations can run longer than their source, so batches leave room in the 4000-token reply
+const TRANSLATION_BATCH_CHARS = 6000;
+
+const translationSchema = {
+    type: 'object',
+    properties: {
+        segments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: {
+                        type: 'integer',
+                        description: 'The number in square brackets before the line being translated'
+                    },
+                    text: {
+                        type: 'string',
+                        description: 'The translated line'
+                    }
+                },
+                required: ['id', 'text'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['segments'],
+    additionalProperties: false
+};
+
+// Consecutive segments up to maxChars of text per request
+function batchSegments(segments, maxChars) {
+    const batches = [];
+    let current = [];
+    let chars = 0;
+
+    segments.forEach(segment => {
+        if (current.length > 0 && chars + segment.text.length > maxChars) {
+            batches.push(current);
+            current = [];
+            chars = 0;
+        }
+        current.push(segment);
+        chars += segment.text.length;
+    });
+    if (current.length > 0) {
+        batches.push(current);
+    }
+
+    return batches;
+}
+
+function buildTranslationPrompt(sourceLanguage, targetLanguage) {
+    const from = sourceLanguage ? getLanguageName(sourceLanguage) : 'the original language';
+
+    return `You are a professional subtitle translator. Translate each numbered transcript line from ${from} into ${getLanguageName(targetLanguage)}.
+
+INSTRUCTIONS:
+1. Return exactly one translated line for every input line, with the same id
+2. Never merge, split, reorder or skip lines - each line keeps the timing of the original
+3. Translate the meaning naturally rather than word for word, keeping the speaker's tone and register
+4. Keep names, brands and technical terms that are normally left untranslated
+5. A sentence may continue on the next line; translate it so both lines read naturally in order
+6. Do not add notes, explanations or summaries`;
+}
+
+async function translateBatch(batch, model, systemPrompt) {
+    const { data } = await createJsonCompletion({
+        model: model,
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: batch.map(segment => `[${segment.id}] ${segment.text.trim()}`).join('\n') }
+        ],
+        temperature: 0.2,
+        max_tokens: 4000
+    }, {
+        schema: translationSchema,
+        schemaName: 'translated_segments'
+    });
+
+    return new Map(data.segments.map(segment => [segment.id, segment.text.trim()]));
+}
+
+/**
+ * Translate a Whisper-shaped transcription into targetLanguage.
+ * Returns { task: 'translate', language, source_language, duration, text, segments, words } where each
+ * segment keeps its source id, start and end, and word timings are estimated within each segment.
+ */
+async function translateTranscription(transcription, targetLanguage, options = {}) {
+    const {
+        model = getModelForTask('translation'),
+        sourceLanguage = null,
+        batchChars = TRANSLATION_BATCH_CHARS
+    } = options;
+
+    log(`🌐 Translating transcript into ${getLanguageName(targetLanguage)}...`);
+    log(`→ Model: ${model}`);
+
+    try {
+        const segments = getTranscriptionSegments(transcription)
+            .map((segment, index) => ({ id: index, start: segment.start, end: segment.end, text: segment.text.trim() }))
+            .filter(segment => segment.text);
+        if (segments.length === 0) {
+            throw new Error('Transcription has no timed segments to translate');
+        }
+
+        const systemPrompt = buildTranslationPrompt(sourceLanguage, targetLanguage);
+        const batches = batchSegments(segments, batchChars);
+        log(`→ Segments: ${segments.length} in ${batches.length} request(s)`);
+
+        const translated = new Map();
+        const results = await Promise.all(batches.map(batch => translateBatch(batch, model, systemPrompt)));
+        results.forEach(result => result.forEach((text, id) => translated.set(id, text)));
+
+        // Lines the model dropped get one more request on their own
+        const missing = segments.filter(segment => !translated.get(segment.id));
+        if (missing.length > 0) {
+            log(`→ Retrying ${missing.length} untranslated line(s)`);
+            const retried = await translateBatch(missing, model, systemPrompt);
+            retried.forEach((text, id) => translated.set(id, text));
+        }
+
+        const untranslated = segments.filter(segment => !translated.get(segment.id)).map(segment => segment.id);
+        if (untranslated.length > 0) {
+            log(`⚠️  ${untranslated.length} line(s) could not be translated and keep their original text`);
+        }
+
+        const translatedSegments = segments.map(segment => ({
+            ...segment,
+            text: translated.get(segment.id) || segment.text
+        }));
+
+        const result = {
+            task: 'translate',
+            language: targetLanguage,
+            source_language: sourceLanguage,
+            duration: transcription.duration ?? translatedSegments[translatedSegments.length - 1].end,
+            text: translatedSegments.map(segment => segment.text).join(' '),
+            segments: translatedSegments,
+            words: estimateWordTimings(translatedSegments),
+            word_timing: 'estimated',
+            untranslated_segments: untranslated,
+            model: model,
+            created_at: new Date().toISOString()
+        };
+
+        log(`✅ Translation into ${getLanguageName(targetLanguage)} completed!`);
+        log(`→ Output length: ${result.text.length} chars`);
+
+        return result;
+
+    } catch (error) {
+        throw new Error(`OpenAI translation error: ${error.message}`);
+    }
+}
+
+function createSegmentSRT(segments) {
+    return segments
+        .map((segment, index) => `${index + 1}\n${formatSRTTime(segment.start)} --> ${formatSRTTime(segment.end)}\n${segment.text}\n`)
+        .join('\n');
+}
+
+async function saveTranslationResults(translation, videoId, outputDir) {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const jsonFile = getOutputFile(videoId, 'translationJsonFile', outputDir);
+    await fs.writeFile(jsonFile, JSON.stringify(translation, null, 2));
+    log(`💾 Translation saved: ${jsonFile}`);
+
+    const srtFile = getOutputFile(videoId, 'translationSrtFile', outputDir);
+    await fs.writeFile(srtFile, createSegmentSRT(translation.segments));
+    log(`💾 Translated SRT saved: ${srtFile}`);
+
+    const txtFile = getOutputFile(videoId, 'translationTextFile', outputDir);
+    await fs.writeFile(txtFile, translation.text);
+    log(`💾 Translated plain text saved: ${txtFile}`);
+
+    return {
+        jsonFile,
+        srtFile,
+        txtFile
+    };
+}
+
+module.exports = {
+    TRANSLATION_BATCH_CHARS,
+    translateTranscription,
+    saveTranslationResults
+};
@@ -0,0 +1,209 @@
+/**
+ * Import existing YouTube captions as a transcript, so videos that already have them skip download and Whisper
+ * Captions are normalized into the verbose_json shape transcribeAudio returns, with estimated word timings
+ */
+
+const {
+    YoutubeTranscript,
+    YoutubeTranscriptDisabledError,
+    YoutubeTranscriptNotAvailableError,
+    YoutubeTranscriptNotAvailableLanguageError
+} = require('youtube-transcript');
+const { estimateWordTimings } = require('./transcribe-audio');
+const { log } = require('./pipeline-events');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_4) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.83 Safari/537.36';
+
+// Errors that mean "this video has no usable captions" rather than "the request failed"
+const NO_CAPTION_ERRORS = [
+    YoutubeTranscriptDisabledError,
+    YoutubeTranscriptNotAvailableError,
+    YoutubeTranscriptNotAvailableLanguageError
+];
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+// Lines of the timedtext XML a track's baseUrl serves, as youtube-transcript reads them
+const CAPTION_LINE_PATTERN = /<text start="([^"]*)" dur="([^"]*)">([^<]*)<\/text>/g;
+
+// Caption XML arrives entity-encoded, often twice (&amp;#39;)
+function decodeEntities(text) {
+    let decoded = text;
+    for (let pass = 0; pass < 2; pass++) {
+        decoded = decoded.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+        });
+    }
+    return decoded;
+}
+
+/**
+ * List the caption tracks on the watch page, the same way youtube-transcript finds them.
+ * Returns [{ languageCode, name, kind, baseUrl }] with kind 'manual' or 'auto', or null when the page can't be read.
+ */
+async function listCaptionTracks(videoId) {
+    try {
+        const response = await fetch(`https://www.youtube.com/watch?v=${videoId}`, {
+            headers: { 'User-Agent': USER_AGENT }
+        });
+        const page = await response.text();
+        const [, captionsJson] = page.split('"captions":');
+        if (!captionsJson) {
+            return null;
+        }
+
+        const captions = JSON.parse(captionsJson.split(',"videoDetails')[0].replace('\n', ''));
+        const tracks = captions.playerCaptionsTracklistRenderer?.captionTracks || [];
+
+        return tracks.map(track => ({
+            languageCode: track.languageCode,
+            name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode,
+            kind: track.kind === 'asr' ? 'auto' : 'manual',
+            baseUrl: track.baseUrl
+        }));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Manual before auto-generated, in the wanted language only: a track in another language would be a translation,
+// not a transcript. Without a wanted language, the auto track's language is taken as the spoken one.
+function chooseCaptionTrack(tracks, language = null) {
+    if (!language) {
+        const spoken = tracks.find(track => track.kind === 'auto') || tracks.find(track => track.kind === 'manual');
+        return spoken ? chooseCaptionTrack(tracks, spoken.languageCode) : null;
+    }
+
+    const matchesLanguage = track => track.languageCode === language || track.languageCode.startsWith(`${language}-`);
+
+    return tracks.find(track => track.kind === 'manual' && matchesLanguage(track))
+        || tracks.find(track => track.kind === 'auto' && matchesLanguage(track))
+        || null;
+}
+
+// The chosen track itself, from its baseUrl: youtube-transcript only picks by language code, and would take
+// whichever track with that code comes first
+async function fetchCaptionTrack(track) {
+    const response = await fetch(track.baseUrl, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept-Language': track.languageCode }
+    });
+    if (!response.ok) {
+        throw new Error(`caption track ${track.languageCode} returned HTTP ${response.status}`);
+    }
+
+    const body = await response.text();
+    return [...body.matchAll(CAPTION_LINE_PATTERN)].map(([, start, duration, text]) => ({
+        text,
+        offset: parseFloat(start),
+        duration: parseFloat(duration),
+        lang: track.languageCode
+    }));
+}
+
+/**
+ * Convert youtube-transcript entries ({ text, offset, duration } in seconds) into
+ * the verbose_json shape Whisper returns: { task, language, duration, text, segments, words }.
+ */
+function normalizeCaptions(entries, options = {}) {
+    const { language = null, track = null } = options;
+
+    const lines = entries
+        .map(entry => ({
+            text: decodeEntities(entry.text).replace(/\s+/g, ' ').trim(),
+            start: entry.offset,
+            end: entry.offset + entry.duration
+        }))
+        .filter(line => line.text);
+
+    // Auto-generated lines overlap the next one while it scrolls in; clip them so segments stay ordered
+    const segments = lines.map((line, index) => {
+        const next = lines[index + 1];
+        const end = next && next.start < line.end ? Math.max(line.start, next.start) : line.end;
+        return { id: index, start: line.start, end, text: line.text };
+    });
+
+    return {
+        task: 'transcribe',
+        language: language || track?.languageCode || null,
+        duration: segments.length ? segments[segments.length - 1].end : 0,
+        text: segments.map(segment => segment.text).join(' '),
+        segments,
+        words: estimateWordTimings(segments),
+        source: 'youtube-captions',
+        caption_track: track,
+        word_timing: 'estimated'
+    };
+}
+
+/**
+ * Fetch captions for a video, preferring manual tracks over auto-generated ones.
+ * `language` picks the track; leave it unset to use the spoken language.
+ * Resolves to a normalized transcription, or null when the video has no captions (in that language).
+ */
+async function fetchYouTubeCaptions(videoId, options = {}) {
+    const { language = null } = options;
+
+    log(`💬 Fetching YouTube captions: ${videoId}`);
+
+    try {
+        const tracks = await listCaptionTracks(videoId);
+        if (tracks && tracks.length === 0) {
+            log('→ No caption tracks found');
+            return null;
+        }
+
+        const track = tracks ? chooseCaptionTrack(tracks, language) : null;
+        if (tracks && !track) {
+            log(`→ No caption track in ${language}; available: ${[...new Set(tracks.map(({ languageCode }) => languageCode))].join(', ')}`);
+            return null;
+        }
+
+        // Without a track list, let youtube-transcript take the track for the language, or the first listed one
+        let entries;
+        if (track) {
+            log(`→ Using ${track.kind} captions: ${track.name} (${track.languageCode})`);
+            entries = await fetchCaptionTrack(track);
+        } else {
+            entries = await YoutubeTranscript.fetchTranscript(videoId, language ? { lang: language } : undefined);
+        }
+        if (entries.length === 0) {
+            log('→ Caption track is empty');
+            return null;
+        }
+
+        const { baseUrl, ...trackInfo } = track || {};
+        const transcription = normalizeCaptions(entries, {
+            language: track?.languageCode || entries[0].lang,
+            track: track ? trackInfo : null
+        });
+
+        log(`✅ Captions imported: ${transcription.segments.length} lines, ${transcription.words.length} words`);
+
+        return transcription;
+
+    } catch (error) {
+        if (NO_CAPTION_ERRORS.some(ErrorClass => error instanceof ErrorClass)) {
+            log(`→ No captions available: ${error.message}`);
+            return null;
+        }
+        throw new Error(`YouTube captions error: ${error.message}`);
+    }
+}
+
+module.exports = {
+    fetchYouTubeCaptions,
+    normalizeCaptions,
+    chooseCaptionTrack,
+    decodeEntities
+};